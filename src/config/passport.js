@@ -3,7 +3,21 @@
  */
 const passport = require('passport');
 const LocalStrategy = require('passport-local').Strategy;
+const BearerStrategy = require('passport-http-bearer').Strategy;
 const User = require('../models/User');
+const ApiToken = require('../models/ApiToken');
+const { isEmailVerificationRequired } = require('../helpers/verification');
+const { logLoginAttempt } = require('../helpers/logger');
+
+/**
+ * Mensaje mostrado a los usuarios con la cuenta bloqueada
+ * @param {Date} lockUntil - Fecha de desbloqueo
+ * @returns {string} - Mensaje con la hora de desbloqueo
+ */
+const lockedMessage = (lockUntil) => {
+    const unlockTime = lockUntil.toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' });
+    return `Cuenta bloqueada temporalmente por demasiados intentos fallidos. Podrás volver a intentarlo a partir del ${unlockTime} o restablecer tu contraseña.`;
+};
 
 /**
  * Estrategia local de autenticación basada en email y contraseña
@@ -21,24 +35,80 @@ passport.use(new LocalStrategy({
             return done(null, false, { message: 'Correo electrónico no existe en el sistema.' });
         }
 
+        // Comprobar el bloqueo antes de comparar la contraseña
+        if (user.isLocked()) {
+            await logLoginAttempt(`BLOQUEO | Correo: ${user.email} | Intento rechazado con la cuenta bloqueada hasta ${user.lockUntil.toISOString()}`);
+            return done(null, false, { message: lockedMessage(user.lockUntil) });
+        }
+
         // Verificar contraseña
+        let isMatch;
         try {
-            const isMatch = await user.matchPassword(password);            
-            if (!isMatch) {
-                return done(null, false, { message: 'La contraseña ingresada no es correcta. Intente nuevamente.' });
-            }
+            isMatch = await user.matchPassword(password);
         } catch (pwError) {
             console.error('Error verificando contraseña:', pwError);
             return done(null, false, { message: 'Error verificando credenciales: ' + pwError.message });
         }
         
-        // Autenticación exitosa
+        if (!isMatch) {
+            // Registrar el intento fallido; puede bloquear la cuenta
+            await user.updateLoginAttempts(false);
+            const { maxAttempts } = User.getLockoutPolicy();
+            
+            if (user.isLocked()) {
+                await logLoginAttempt(`BLOQUEO | Correo: ${user.email} | Cuenta bloqueada tras ${maxAttempts} intentos fallidos hasta ${user.lockUntil.toISOString()}`);
+                return done(null, false, { message: lockedMessage(user.lockUntil) });
+            }
+            
+            // No se indica cuántos intentos quedan: solo ayudaría a quien prueba contraseñas
+            return done(null, false, { message: 'La contraseña ingresada no es correcta. Intente nuevamente.' });
+        }
+        
+        // Bloquear cuentas sin verificar si la configuración lo exige
+        if (isEmailVerificationRequired() && !user.emailVerified) {
+            return done(null, false, { message: 'Debes verificar tu correo electrónico antes de iniciar sesión. Si no recibiste el enlace, solicita uno nuevo.' });
+        }
+        
+        // Autenticación exitosa: reiniciar intentos fallidos y registrar lastLogin.
+        // Si otro intento simultáneo bloqueó la cuenta, el bloqueo se respeta
+        await user.updateLoginAttempts(true);
+        if (user.isLocked()) {
+            return done(null, false, { message: lockedMessage(user.lockUntil) });
+        }
         return done(null, user);
     } catch (error) {
         return done(error, false);
     }
 }));
 
+/**
+ * Estrategia Bearer para clientes no navegadores (scripts, aplicación móvil)
+ * Acepta tokens personales de acceso en la cabecera "Authorization: Bearer <token>"
+ * y expone sus permisos en req.authInfo.scope
+ */
+passport.use(new BearerStrategy(async (token, done) => {
+    try {
+        const apiToken = await ApiToken.findActiveByToken(token);
+        if (!apiToken) {
+            return done(null, false);
+        }
+
+        // Las cuentas pendientes de eliminación no pueden usar la API
+        const user = await User.findOne({ _id: apiToken.user, isActive: true, deletionScheduledFor: null });
+        if (!user) {
+            return done(null, false);
+        }
+
+        // Registrar el último uso sin bloquear la solicitud
+        ApiToken.updateOne({ _id: apiToken._id }, { lastUsedAt: new Date() })
+            .catch(err => console.error('Error actualizando uso del token:', err));
+
+        return done(null, user, { scope: apiToken.scopes, tokenId: apiToken.id });
+    } catch (error) {
+        return done(error, false);
+    }
+}));
+
 /**
  * Serialización del usuario para almacenarlo en la sesión
  */
@@ -52,7 +122,8 @@ passport.serializeUser((user, done) => {
 passport.deserializeUser(async (id, done) => {
     try {
         const user = await User.findById(id);
-        done(null, user);
+        // Una cuenta desactivada pierde la sesión aunque esta siga en el almacén
+        done(null, user && user.isActive ? user : false);
     } catch (error) {
         done(error, null);
     }
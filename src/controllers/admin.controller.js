@@ -0,0 +1,563 @@
+/**
+ * @fileoverview Controlador del panel de administración
+ * Gestiona la bandeja de mensajes de contacto (listado, detalle, estado y respuestas)
+ * y la administración de usuarios (activación, desbloqueo, roles y sesiones)
+ *
+ * @module controllers/admin
+ * @author Diego Donoso
+ * @version 1.0.0
+ */
+
+'use strict';
+
+// Dependencias
+const Contact = require('../models/Contact');
+const User = require('../models/User');
+const Note = require('../models/Note');
+const { sendMail } = require('../helpers/mailer');
+const { destroyUserSessions } = require('../helpers/sessions');
+const { logAdminAction, logError } = require('../helpers/logger');
+const { OBJECT_ID_REGEX, escapeRegex, buildPagination, buildListUrl } = require('../helpers/notes');
+
+/**
+ * Mensajes de contacto por página en la bandeja
+ * @constant {number}
+ */
+const CONTACTS_PER_PAGE = 20;
+
+/**
+ * Usuarios por página en la consola de administración
+ * @constant {number}
+ */
+const USERS_PER_PAGE = 20;
+
+/**
+ * Roles asignables a un usuario con su nombre en español
+ * @constant {Object<string, string>}
+ */
+const USER_ROLES = {
+    user: 'Usuario',
+    admin: 'Administrador'
+};
+
+/**
+ * Longitud máxima de una respuesta (coincide con la validación del modelo)
+ * @constant {number}
+ */
+const REPLY_MAX_LENGTH = 5000;
+
+/**
+ * Indica si un valor es un estado de mensaje válido
+ *
+ * @function isValidStatus
+ * @param {*} status - Valor recibido en la solicitud
+ * @returns {boolean} true si es uno de los estados de Contact
+ */
+const isValidStatus = (status) => Object.keys(Contact.CONTACT_STATUSES).includes(status);
+
+// Objeto contenedor del controlador
+const adminController = {};
+
+/**
+ * Busca un documento por su ID validando antes el formato
+ *
+ * @async
+ * @function findByValidId
+ * @param {Model} Model - Modelo de Mongoose
+ * @param {string} id - ID del documento
+ * @returns {Promise<Document|null>} Documento encontrado o null
+ */
+const findByValidId = async (Model, id) => {
+    if (!OBJECT_ID_REGEX.test(id)) {
+        return null;
+    }
+    return Model.findById(id);
+};
+
+/**
+ * Busca un mensaje de contacto por su ID validando el formato
+ *
+ * @async
+ * @function findContact
+ * @param {string} contactId - ID del mensaje
+ * @returns {Promise<Document|null>} Mensaje encontrado o null
+ */
+const findContact = (contactId) => findByValidId(Contact, contactId);
+
+/**
+ * Carga el usuario sobre el que actúa un administrador.
+ * Si no existe, o si la acción no puede aplicarse a la propia cuenta del administrador,
+ * muestra el mensaje correspondiente, redirige y devuelve null.
+ *
+ * @async
+ * @function loadManagedUser
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Object} [options] - Opciones
+ * @param {boolean} [options.allowSelf=true] - Si el administrador puede aplicar la acción sobre sí mismo
+ * @returns {Promise<Document|null>} Usuario o null si ya se respondió la solicitud
+ */
+const loadManagedUser = async (req, res, { allowSelf = true } = {}) => {
+    const user = await findByValidId(User, req.params.id);
+
+    if (!user) {
+        req.flash('error_msg', 'El usuario solicitado no existe');
+        res.redirect('/admin/usuarios');
+        return null;
+    }
+
+    // Evita que un administrador se desactive o se quite permisos por error
+    if (!allowSelf && user.id === req.user.id) {
+        req.flash('error_msg', 'No puedes realizar esta acción sobre tu propia cuenta');
+        res.redirect('/admin/usuarios');
+        return null;
+    }
+
+    return user;
+};
+
+/**
+ * Escribe una acción de administración sobre un usuario en el registro de auditoría
+ *
+ * @function auditUserAction
+ * @param {Object} req - Objeto de solicitud Express (administrador en req.user)
+ * @param {string} action - Descripción de la acción
+ * @param {Document} user - Usuario afectado
+ * @returns {Promise<void>}
+ */
+const auditUserAction = (req, action, user) => {
+    return logAdminAction(`${action} | Usuario: ${user.email} (${user._id}) | Admin: ${req.user.email} (${req.user.id}) | IP: ${req.ip}`);
+};
+
+/**
+ * Renderiza la bandeja de mensajes de contacto con filtro por estado y paginación
+ *
+ * @function renderContacts
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista de la bandeja
+ */
+adminController.renderContacts = async (req, res, next) => {
+    try {
+        const status = isValidStatus(req.query.status) ? req.query.status : '';
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const filter = status ? { status } : {};
+
+        // Consultas paralelas: página actual, total filtrado y recuento por estado
+        const [contacts, totalContacts, statusCounts] = await Promise.all([
+            Contact.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * CONTACTS_PER_PAGE)
+                .limit(CONTACTS_PER_PAGE)
+                .lean(),
+            Contact.countDocuments(filter),
+            Contact.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+        ]);
+
+        const countByStatus = Object.fromEntries(statusCounts.map(item => [item._id, item.count]));
+        const totalAll = statusCounts.reduce((sum, item) => sum + item.count, 0);
+
+        // Pestañas de filtro: "Todos" seguido de cada estado
+        const filters = [
+            { label: 'Todos', count: totalAll, url: '/admin/contactos', isActive: !status },
+            ...Object.entries(Contact.CONTACT_STATUSES).map(([value, label]) => ({
+                label,
+                count: countByStatus[value] || 0,
+                url: buildListUrl('/admin/contactos', { status: value }),
+                isActive: value === status
+            }))
+        ];
+
+        const pagination = buildPagination(page, CONTACTS_PER_PAGE, totalContacts);
+        if (pagination.hasPrevPage) {
+            pagination.prevUrl = buildListUrl('/admin/contactos', { status, page: pagination.prevPage });
+        }
+        if (pagination.hasNextPage) {
+            pagination.nextUrl = buildListUrl('/admin/contactos', { status, page: pagination.nextPage });
+        }
+
+        res.render('admin/contacts', {
+            title: 'Mensajes de contacto',
+            contacts: contacts.map(contact => ({
+                ...contact,
+                statusText: Contact.CONTACT_STATUSES[contact.status],
+                isPending: contact.status === 'pending',
+                createdAtText: contact.createdAt.toLocaleString('es-ES')
+            })),
+            filters,
+            status,
+            pagination
+        });
+    } catch (error) {
+        logError('admin.controller.renderContacts', error);
+        req.flash('error_msg', 'Error al cargar los mensajes de contacto');
+        next(error);
+    }
+};
+
+/**
+ * Renderiza el detalle de un mensaje de contacto.
+ * Los mensajes pendientes se marcan como leídos al abrirlos.
+ *
+ * @function renderContact
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista de detalle
+ */
+adminController.renderContact = async (req, res, next) => {
+    try {
+        const contact = await findContact(req.params.id);
+
+        if (!contact) {
+            req.flash('error_msg', 'El mensaje solicitado no existe');
+            return res.redirect('/admin/contactos');
+        }
+
+        if (contact.status === 'pending') {
+            await contact.markAsRead();
+        }
+
+        await contact.populate([
+            { path: 'userId', select: 'name email' },
+            { path: 'replies.repliedBy', select: 'name' }
+        ]);
+
+        res.render('admin/contact', {
+            title: `Mensaje: ${contact.subject}`,
+            contact,
+            createdAtText: contact.createdAt.toLocaleString('es-ES'),
+            replies: contact.replies.map(reply => ({
+                message: reply.message,
+                adminName: reply.repliedBy ? reply.repliedBy.name : 'Administrador',
+                sentAtText: reply.sentAt.toLocaleString('es-ES')
+            })),
+            statuses: Object.entries(Contact.CONTACT_STATUSES).map(([value, label]) => ({
+                value,
+                label,
+                isSelected: value === contact.status
+            }))
+        });
+    } catch (error) {
+        logError('admin.controller.renderContact', error);
+        req.flash('error_msg', 'Error al cargar el mensaje');
+        next(error);
+    }
+};
+
+/**
+ * Cambia el estado de un mensaje de contacto
+ *
+ * @function updateContactStatus
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige al detalle del mensaje
+ */
+adminController.updateContactStatus = async (req, res) => {
+    const contactId = req.params.id;
+
+    try {
+        const { status } = req.body;
+        if (!isValidStatus(status)) {
+            req.flash('error_msg', 'Estado no válido');
+            return res.redirect(`/admin/contactos/${contactId}`);
+        }
+
+        const contact = await findContact(contactId);
+        if (!contact) {
+            req.flash('error_msg', 'El mensaje solicitado no existe');
+            return res.redirect('/admin/contactos');
+        }
+
+        contact.status = status;
+        await contact.save();
+
+        logAdminAction(`Mensaje de contacto ${contact._id} marcado como "${status}" por ${req.user.email} (${req.user.id})`);
+        req.flash('success_msg', `Mensaje marcado como ${Contact.CONTACT_STATUSES[status].toLowerCase()}`);
+        res.redirect(`/admin/contactos/${contact._id}`);
+    } catch (error) {
+        logError('admin.controller.updateContactStatus', error);
+        req.flash('error_msg', 'Error al actualizar el estado del mensaje');
+        res.redirect('/admin/contactos');
+    }
+};
+
+/**
+ * Responde por correo a un mensaje de contacto y guarda la respuesta en el registro
+ *
+ * @function replyContact
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige al detalle del mensaje
+ *
+ * @security La respuesta solo se guarda si el correo se envió correctamente
+ */
+adminController.replyContact = async (req, res) => {
+    const contactId = req.params.id;
+
+    try {
+        const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+        if (!message) {
+            req.flash('error_msg', 'La respuesta no puede estar vacía');
+            return res.redirect(`/admin/contactos/${contactId}`);
+        }
+
+        // Validar antes de enviar para no mandar respuestas que luego no se puedan guardar
+        if (message.length > REPLY_MAX_LENGTH) {
+            req.flash('error_msg', `La respuesta no puede exceder ${REPLY_MAX_LENGTH} caracteres`);
+            return res.redirect(`/admin/contactos/${contactId}`);
+        }
+
+        const contact = await findContact(contactId);
+        if (!contact) {
+            req.flash('error_msg', 'El mensaje solicitado no existe');
+            return res.redirect('/admin/contactos');
+        }
+
+        try {
+            await sendMail({
+                to: contact.email,
+                subject: `Re: ${contact.subject}`,
+                text: `Hola ${contact.name},\n\n${message}\n\n---\nEn respuesta a tu mensaje del ${contact.createdAt.toLocaleString('es-ES')}:\n\n${contact.message}`
+            });
+        } catch (mailError) {
+            logError('admin.controller.replyContact.sendMail', mailError);
+            req.flash('error_msg', 'No se pudo enviar la respuesta por correo. Inténtalo de nuevo más tarde.');
+            return res.redirect(`/admin/contactos/${contactId}`);
+        }
+
+        await contact.addReply(message, req.user.id);
+
+        logAdminAction(`Respuesta enviada al mensaje de contacto ${contact._id} (${contact.email}) por ${req.user.email} (${req.user.id})`);
+        req.flash('success_msg', 'Respuesta enviada correctamente');
+        res.redirect(`/admin/contactos/${contact._id}`);
+    } catch (error) {
+        logError('admin.controller.replyContact', error);
+        req.flash('error_msg', 'Error al responder el mensaje');
+        res.redirect('/admin/contactos');
+    }
+};
+
+/**
+ * Renderiza la consola de usuarios con búsqueda, filtro por estado y paginación.
+ * Incluye el número de notas activas y el último inicio de sesión de cada usuario.
+ *
+ * @function renderUsers
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista de usuarios
+ */
+adminController.renderUsers = async (req, res, next) => {
+    try {
+        const search = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        const status = ['active', 'inactive', 'locked', 'admin'].includes(req.query.status) ? req.query.status : '';
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        // Construir filtro: búsqueda literal por nombre o correo y estado
+        const filter = {};
+        if (search) {
+            const pattern = new RegExp(escapeRegex(search), 'i');
+            filter.$or = [{ name: pattern }, { email: pattern }];
+        }
+        if (status === 'active') filter.isActive = true;
+        if (status === 'inactive') filter.isActive = false;
+        if (status === 'locked') filter.lockUntil = { $gt: new Date() };
+        if (status === 'admin') filter.role = 'admin';
+
+        const [users, totalUsers] = await Promise.all([
+            User.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * USERS_PER_PAGE)
+                .limit(USERS_PER_PAGE)
+                .lean(),
+            User.countDocuments(filter)
+        ]);
+
+        // Número de notas activas de los usuarios de la página
+        const noteCounts = await Note.aggregate([
+            { $match: { user: { $in: users.map(user => user._id) }, isActive: true } },
+            { $group: { _id: '$user', count: { $sum: 1 } } }
+        ]);
+        const countByUser = Object.fromEntries(noteCounts.map(item => [String(item._id), item.count]));
+
+        const pagination = buildPagination(page, USERS_PER_PAGE, totalUsers);
+        if (pagination.hasPrevPage) {
+            pagination.prevUrl = buildListUrl('/admin/usuarios', { q: search, status, page: pagination.prevPage });
+        }
+        if (pagination.hasNextPage) {
+            pagination.nextUrl = buildListUrl('/admin/usuarios', { q: search, status, page: pagination.nextPage });
+        }
+
+        const now = Date.now();
+
+        res.render('admin/users', {
+            title: 'Usuarios',
+            users: users.map(user => ({
+                ...user,
+                noteCount: countByUser[String(user._id)] || 0,
+                roleText: USER_ROLES[user.role] || user.role,
+                isAdmin: user.role === 'admin',
+                isSelf: String(user._id) === req.user.id,
+                isLocked: Boolean(user.lockUntil && user.lockUntil.getTime() > now),
+                lockUntilText: user.lockUntil ? user.lockUntil.toLocaleString('es-ES') : null,
+                lastLoginText: user.lastLogin ? user.lastLogin.toLocaleString('es-ES') : 'Nunca',
+                createdAtText: user.createdAt.toLocaleDateString('es-ES')
+            })),
+            search,
+            status,
+            statusFilters: [
+                { value: '', label: 'Todos' },
+                { value: 'active', label: 'Activos' },
+                { value: 'inactive', label: 'Desactivados' },
+                { value: 'locked', label: 'Bloqueados' },
+                { value: 'admin', label: 'Administradores' }
+            ].map(option => ({ ...option, isSelected: option.value === status })),
+            pagination
+        });
+    } catch (error) {
+        logError('admin.controller.renderUsers', error);
+        req.flash('error_msg', 'Error al cargar los usuarios');
+        next(error);
+    }
+};
+
+/**
+ * Desactiva una cuenta y cierra todas sus sesiones
+ *
+ * @function deactivateUser
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la consola de usuarios
+ */
+adminController.deactivateUser = async (req, res) => {
+    try {
+        const user = await loadManagedUser(req, res, { allowSelf: false });
+        if (!user) return;
+
+        await User.deactivateUser(user._id);
+        const closedSessions = await destroyUserSessions(user._id);
+
+        auditUserAction(req, `Cuenta desactivada (${closedSessions} sesión(es) cerrada(s))`, user);
+        req.flash('success_msg', `La cuenta de ${user.email} ha sido desactivada`);
+        res.redirect('/admin/usuarios');
+    } catch (error) {
+        logError('admin.controller.deactivateUser', error);
+        req.flash('error_msg', 'Error al desactivar la cuenta');
+        res.redirect('/admin/usuarios');
+    }
+};
+
+/**
+ * Reactiva una cuenta desactivada
+ *
+ * @function reactivateUser
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la consola de usuarios
+ */
+adminController.reactivateUser = async (req, res) => {
+    try {
+        const user = await loadManagedUser(req, res);
+        if (!user) return;
+
+        user.isActive = true;
+        await user.save();
+
+        auditUserAction(req, 'Cuenta reactivada', user);
+        req.flash('success_msg', `La cuenta de ${user.email} ha sido reactivada`);
+        res.redirect('/admin/usuarios');
+    } catch (error) {
+        logError('admin.controller.reactivateUser', error);
+        req.flash('error_msg', 'Error al reactivar la cuenta');
+        res.redirect('/admin/usuarios');
+    }
+};
+
+/**
+ * Desbloquea una cuenta bloqueada por intentos fallidos de inicio de sesión
+ *
+ * @function unlockUser
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la consola de usuarios
+ */
+adminController.unlockUser = async (req, res) => {
+    try {
+        const user = await loadManagedUser(req, res);
+        if (!user) return;
+
+        user.loginAttempts = 0;
+        user.lockUntil = null;
+        await user.save();
+
+        auditUserAction(req, 'Cuenta desbloqueada', user);
+        req.flash('success_msg', `La cuenta de ${user.email} ha sido desbloqueada`);
+        res.redirect('/admin/usuarios');
+    } catch (error) {
+        logError('admin.controller.unlockUser', error);
+        req.flash('error_msg', 'Error al desbloquear la cuenta');
+        res.redirect('/admin/usuarios');
+    }
+};
+
+/**
+ * Cambia el rol de un usuario (promoción a administrador o degradación a usuario)
+ *
+ * @function updateUserRole
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la consola de usuarios
+ */
+adminController.updateUserRole = async (req, res) => {
+    try {
+        const { role } = req.body;
+        if (!Object.keys(USER_ROLES).includes(role)) {
+            req.flash('error_msg', 'Rol no válido');
+            return res.redirect('/admin/usuarios');
+        }
+
+        const user = await loadManagedUser(req, res, { allowSelf: false });
+        if (!user) return;
+
+        const previousRole = user.role;
+        user.role = role;
+        await user.save();
+
+        auditUserAction(req, `Rol cambiado de "${previousRole}" a "${role}"`, user);
+        req.flash('success_msg', `${user.email} ahora tiene el rol ${USER_ROLES[role].toLowerCase()}`);
+        res.redirect('/admin/usuarios');
+    } catch (error) {
+        logError('admin.controller.updateUserRole', error);
+        req.flash('error_msg', 'Error al cambiar el rol');
+        res.redirect('/admin/usuarios');
+    }
+};
+
+/**
+ * Cierra todas las sesiones de un usuario eliminándolas del almacén de sesiones
+ *
+ * @function logoutUser
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la consola de usuarios
+ */
+adminController.logoutUser = async (req, res) => {
+    try {
+        const user = await loadManagedUser(req, res, { allowSelf: false });
+        if (!user) return;
+
+        const closedSessions = await destroyUserSessions(user._id);
+
+        auditUserAction(req, `Cierre de sesión forzado (${closedSessions} sesión(es) cerrada(s))`, user);
+        req.flash('success_msg', `Se cerraron ${closedSessions} sesión(es) de ${user.email}`);
+        res.redirect('/admin/usuarios');
+    } catch (error) {
+        logError('admin.controller.logoutUser', error);
+        req.flash('error_msg', 'Error al cerrar las sesiones del usuario');
+        res.redirect('/admin/usuarios');
+    }
+};
+
+module.exports = adminController;
@@ -0,0 +1,360 @@
+/**
+ * @fileoverview Controlador de la API REST JSON (v1) para notas
+ * Expone las operaciones CRUD de notas para scripts y clientes móviles
+ *
+ * @module controllers/api
+ * @author Diego Donoso
+ * @version 1.0.0
+ */
+
+'use strict';
+
+// Dependencias
+const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const { logNoteActivity, logError } = require('../helpers/logger');
+const { findNotesPage, findAuthorizedNote, formatValidationErrors, parseTags } = require('../helpers/notes');
+const { parseBulkRequest, runBulkAction } = require('../helpers/bulk');
+const { resolveNotebook } = require('../helpers/notebooks');
+const { parseDueDate } = require('../helpers/reminders');
+const { parseChecklistItems, isSameChecklist } = require('../helpers/checklist');
+
+// Objeto contenedor del controlador
+const apiController = {};
+
+/**
+ * Respuestas HTTP asociadas a los errores de acceso a notas
+ * @constant {Object<string, {status: number, message: string}>}
+ */
+const ACCESS_ERRORS = {
+    invalid_id: { status: 400, message: 'ID de nota inválido' },
+    not_found: { status: 404, message: 'La nota no existe' },
+    forbidden: { status: 403, message: 'No tienes permiso para acceder a esta nota' }
+};
+
+/**
+ * Envía la respuesta JSON correspondiente a un error de acceso
+ *
+ * @function sendAccessError
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {string} error - Código de error devuelto por findAuthorizedNote
+ * @returns {Object} Respuesta Express
+ */
+const sendAccessError = (res, error) => {
+    const { status, message } = ACCESS_ERRORS[error];
+    return res.status(status).json({ error: message });
+};
+
+/**
+ * Responde 409 cuando la nota cambió desde la versión enviada por el cliente.
+ * Incluye la nota actual para que el cliente combine los cambios y reintente
+ *
+ * @function sendVersionConflict
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Document} note - Nota tal y como está guardada ahora
+ * @returns {Object} Respuesta Express
+ */
+const sendVersionConflict = (res, note) => {
+    return res.status(409).json({
+        error: 'La nota ha cambiado desde la versión enviada',
+        note
+    });
+};
+
+/**
+ * Envía los errores de validación de Mongoose como JSON o delega el error
+ *
+ * @function handleWriteError
+ * @param {Error} error - Error capturado al guardar la nota
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {string} source - Origen del error para el log
+ * @returns {Object} Respuesta Express
+ */
+const handleWriteError = (error, res, source) => {
+    const errors = formatValidationErrors(error);
+    if (errors) {
+        return res.status(400).json({ error: 'Error de validación', errors });
+    }
+
+    logError(source, error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+};
+
+/**
+ * Lista las notas del usuario con paginación, búsqueda y filtros por etiqueta
+ * y por listas con tareas pendientes
+ *
+ * @function listNotes
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} JSON con las notas y los metadatos de paginación
+ */
+apiController.listNotes = async (req, res) => {
+    try {
+        const { notes, pagination, search, tag, archived, pending } = await findNotesPage(req.query, req.user.id);
+        res.json({ notes, pagination, search, tag, archived, pending });
+    } catch (error) {
+        logError('api.controller.listNotes', error);
+        res.status(500).json({ error: 'Error al obtener las notas' });
+    }
+};
+
+/**
+ * Obtiene una nota concreta del usuario
+ *
+ * @function getNote
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} JSON con la nota solicitada
+ */
+apiController.getNote = async (req, res) => {
+    try {
+        const { note, error } = await findAuthorizedNote(req.params.id, req.user.id, { permission: 'view' });
+        if (error) {
+            return sendAccessError(res, error);
+        }
+
+        res.json({ note });
+    } catch (error) {
+        logError('api.controller.getNote', error);
+        res.status(500).json({ error: 'Error al obtener la nota' });
+    }
+};
+
+/**
+ * Crea una nueva nota para el usuario autenticado
+ *
+ * @function createNote
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} JSON con la nota creada (201)
+ */
+apiController.createNote = async (req, res) => {
+    try {
+        const { title, description, tags, format, type } = req.body;
+
+        const { items, error: itemsError } = parseChecklistItems(req.body.items === undefined ? [] : req.body.items);
+        if (itemsError) {
+            return res.status(400).json({ error: itemsError });
+        }
+
+        const { notebookId, error } = await resolveNotebook(req.body.notebook, req.user.id);
+        if (error) {
+            return res.status(400).json({ error: 'La libreta no existe' });
+        }
+
+        const newNote = new Note({
+            title: typeof title === 'string' ? title.trim() : title,
+            description: typeof description === 'string' ? description.trim() : description,
+            format,
+            type,
+            items,
+            tags: parseTags(tags),
+            notebook: notebookId,
+            user: req.user.id
+        });
+
+        const savedNote = await newNote.save();
+        await NoteRevision.record(savedNote, req.user.id, { action: 'create' });
+
+        logNoteActivity(`Nueva nota creada vía API - ID: ${savedNote._id}, Usuario: ${req.user.id}, Título: "${savedNote.title}"`);
+        res.status(201).json({ note: savedNote });
+    } catch (error) {
+        handleWriteError(error, res, 'api.controller.createNote');
+    }
+};
+
+/**
+ * Actualiza parcialmente una nota del usuario
+ * Solo se modifican los campos enviados en el cuerpo de la solicitud
+ *
+ * @function updateNote
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} JSON con la nota actualizada
+ */
+apiController.updateNote = async (req, res) => {
+    try {
+        const { note, role, error } = await findAuthorizedNote(req.params.id, req.user.id, { permission: 'edit' });
+        if (error) {
+            return sendAccessError(res, error);
+        }
+
+        const { title, description, tags, format, type, isPinned, isArchived, notebook, dueDate, version } = req.body;
+
+        // La versión es opcional: si se envía, solo se guarda sobre esa misma versión
+        if (version !== undefined && !(Number.isInteger(version) && version >= 0)) {
+            return res.status(400).json({ error: 'La versión debe ser un número entero no negativo' });
+        }
+        if (note.isStaleVersion(version)) {
+            return sendVersionConflict(res, note);
+        }
+
+        const { items, error: itemsError } = req.body.items === undefined
+            ? { items: undefined, error: null }
+            : parseChecklistItems(req.body.items);
+        if (itemsError) {
+            return res.status(400).json({ error: itemsError });
+        }
+
+        // Los editores de una nota compartida solo modifican su contenido
+        if (role !== 'owner' && [isPinned, isArchived, notebook, dueDate].some(value => value !== undefined)) {
+            return res.status(403).json({ error: 'Solo el propietario puede fijar, archivar, mover la nota o cambiar su fecha límite' });
+        }
+
+        if (dueDate !== undefined) {
+            // null quita la fecha límite
+            const { dueDate: parsedDueDate, error: dueDateError } = parseDueDate(dueDate === null ? '' : dueDate);
+            if (dueDateError || (dueDate !== null && typeof dueDate !== 'string')) {
+                return res.status(400).json({ error: 'La fecha límite debe tener el formato AAAA-MM-DD' });
+            }
+            note.dueDate = parsedDueDate;
+        }
+
+        if (notebook !== undefined) {
+            // null o 'none' sacan la nota de su libreta
+            const { notebookId, error: notebookError } = await resolveNotebook(notebook === null ? '' : notebook, req.user.id);
+            if (notebookError) {
+                return res.status(400).json({ error: 'La libreta no existe' });
+            }
+            note.notebook = notebookId;
+        }
+
+        // Conservar el contenido previo si la nota aún no tiene historial
+        await NoteRevision.ensureBaseline(note);
+
+        if (format !== undefined) {
+            note.format = format;
+        }
+        if (title !== undefined) {
+            note.title = typeof title === 'string' ? title.trim() : title;
+        }
+        if (description !== undefined) {
+            note.description = typeof description === 'string' ? description.trim() : description;
+        }
+        if (tags !== undefined) {
+            note.tags = parseTags(tags);
+        }
+        if (type !== undefined) {
+            note.type = type;
+        }
+        // Reemplazar la lista solo si cambió el texto o el orden, para conservar los IDs de sus
+        // elementos. Si solo cambian casillas, se marcan después sin contar como edición
+        const replacesItems = items !== undefined && !isSameChecklist(items, note.items);
+        if (replacesItems) {
+            note.items = items;
+        }
+        if (typeof isPinned === 'boolean') {
+            note.isPinned = isPinned;
+        }
+        if (typeof isArchived === 'boolean' && isArchived !== note.isArchived) {
+            note.isArchived = isArchived;
+            note.archivedAt = isArchived ? new Date() : null;
+        }
+
+        // Solo se registra una revisión (y cambia la fecha de actualización) si cambió
+        // el contenido; fijar, archivar, cambiar de libreta o de fecha límite no son ediciones
+        const hasChanges = note.isModified(Note.CONTENT_FIELDS);
+        try {
+            await note.save({ timestamps: hasChanges });
+        } catch (error) {
+            // Otra petición cambió el contenido entre la lectura y el guardado
+            if (error.name !== 'DocumentNotFoundError') {
+                throw error;
+            }
+            const { note: current } = await findAuthorizedNote(req.params.id, req.user.id, { permission: 'edit' });
+            if (!current) {
+                throw error;
+            }
+            return sendVersionConflict(res, current);
+        }
+        if (hasChanges) {
+            await NoteRevision.record(note, req.user.id);
+        }
+        if (items !== undefined && !replacesItems) {
+            const current = [...note.items].sort((a, b) => a.order - b.order);
+            for (const [index, item] of current.entries()) {
+                if (item.done !== items[index].done) {
+                    await note.setItemDone(item._id, items[index].done);
+                }
+            }
+        }
+
+        logNoteActivity(`Nota actualizada vía API - ID: ${note._id}, Usuario: ${req.user.id}`);
+        res.json({ note });
+    } catch (error) {
+        handleWriteError(error, res, 'api.controller.updateNote');
+    }
+};
+
+/**
+ * Elimina una nota del usuario (borrado lógico)
+ *
+ * @function deleteNote
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Respuesta vacía (204)
+ */
+apiController.deleteNote = async (req, res) => {
+    try {
+        const { note, error } = await findAuthorizedNote(req.params.id, req.user.id);
+        if (error) {
+            return sendAccessError(res, error);
+        }
+
+        await note.deactivate();
+
+        logNoteActivity(`Nota eliminada vía API - ID: ${note._id}, Usuario: ${req.user.id}`);
+        res.status(204).end();
+    } catch (error) {
+        logError('api.controller.deleteNote', error);
+        res.status(500).json({ error: 'Error al eliminar la nota' });
+    }
+};
+
+/**
+ * Aplica una acción a varias notas del usuario a la vez.
+ * Responde 200 aunque algunas notas fallen: cada fallo se detalla en failed.
+ *
+ * @function bulkUpdateNotes
+ * @param {Object} req - Objeto de solicitud Express (action, ids y tags en el cuerpo)
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} JSON con los IDs procesados y los fallos
+ */
+apiController.bulkUpdateNotes = async (req, res) => {
+    try {
+        const { action, ids, tags, notebook, error } = parseBulkRequest(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { succeeded, failed } = await runBulkAction(action, ids, req.user.id, { tags, notebook });
+
+        logNoteActivity(`Acción masiva vía API - Usuario: ${req.user.id}, Acción: ${action}, Correctas: ${succeeded.length}, Fallidas: ${failed.length}`);
+        res.json({ action, succeeded, failed });
+    } catch (error) {
+        logError('api.controller.bulkUpdateNotes', error);
+        res.status(500).json({ error: 'Error al aplicar la acción a las notas' });
+    }
+};
+
+/**
+ * Devuelve la nube de etiquetas del usuario con el número de notas de cada una
+ *
+ * @function listTags
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} JSON con las etiquetas ordenadas por uso
+ */
+apiController.listTags = async (req, res) => {
+    try {
+        const tags = await Note.tagCloud(req.user.id);
+        res.json({ tags });
+    } catch (error) {
+        logError('api.controller.listTags', error);
+        res.status(500).json({ error: 'Error al obtener las etiquetas' });
+    }
+};
+
+// Exportamos el controlador para su uso en otras partes de la aplicación
+module.exports = apiController;
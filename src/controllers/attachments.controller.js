@@ -0,0 +1,371 @@
+/**
+ * @fileoverview Controlador para los archivos adjuntos de las notas
+ * El propietario sube archivos a sus notas (con límites de tamaño, tipo y espacio
+ * por usuario) y los descarga, junto con las miniaturas de las imágenes, desde
+ * rutas que comprueban que la nota es suya
+ *
+ * @module controllers/attachments
+ * @author Diego Donoso
+ * @version 1.0.0
+ */
+
+'use strict';
+
+// Dependencias
+const crypto = require('crypto');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('../storage');
+const { logNoteActivity, logError } = require('../helpers/logger');
+const { OBJECT_ID_REGEX, findAuthorizedNote } = require('../helpers/notes');
+const {
+    MAX_ATTACHMENTS_PER_NOTE,
+    getAttachmentLimits,
+    formatBytes,
+    detectMimeType,
+    sanitizeFileName,
+    createThumbnail
+} = require('../helpers/attachments');
+
+// Objeto contenedor del controlador
+const attachmentsController = {};
+
+/**
+ * Busca una nota que el usuario pueda gestionar y, si no puede, deja el mensaje
+ * de error y redirige
+ *
+ * @async
+ * @function findManagedNote
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {string} action - Acción intentada, para el log
+ * @returns {Promise<Document|null>} Nota o null si ya se respondió
+ */
+const findManagedNote = async (req, res, action) => {
+    const noteId = req.params.id;
+    const { note, error } = await findAuthorizedNote(noteId, req.user.id);
+
+    if (error === 'invalid_id' || error === 'not_found') {
+        req.flash('error_msg', 'La nota no existe');
+        res.redirect('/notas');
+        return null;
+    }
+
+    if (error === 'forbidden') {
+        console.warn(`Intento de ${action} sin permiso en la nota ${noteId} por usuario ${req.user.id}`);
+        req.flash('error_msg', 'Solo el propietario puede gestionar los archivos adjuntos de esta nota');
+        res.redirect(`/notas/ver/${noteId}`);
+        return null;
+    }
+
+    return note;
+};
+
+/**
+ * Responde con la página 404 cuando un adjunto no existe o no es del usuario.
+ * No se distingue un caso del otro para no revelar qué archivos existen.
+ *
+ * @function sendNotFound
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void}
+ */
+const sendNotFound = (res) => {
+    res.status(404).render('404', {
+        title: 'Archivo no encontrado',
+        message: 'El archivo que buscas no existe'
+    });
+};
+
+/**
+ * Genera una clave de almacenamiento nueva. No incluye el nombre original:
+ * solo el usuario y un valor aleatorio
+ *
+ * @function createStorageKey
+ * @param {string} userId - ID del propietario
+ * @returns {string} Clave del archivo
+ */
+const createStorageKey = (userId) => `${userId}/${crypto.randomBytes(16).toString('hex')}`;
+
+/**
+ * Busca un adjunto de una nota del usuario para descargarlo y, si no existe o
+ * la nota no es suya, responde con la página 404
+ *
+ * @async
+ * @function findDownloadableAttachment
+ * @param {Object} req - Objeto de solicitud Express (id de la nota y attachmentId en la ruta)
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {string} keys - Claves de almacenamiento que hay que seleccionar
+ * @returns {Promise<Object|null>} Adjunto o null si ya se respondió
+ */
+const findDownloadableAttachment = async (req, res, keys) => {
+    const { id: noteId, attachmentId } = req.params;
+    const { note, error } = await findAuthorizedNote(noteId, req.user.id, { lean: true });
+
+    if (error === 'forbidden') {
+        console.warn(`Intento de descargar el adjunto ${attachmentId} sin permiso en la nota ${noteId} por usuario ${req.user.id}`);
+    }
+
+    const attachment = !error && OBJECT_ID_REGEX.test(String(attachmentId))
+        ? await Attachment.findOne({ _id: attachmentId, note: note._id }).select(keys).lean()
+        : null;
+
+    if (!attachment) {
+        sendNotFound(res);
+        return null;
+    }
+
+    return attachment;
+};
+
+/**
+ * Envía un archivo del almacenamiento. Las cabeceras se ponen cuando el archivo
+ * se abre; si no existe se responde con la página 404.
+ *
+ * @function sendStoredFile
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {string} storageKey - Clave del archivo
+ * @param {Function} setHeaders - Pone las cabeceras propias del archivo (nombre, tipo, tamaño...)
+ * @param {string} context - Función que envía el archivo, para el log
+ * @returns {void}
+ */
+const sendStoredFile = (res, storageKey, setHeaders, context) => {
+    const stream = getStorage().createReadStream(storageKey);
+
+    stream.once('open', () => {
+        setHeaders();
+        res.set({
+            'Cache-Control': 'private, max-age=86400',
+            // El navegador no debe reinterpretar el tipo ni ejecutar nada del archivo
+            'X-Content-Type-Options': 'nosniff',
+            'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox"
+        });
+        stream.pipe(res);
+    });
+
+    stream.once('error', (streamError) => {
+        logError(context, streamError);
+        if (res.headersSent) {
+            return res.destroy(streamError);
+        }
+        sendNotFound(res);
+    });
+};
+
+/**
+ * Comprueba que el usuario puede adjuntar archivos a la nota antes de recibir
+ * el archivo, para no cargar en memoria subidas a notas ajenas
+ *
+ * @function authorizeUpload
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Continúa con la subida (nota en req.attachmentNote) o redirige
+ */
+attachmentsController.authorizeUpload = async (req, res, next) => {
+    try {
+        const note = await findManagedNote(req, res, 'subir un archivo');
+        if (!note) {
+            return;
+        }
+
+        req.attachmentNote = note;
+        next();
+    } catch (error) {
+        logError('attachments.controller.authorizeUpload', error);
+        req.flash('error_msg', 'Error al adjuntar el archivo');
+        res.redirect('/notas');
+    }
+};
+
+/**
+ * Sube un archivo a una nota
+ *
+ * @function uploadAttachment
+ * @param {Object} req - Objeto de solicitud Express (nota en req.attachmentNote, comprobada por authorizeUpload,
+ * y archivo en req.file, recibido por handleAttachmentUpload)
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la nota
+ */
+attachmentsController.uploadAttachment = async (req, res) => {
+    const note = req.attachmentNote;
+    const noteUrl = `/notas/ver/${note._id}`;
+
+    try {
+        if (!req.file || !req.file.size) {
+            req.flash('error_msg', 'Selecciona un archivo para adjuntar');
+            return res.redirect(noteUrl);
+        }
+
+        const mimeType = detectMimeType(req.file.buffer, req.file.mimetype);
+        if (!mimeType) {
+            req.flash('error_msg', 'Tipo de archivo no admitido. Puedes adjuntar imágenes PNG, JPEG, GIF o WebP, documentos PDF y archivos de texto');
+            return res.redirect(noteUrl);
+        }
+
+        // La miniatura se genera antes de reservar nada. Una imagen que pasa la comprobación
+        // de tipo pero no se puede leer se adjunta igualmente, sin miniatura
+        let thumbnail = null;
+        if (mimeType.startsWith('image/')) {
+            try {
+                thumbnail = await createThumbnail(req.file.buffer);
+            } catch (error) {
+                logError('attachments.controller.uploadAttachment', error);
+            }
+        }
+
+        // Reservar el hueco en la nota y el espacio en la cuota antes de guardar nada.
+        // La cuota cuenta los adjuntos de todas las notas del usuario, también las de la papelera
+        const { quota } = getAttachmentLimits();
+        const reservation = { noteId: note._id, userId: req.user.id, size: req.file.size };
+        const rejected = await Attachment.reserveSpace({ ...reservation, maxPerNote: MAX_ATTACHMENTS_PER_NOTE, quota });
+
+        if (rejected === 'note_limit') {
+            req.flash('error_msg', `Una nota puede tener como máximo ${MAX_ATTACHMENTS_PER_NOTE} archivos adjuntos`);
+            return res.redirect(noteUrl);
+        }
+        if (rejected === 'quota') {
+            const usage = await Attachment.getUsage(req.user.id);
+            req.flash('error_msg', `No queda espacio para este archivo: usas ${formatBytes(usage)} de ${formatBytes(quota)}`);
+            return res.redirect(noteUrl);
+        }
+
+        const storageKey = createStorageKey(req.user.id);
+        const thumbnailKey = thumbnail ? createStorageKey(req.user.id) : undefined;
+        const storage = getStorage();
+
+        let attachment;
+        try {
+            await storage.save(storageKey, req.file.buffer);
+            if (thumbnail) {
+                await storage.save(thumbnailKey, thumbnail);
+            }
+            attachment = await Attachment.create({
+                note: note._id,
+                user: req.user.id,
+                storageKey,
+                thumbnailKey,
+                originalName: sanitizeFileName(req.file.originalname),
+                mimeType,
+                size: req.file.size
+            });
+        } catch (error) {
+            // Deshacer la reserva y no dejar archivos sin metadatos
+            await Promise.all([
+                storage.remove(storageKey),
+                thumbnailKey && storage.remove(thumbnailKey),
+                Attachment.releaseSpace(reservation)
+            ]);
+            throw error;
+        }
+
+        logNoteActivity(`Archivo adjuntado - Nota: ${note._id}, Usuario: ${req.user.id}, Adjunto: ${attachment._id}, Tipo: ${mimeType}, Tamaño: ${req.file.size}`);
+        req.flash('success_msg', `Archivo "${attachment.originalName}" adjuntado`);
+        res.redirect(noteUrl);
+    } catch (error) {
+        logError('attachments.controller.uploadAttachment', error);
+        req.flash('error_msg', 'Error al adjuntar el archivo');
+        res.redirect(noteUrl);
+    }
+};
+
+/**
+ * Descarga un archivo adjunto. Las imágenes se muestran en el navegador; el resto se descarga.
+ *
+ * @function downloadAttachment
+ * @param {Object} req - Objeto de solicitud Express (id de la nota y attachmentId en la ruta)
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Envía el contenido del archivo
+ */
+attachmentsController.downloadAttachment = async (req, res, next) => {
+    try {
+        const attachment = await findDownloadableAttachment(req, res, '+storageKey');
+        if (!attachment) {
+            return;
+        }
+
+        sendStoredFile(res, attachment.storageKey, () => {
+            res.attachment(attachment.originalName);
+            if (attachment.mimeType.startsWith('image/')) {
+                res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+            }
+            res.set({
+                'Content-Type': attachment.mimeType,
+                'Content-Length': attachment.size
+            });
+        }, 'attachments.controller.downloadAttachment');
+    } catch (error) {
+        logError('attachments.controller.downloadAttachment', error);
+        next(error);
+    }
+};
+
+/**
+ * Envía la miniatura de una imagen adjunta, generada al subirla
+ *
+ * @function downloadThumbnail
+ * @param {Object} req - Objeto de solicitud Express (id de la nota y attachmentId en la ruta)
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Envía la miniatura en WebP (404 si el adjunto no tiene miniatura)
+ */
+attachmentsController.downloadThumbnail = async (req, res, next) => {
+    try {
+        const attachment = await findDownloadableAttachment(req, res, '+thumbnailKey');
+        if (!attachment) {
+            return;
+        }
+
+        if (!attachment.thumbnailKey) {
+            return sendNotFound(res);
+        }
+
+        sendStoredFile(res, attachment.thumbnailKey, () => {
+            res.set('Content-Type', 'image/webp');
+        }, 'attachments.controller.downloadThumbnail');
+    } catch (error) {
+        logError('attachments.controller.downloadThumbnail', error);
+        next(error);
+    }
+};
+
+/**
+ * Elimina un archivo adjunto de una nota
+ *
+ * @function deleteAttachment
+ * @param {Object} req - Objeto de solicitud Express (id de la nota y attachmentId en la ruta)
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la nota
+ */
+attachmentsController.deleteAttachment = async (req, res) => {
+    const noteId = req.params.id;
+    const noteUrl = OBJECT_ID_REGEX.test(String(noteId)) ? `/notas/ver/${noteId}` : '/notas';
+
+    try {
+        const note = await findManagedNote(req, res, 'eliminar un archivo adjunto');
+        if (!note) {
+            return;
+        }
+
+        const attachmentId = req.params.attachmentId;
+        const attachment = OBJECT_ID_REGEX.test(String(attachmentId))
+            ? await Attachment.findOne({ _id: attachmentId, note: note._id }).select('+storageKey +thumbnailKey')
+            : null;
+
+        if (!attachment) {
+            req.flash('error_msg', 'El archivo no existe');
+            return res.redirect(noteUrl);
+        }
+
+        await attachment.removeWithFile();
+
+        logNoteActivity(`Archivo adjunto eliminado - Nota: ${note._id}, Usuario: ${req.user.id}, Adjunto: ${attachment._id}`);
+        req.flash('success_msg', `Archivo "${attachment.originalName}" eliminado`);
+        res.redirect(noteUrl);
+    } catch (error) {
+        logError('attachments.controller.deleteAttachment', error);
+        req.flash('error_msg', 'Error al eliminar el archivo');
+        res.redirect(noteUrl);
+    }
+};
+
+module.exports = attachmentsController;
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Controlador para las acciones masivas sobre notas
+ * Aplica a las notas seleccionadas en la lista o en la papelera una misma
+ * acción: enviar a la papelera, restaurar, etiquetar, fijar, archivar o exportar
+ *
+ * @module controllers/bulk
+ * @author Diego Donoso
+ * @version 1.0.0
+ */
+
+'use strict';
+
+// Dependencias
+const { logNoteActivity, logError } = require('../helpers/logger');
+const { findOwnedNotes, getReturnUrl } = require('../helpers/notes');
+const { EXPORT_FORMATS, streamNotesExport } = require('../helpers/export');
+const {
+    BULK_ACTIONS,
+    parseBulkRequest,
+    runBulkAction,
+    summarizeFailures
+} = require('../helpers/bulk');
+
+// Objeto contenedor del controlador
+const bulkController = {};
+
+/**
+ * Exporta solo las notas seleccionadas que pertenecen al usuario
+ *
+ * @async
+ * @function exportSelectedNotes
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {string[]} ids - IDs seleccionados
+ * @param {string} returnUrl - Página a la que volver si no hay nada que exportar
+ * @returns {Promise<void>} Envía el archivo como descarga o redirige
+ */
+const exportSelectedNotes = async (req, res, ids, returnUrl) => {
+    const format = EXPORT_FORMATS[req.body.format] ? req.body.format : null;
+    if (!format) {
+        req.flash('error_msg', 'Formato de exportación no válido');
+        return res.redirect(returnUrl);
+    }
+
+    const { notes, failures } = await findOwnedNotes(ids, req.user.id);
+    if (!notes.length) {
+        req.flash('error_msg', 'Ninguna de las notas seleccionadas se puede exportar');
+        return res.redirect(returnUrl);
+    }
+
+    // El aviso se mostrará en la siguiente página que visite el usuario
+    if (failures.length) {
+        req.flash('error_msg', `${failures.length} nota(s) seleccionada(s) no se incluyeron en la exportación porque no existen o no te pertenecen`);
+    }
+
+    const count = await streamNotesExport(res, format, {
+        _id: { $in: notes.map(note => note._id) },
+        user: req.user.id
+    });
+
+    logNoteActivity(`Exportación de notas seleccionadas - Usuario: ${req.user.id}, Formato: ${format}, Notas: ${count}, Omitidas: ${failures.length}`);
+};
+
+/**
+ * Aplica una acción a varias notas a la vez e informa de las que fallaron
+ *
+ * @function applyBulkAction
+ * @param {Object} req - Objeto de solicitud Express (action, ids, tags, format y returnUrl en el cuerpo)
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la página de origen con el resultado o envía la exportación
+ */
+bulkController.applyBulkAction = async (req, res) => {
+    const { action, ids, tags, notebook, error } = parseBulkRequest(req.body, { extraActions: ['export'] });
+    const returnUrl = getReturnUrl(req.body.returnUrl, action === 'restore' ? '/notas/papelera' : '/notas');
+
+    if (error) {
+        req.flash('error_msg', error);
+        return res.redirect(returnUrl);
+    }
+
+    try {
+        if (action === 'export') {
+            return await exportSelectedNotes(req, res, ids, returnUrl);
+        }
+
+        const { succeeded, failed } = await runBulkAction(action, ids, req.user.id, { tags, notebook });
+
+        logNoteActivity(`Acción masiva - Usuario: ${req.user.id}, Acción: ${action}, Correctas: ${succeeded.length}, Fallidas: ${failed.length}${tags.length ? `, Etiquetas: ${tags.join(', ')}` : ''}`);
+
+        if (succeeded.length) {
+            req.flash('success_msg', `${succeeded.length} nota(s) ${BULK_ACTIONS[action].done}`);
+        }
+        if (failed.length) {
+            req.flash('error_msg', `${failed.length} nota(s) no se pudieron procesar: ${summarizeFailures(failed)}`);
+        }
+        res.redirect(returnUrl);
+    } catch (error) {
+        logError('bulk.controller.applyBulkAction', error);
+
+        // Si la descarga ya empezó, solo se puede cortar la respuesta
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+
+        req.flash('error_msg', 'Error al aplicar la acción a las notas seleccionadas');
+        res.redirect(returnUrl);
+    }
+};
+
+module.exports = bulkController;
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Controlador para exportar notas
+ * Descarga las notas de la lista (con su búsqueda y etiqueta activas)
+ * como ZIP de Markdown, JSON, CSV o PDF
+ *
+ * @module controllers/export
+ * @author Diego Donoso
+ * @version 1.0.0
+ */
+
+'use strict';
+
+// Dependencias
+const { logNoteActivity, logError } = require('../helpers/logger');
+const { buildNotesQuery } = require('../helpers/notes');
+const { EXPORT_FORMATS, streamNotesExport } = require('../helpers/export');
+
+// Objeto contenedor del controlador
+const exportController = {};
+
+/**
+ * Exporta las notas activas que cumplen la búsqueda y la etiqueta de la lista.
+ * El archivo se genera en streaming a partir de un cursor de MongoDB.
+ *
+ * @function exportNotes
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Envía el archivo como descarga
+ */
+exportController.exportNotes = async (req, res) => {
+    const format = EXPORT_FORMATS[req.query.format] ? req.query.format : null;
+
+    if (!format) {
+        req.flash('error_msg', 'Formato de exportación no válido');
+        return res.redirect('/notas');
+    }
+
+    // Mismo filtro que la lista de notas, sin paginación
+    const { filter, search, tag } = buildNotesQuery(req.query, req.user.id);
+
+    try {
+        const count = await streamNotesExport(res, format, filter);
+
+        logNoteActivity(`Exportación de notas - Usuario: ${req.user.id}, Formato: ${format}, Notas: ${count}${search ? `, Búsqueda: "${search}"` : ''}${tag ? `, Etiqueta: ${tag}` : ''}`);
+    } catch (error) {
+        logError('export.controller.exportNotes', error);
+
+        // Si la descarga ya empezó, solo se puede cortar la respuesta
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+
+        req.flash('error_msg', 'Error al exportar las notas');
+        res.redirect('/notas');
+    }
+};
+
+module.exports = exportController;
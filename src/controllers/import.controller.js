@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Controlador para importar notas desde archivos
+ * Recibe el archivo, muestra una vista previa con los errores de cada fila
+ * y solo guarda las notas cuando el usuario confirma la importación
+ *
+ * @module controllers/import
+ * @author Diego Donoso
+ * @version 1.0.0
+ */
+
+'use strict';
+
+// Dependencias
+const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const { logNoteActivity, logError } = require('../helpers/logger');
+const {
+    IMPORT_LIMITS,
+    IMPORT_POLICIES,
+    parseImportFile,
+    validateImportRows,
+    planImport
+} = require('../helpers/import');
+
+// Objeto contenedor del controlador
+const importController = {};
+
+/**
+ * Texto de cada acción en la vista previa
+ * @constant {Object<string, string>}
+ */
+const ACTION_LABELS = {
+    create: 'Nueva',
+    rename: 'Renombrada',
+    overwrite: 'Sobrescribe',
+    skip: 'Se omite',
+    invalid: 'Con errores'
+};
+
+/**
+ * Devuelve la política solicitada o la predeterminada (omitir) si no es válida
+ *
+ * @function getPolicy
+ * @param {string} policy - Política recibida
+ * @returns {string} Política válida
+ */
+const getPolicy = (policy) => Object.keys(IMPORT_POLICIES).includes(policy) ? policy : 'skip';
+
+/**
+ * Renderiza el formulario para subir el archivo a importar
+ *
+ * @function renderImportForm
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista de importación
+ */
+importController.renderImportForm = (req, res, next) => {
+    try {
+        res.render('notes/import', {
+            title: 'Importar notas',
+            policies: Object.entries(IMPORT_POLICIES).map(([value, label]) => ({ value, label, isSelected: value === 'skip' })),
+            maxRows: IMPORT_LIMITS.rows,
+            maxSizeKb: IMPORT_LIMITS.fileSize / 1024,
+            hasPendingImport: Boolean(req.session.noteImport)
+        });
+    } catch (error) {
+        logError('import.controller.renderImportForm', error);
+        next(error);
+    }
+};
+
+/**
+ * Lee y valida el archivo subido y guarda sus filas en la sesión
+ * hasta que el usuario confirme la importación
+ *
+ * @function uploadImport
+ * @param {Object} req - Objeto de solicitud Express (archivo en req.file)
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la vista previa o al formulario con el error
+ */
+importController.uploadImport = (req, res) => {
+    try {
+        const { rows, error } = parseImportFile(req.file);
+
+        if (error) {
+            req.flash('error_msg', error);
+            return res.redirect('/notas/importar');
+        }
+
+        req.session.noteImport = {
+            fileName: req.file.originalname,
+            rows: validateImportRows(rows, req.user.id)
+        };
+
+        res.redirect(`/notas/importar/revisar?policy=${getPolicy(req.body.policy)}`);
+    } catch (error) {
+        logError('import.controller.uploadImport', error);
+        req.flash('error_msg', 'Error al leer el archivo');
+        res.redirect('/notas/importar');
+    }
+};
+
+/**
+ * Muestra la vista previa de la importación: qué se hará con cada fila
+ * según la política elegida y los errores de validación
+ *
+ * @function renderImportPreview
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista previa
+ */
+importController.renderImportPreview = async (req, res, next) => {
+    try {
+        const pending = req.session.noteImport;
+        if (!pending) {
+            req.flash('error_msg', 'No hay ninguna importación pendiente');
+            return res.redirect('/notas/importar');
+        }
+
+        const policy = getPolicy(req.query.policy);
+        const plan = await planImport(pending.rows, req.user.id, policy);
+
+        const summary = Object.keys(ACTION_LABELS).reduce((counts, action) => {
+            counts[action] = plan.filter(row => row.action === action).length;
+            return counts;
+        }, {});
+
+        res.render('notes/import-preview', {
+            title: 'Revisar importación',
+            fileName: pending.fileName,
+            policy,
+            policies: Object.entries(IMPORT_POLICIES).map(([value, label]) => ({ value, label, isSelected: value === policy })),
+            rows: plan.map(row => ({
+                ...row,
+                actionText: ACTION_LABELS[row.action],
+                isInvalid: row.action === 'invalid',
+                isSkipped: row.action === 'skip',
+                isRenamed: row.action === 'rename'
+            })),
+            summary,
+            importableCount: summary.create + summary.rename + summary.overwrite
+        });
+    } catch (error) {
+        logError('import.controller.renderImportPreview', error);
+        next(error);
+    }
+};
+
+/**
+ * Guarda las notas de la importación pendiente aplicando la política elegida.
+ * El plan se recalcula para tener en cuenta las notas creadas o editadas
+ * desde la vista previa.
+ *
+ * @function confirmImport
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la lista de notas con el resultado
+ */
+importController.confirmImport = async (req, res) => {
+    const pending = req.session.noteImport;
+    if (!pending) {
+        req.flash('error_msg', 'No hay ninguna importación pendiente');
+        return res.redirect('/notas/importar');
+    }
+
+    try {
+        const policy = getPolicy(req.body.policy);
+        const plan = await planImport(pending.rows, req.user.id, policy);
+        const result = { created: 0, overwritten: 0, skipped: 0, failed: 0 };
+
+        for (const row of plan) {
+            try {
+                if (row.action === 'create' || row.action === 'rename') {
+                    const note = await new Note({
+                        title: row.finalTitle,
+                        description: row.description,
+                        format: row.format,
+                        type: row.type,
+                        items: row.items,
+                        tags: row.tags,
+                        user: req.user.id
+                    }).save();
+                    await NoteRevision.record(note, req.user.id, { action: 'import' });
+                    result.created++;
+                } else if (row.action === 'overwrite') {
+                    const note = await Note.findOne({ _id: row.noteId, user: req.user.id, isActive: true });
+                    if (!note) {
+                        result.skipped++;
+                        continue;
+                    }
+
+                    await NoteRevision.ensureBaseline(note);
+                    note.description = row.description;
+                    note.format = row.format;
+                    note.type = row.type || 'text';
+                    note.items = row.items || [];
+                    note.tags = row.tags;
+                    await note.save();
+                    await NoteRevision.record(note, req.user.id, { action: 'import' });
+                    result.overwritten++;
+                } else {
+                    result.skipped++;
+                }
+            } catch (rowError) {
+                logError(`import.controller.confirmImport (${row.source})`, rowError);
+                result.failed++;
+            }
+        }
+
+        delete req.session.noteImport;
+
+        logNoteActivity(`Importación de notas - Usuario: ${req.user.id}, Archivo: "${pending.fileName}", Política: ${policy}, Creadas: ${result.created}, Sobrescritas: ${result.overwritten}, Omitidas: ${result.skipped}, Fallidas: ${result.failed}`);
+
+        const message = `Importación completada: ${result.created} nota(s) creada(s), ${result.overwritten} sobrescrita(s) y ${result.skipped} omitida(s)`;
+        if (result.failed) {
+            req.flash('error_msg', `${message}. ${result.failed} nota(s) no se pudieron guardar.`);
+        } else {
+            req.flash('success_msg', message);
+        }
+        res.redirect('/notas');
+    } catch (error) {
+        logError('import.controller.confirmImport', error);
+        req.flash('error_msg', 'Error al importar las notas');
+        res.redirect('/notas/importar/revisar');
+    }
+};
+
+/**
+ * Descarta la importación pendiente sin guardar ninguna nota
+ *
+ * @function cancelImport
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige al formulario de importación
+ */
+importController.cancelImport = (req, res) => {
+    delete req.session.noteImport;
+    req.flash('success_msg', 'Importación cancelada');
+    res.redirect('/notas/importar');
+};
+
+module.exports = importController;
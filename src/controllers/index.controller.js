@@ -9,8 +9,8 @@
 
 'use strict';
 
-const nodemailer = require('nodemailer');
 const Contact = require('../models/Contact');
+const { sendMail } = require('../helpers/mailer');
 
 // Objeto contenedor del controlador
 const indexController = {};
@@ -189,16 +189,6 @@ indexController.submitContact = async (req, res) => {
         
         // 2. Configurar y enviar correo electrónico
         try {
-            // Configurar el transportador de correo
-            // NOTA: Para producción, usa variables de entorno para las credenciales
-            const transporter = nodemailer.createTransport({
-                service: 'gmail', // Puedes usar otros servicios: outlook, yahoo, etc.
-                auth: {
-                    user: process.env.EMAIL_USER || 'tu-email@gmail.com', // Cambiar por tu email
-                    pass: process.env.EMAIL_PASS || 'tu-contraseña-de-aplicación' // Usar contraseña de aplicación
-                }
-            });
-            
             // Contenido del correo
             const mailOptions = {
                 from: `"Gestor de Notas - Contacto" <${process.env.EMAIL_USER || 'noreply@gestornotas.com'}>`,
@@ -251,8 +241,8 @@ ID: ${newContact._id}
                 `
             };
             
-            // Enviar el correo
-            await transporter.sendMail(mailOptions);
+            // Enviar el correo con el transporte configurado en helpers/mailer
+            await sendMail(mailOptions);
             
             // Éxito: guardado en BD y correo enviado
             req.flash('success_msg', '¡Mensaje enviado con éxito! Te responderemos pronto a tu correo.');
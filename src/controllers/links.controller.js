@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Controlador para los enlaces públicos de solo lectura a una nota
+ * El propietario crea enlaces con caducidad y contraseña opcionales, los lista
+ * y los revoca; cualquiera con el enlace ve la nota sin iniciar sesión
+ *
+ * @module controllers/links
+ * @author Diego Donoso
+ * @version 1.0.0
+ */
+
+'use strict';
+
+// Dependencias
+const Note = require('../models/Note');
+const ShareLink = require('../models/ShareLink');
+const LinkUnlockAttempt = require('../models/LinkUnlockAttempt');
+const { generateToken } = require('../helpers/tokens');
+const { getAppUrl } = require('../helpers/mailer');
+const { logNoteActivity, logError } = require('../helpers/logger');
+const { OBJECT_ID_REGEX, findAuthorizedNote } = require('../helpers/notes');
+const {
+    MAX_LINKS_PER_NOTE,
+    parseLinkExpiry,
+    validateLinkPassword,
+    findActiveLinks
+} = require('../helpers/links');
+const { getChecklistProgress } = require('../helpers/checklist');
+
+// Objeto contenedor del controlador
+const linksController = {};
+
+/**
+ * Máximo de enlaces con contraseña desbloqueados que se recuerdan por sesión
+ * @constant {number}
+ */
+const MAX_UNLOCKED_LINKS = 20;
+
+/**
+ * Cabeceras de las páginas públicas: no se indexan, no se guardan en caché
+ * y el token no se filtra a otros sitios a través del Referer
+ *
+ * @function setPublicHeaders
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void}
+ */
+const setPublicHeaders = (res) => {
+    res.set({
+        'X-Robots-Tag': 'noindex, nofollow',
+        'Referrer-Policy': 'no-referrer',
+        'Cache-Control': 'private, no-store'
+    });
+};
+
+/**
+ * Responde que el enlace no se puede usar (no existe, caducó, fue revocado o la nota ya no está)
+ *
+ * @function renderUnavailable
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Renderiza la vista pública con estado 404
+ */
+const renderUnavailable = (res) => {
+    res.status(404).render('notes/public-note', {
+        title: 'Enlace no disponible',
+        unavailable: true
+    });
+};
+
+/**
+ * Vuelve a mostrar el formulario de contraseña con un error
+ *
+ * @function renderPasswordForm
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {string} token - Token del enlace
+ * @param {number} status - Código de estado HTTP
+ * @param {string} message - Mensaje de error
+ * @returns {void}
+ */
+const renderPasswordForm = (res, token, status, message) => {
+    res.status(status).render('notes/public-note', {
+        title: 'Nota protegida',
+        requiresPassword: true,
+        token,
+        error_msg: message
+    });
+};
+
+/**
+ * Mensaje para los visitantes bloqueados por demasiados intentos fallidos
+ *
+ * @function lockedMessage
+ * @param {Date} lockUntil - Fin del bloqueo
+ * @returns {string} Mensaje con la hora a partir de la que se puede volver a intentar
+ */
+const lockedMessage = (lockUntil) => {
+    const unlockTime = lockUntil.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+    return `Demasiados intentos fallidos. Podrás volver a intentarlo a partir de las ${unlockTime}.`;
+};
+
+/**
+ * Busca el enlace activo y su nota a partir del token de la URL
+ *
+ * @async
+ * @function findLinkAndNote
+ * @param {string} token - Token en texto plano
+ * @returns {Promise<{link: (Document|null), note: (Object|null)}>}
+ */
+const findLinkAndNote = async (token) => {
+    const link = await ShareLink.findActiveByToken(token);
+    if (!link) {
+        return { link: null, note: null };
+    }
+
+    // findOne no pasa por el hook pre('find'): las notas de la papelera se excluyen aquí
+    const note = await Note.findOne({ _id: link.note, isActive: true }).lean();
+    return { link: note ? link : null, note };
+};
+
+/**
+ * Indica si el visitante ya introdujo la contraseña del enlace en esta sesión
+ *
+ * @function isUnlocked
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Document} link - Enlace público
+ * @returns {boolean}
+ */
+const isUnlocked = (req, link) => {
+    return !link.hasPassword || (req.session.unlockedShareLinks || []).includes(String(link._id));
+};
+
+/**
+ * Renderiza los enlaces públicos activos del usuario en todas sus notas
+ *
+ * @function renderLinks
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista de enlaces
+ */
+linksController.renderLinks = async (req, res, next) => {
+    try {
+        const links = await findActiveLinks({ user: req.user.id }, { withNote: true });
+
+        res.render('notes/links', {
+            title: 'Enlaces públicos',
+            links,
+            user: req.user
+        });
+    } catch (error) {
+        logError('links.controller.renderLinks', error);
+        req.flash('error_msg', 'Error al cargar los enlaces públicos');
+        next(error);
+    }
+};
+
+/**
+ * Crea un enlace público de solo lectura a una nota del usuario.
+ * El enlace completo solo se muestra en esta respuesta; después
+ * únicamente se conserva el hash del token.
+ *
+ * @function createLink
+ * @param {Object} req - Objeto de solicitud Express (expiresAt y password opcionales en el cuerpo)
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Renderiza la vista con el enlace recién creado
+ */
+linksController.createLink = async (req, res) => {
+    const noteId = req.params.id;
+    const noteUrl = OBJECT_ID_REGEX.test(String(noteId)) ? `/notas/ver/${noteId}` : '/notas';
+
+    try {
+        const { note, error } = await findAuthorizedNote(noteId, req.user.id);
+        if (error === 'invalid_id' || error === 'not_found') {
+            req.flash('error_msg', 'La nota no existe');
+            return res.redirect('/notas');
+        }
+
+        if (error === 'forbidden') {
+            console.warn(`Intento de crear un enlace público sin permiso a la nota ${noteId} por usuario ${req.user.id}`);
+            req.flash('error_msg', 'Solo el propietario puede crear enlaces públicos a esta nota');
+            return res.redirect(noteUrl);
+        }
+
+        const { expiresAt, error: expiryError } = parseLinkExpiry(req.body.expiresAt);
+        const passwordError = validateLinkPassword(req.body.password);
+        if (expiryError || passwordError) {
+            req.flash('error_msg', expiryError || passwordError);
+            return res.redirect(noteUrl);
+        }
+
+        const activeCount = await ShareLink.countDocuments({ note: note._id, ...ShareLink.activeFilter() });
+        if (activeCount >= MAX_LINKS_PER_NOTE) {
+            req.flash('error_msg', `Una nota no puede tener más de ${MAX_LINKS_PER_NOTE} enlaces públicos activos`);
+            return res.redirect(noteUrl);
+        }
+
+        const { token, hash } = generateToken({ bytes: 24 });
+
+        const link = new ShareLink({
+            note: note._id,
+            user: req.user.id,
+            tokenHash: hash,
+            tokenPrefix: token.substring(0, 8),
+            expiresAt
+        });
+        await link.setPassword(req.body.password);
+        await link.save();
+
+        logNoteActivity(`Enlace público creado - ID: ${link._id}, Nota: ${note._id}, Usuario: ${req.user.id}, Caduca: ${expiresAt ? expiresAt.toISOString() : 'nunca'}, Contraseña: ${link.hasPassword ? 'sí' : 'no'}`);
+
+        res.render('notes/link-created', {
+            title: 'Enlace público creado',
+            note,
+            linkUrl: `${getAppUrl(req)}/compartido/${token}`,
+            expiresAtText: expiresAt ? expiresAt.toLocaleString('es-ES') : null,
+            hasPassword: link.hasPassword,
+            success_msg: 'Enlace creado correctamente. Cópialo ahora: no volverá a mostrarse.',
+            user: req.user
+        });
+    } catch (error) {
+        logError('links.controller.createLink', error);
+        req.flash('error_msg', 'Error al crear el enlace público');
+        res.redirect(noteUrl);
+    }
+};
+
+/**
+ * Revoca un enlace público del usuario
+ *
+ * @function revokeLink
+ * @param {Object} req - Objeto de solicitud Express (from=note en el cuerpo para volver a la nota)
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la nota o a la lista de enlaces
+ */
+linksController.revokeLink = async (req, res) => {
+    try {
+        const linkId = req.params.id;
+        const link = OBJECT_ID_REGEX.test(String(linkId))
+            ? await ShareLink.findOne({ _id: linkId, user: req.user.id, revokedAt: null })
+            : null;
+        if (!link) {
+            req.flash('error_msg', 'El enlace no existe o ya fue revocado');
+            return res.redirect('/notas/enlaces');
+        }
+
+        await link.revoke();
+
+        logNoteActivity(`Enlace público revocado - ID: ${link._id}, Nota: ${link.note}, Usuario: ${req.user.id}, Visitas: ${link.views}`);
+        req.flash('success_msg', 'Enlace revocado: ya no da acceso a la nota');
+        res.redirect(req.body.from === 'note' ? `/notas/ver/${link.note}` : '/notas/enlaces');
+    } catch (error) {
+        logError('links.controller.revokeLink', error);
+        req.flash('error_msg', 'Error al revocar el enlace');
+        res.redirect('/notas/enlaces');
+    }
+};
+
+/**
+ * Muestra la nota de un enlace público sin iniciar sesión, o el formulario
+ * de contraseña si el enlace la pide. Cada visita a la nota se cuenta.
+ *
+ * @function renderPublicNote
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la nota, el formulario de contraseña o la página 404
+ */
+linksController.renderPublicNote = async (req, res, next) => {
+    try {
+        setPublicHeaders(res);
+
+        const { link, note } = await findLinkAndNote(req.params.token);
+        if (!link) {
+            return renderUnavailable(res);
+        }
+
+        if (!isUnlocked(req, link)) {
+            return res.render('notes/public-note', {
+                title: 'Nota protegida',
+                requiresPassword: true,
+                token: req.params.token
+            });
+        }
+
+        await link.registerView();
+
+        res.render('notes/public-note', {
+            title: note.title,
+            note,
+            progress: note.type === 'checklist' ? getChecklistProgress(note.items) : null,
+            expiresAtText: link.expiresAt ? link.expiresAt.toLocaleString('es-ES') : null
+        });
+    } catch (error) {
+        logError('links.controller.renderPublicNote', error);
+        next(error);
+    }
+};
+
+/**
+ * Comprueba la contraseña de un enlace público y la recuerda durante la sesión.
+ * Tras varios intentos fallidos se bloquea la IP en ese enlace y, si los fallos
+ * vienen de muchas direcciones, el enlace entero durante un tiempo.
+ *
+ * @function unlockPublicNote
+ * @param {Object} req - Objeto de solicitud Express (password en el cuerpo)
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige a la nota o vuelve a mostrar el formulario
+ */
+linksController.unlockPublicNote = async (req, res, next) => {
+    try {
+        setPublicHeaders(res);
+
+        const { link } = await findLinkAndNote(req.params.token);
+        if (!link) {
+            return renderUnavailable(res);
+        }
+
+        // Comprobar el bloqueo antes de comparar la contraseña
+        const ip = req.ip || 'desconocida';
+        const activeLock = await LinkUnlockAttempt.findLock(link._id, ip);
+        if (activeLock) {
+            logNoteActivity(`Intento rechazado en enlace público bloqueado - ID: ${link._id}, IP: ${ip}, Hasta: ${activeLock.toISOString()}`);
+            return renderPasswordForm(res, req.params.token, 429, lockedMessage(activeLock));
+        }
+
+        if (!await link.comparePassword(req.body.password)) {
+            const lockUntil = await LinkUnlockAttempt.registerFailure(link._id, ip);
+            logNoteActivity(`Contraseña incorrecta en enlace público - ID: ${link._id}, IP: ${ip}${lockUntil ? `, Bloqueado hasta: ${lockUntil.toISOString()}` : ''}`);
+            return lockUntil
+                ? renderPasswordForm(res, req.params.token, 429, lockedMessage(lockUntil))
+                : renderPasswordForm(res, req.params.token, 401, 'La contraseña no es correcta');
+        }
+
+        await LinkUnlockAttempt.clear(link._id, ip);
+
+        const unlocked = (req.session.unlockedShareLinks || []).filter(id => id !== String(link._id));
+        req.session.unlockedShareLinks = [...unlocked, String(link._id)].slice(-MAX_UNLOCKED_LINKS);
+
+        res.redirect(`/compartido/${req.params.token}`);
+    } catch (error) {
+        logError('links.controller.unlockPublicNote', error);
+        next(error);
+    }
+};
+
+module.exports = linksController;
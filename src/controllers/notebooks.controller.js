@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Controlador para gestionar las libretas (carpetas) de notas
+ * Permite crear, renombrar, anidar y eliminar libretas; al eliminar una libreta
+ * sus notas se envían a la papelera o se mueven a otra libreta
+ *
+ * @module controllers/notebooks
+ * @author Diego Donoso
+ * @version 1.0.0
+ */
+
+'use strict';
+
+// Dependencias
+const Note = require('../models/Note');
+const Notebook = require('../models/Notebook');
+const { logNoteActivity, logError } = require('../helpers/logger');
+const { OBJECT_ID_REGEX, formatValidationErrors } = require('../helpers/notes');
+const { findNotebookTree, resolveNotebook } = require('../helpers/notebooks');
+
+// Objeto contenedor del controlador
+const notebooksController = {};
+
+/**
+ * Mensaje para los nombres repetidos dentro de una misma libreta
+ * @constant {string}
+ */
+const DUPLICATE_NAME_MESSAGE = 'Ya existe una libreta con ese nombre en la misma ubicación';
+
+/**
+ * Busca una libreta del usuario a partir del ID de la ruta
+ *
+ * @async
+ * @function findOwnedNotebook
+ * @param {string} notebookId - ID de la libreta
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Document|null>} Libreta o null si no existe o no pertenece al usuario
+ */
+const findOwnedNotebook = async (notebookId, userId) => {
+    if (!OBJECT_ID_REGEX.test(String(notebookId))) {
+        return null;
+    }
+    return Notebook.findOne({ _id: notebookId, user: userId });
+};
+
+/**
+ * Traduce los errores al guardar una libreta a un mensaje para el usuario
+ *
+ * @function getSaveErrorMessage
+ * @param {Error} error - Error capturado
+ * @returns {string|null} Mensaje o null si el error no es esperado
+ */
+const getSaveErrorMessage = (error) => {
+    if (error.code === 11000) {
+        return DUPLICATE_NAME_MESSAGE;
+    }
+
+    const errors = formatValidationErrors(error);
+    return errors ? errors.map(err => err.message).join(' ') : null;
+};
+
+/**
+ * Renderiza la página de libretas: el árbol con el número de notas de cada una
+ * y los formularios para crearlas, editarlas y eliminarlas
+ *
+ * @function renderNotebooks
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista de libretas
+ */
+notebooksController.renderNotebooks = async (req, res, next) => {
+    try {
+        const { notebooks, unfiledCount } = await findNotebookTree(req.user.id);
+
+        // Una libreta no puede moverse dentro de sí misma ni de sus subcarpetas:
+        // en el árbol aplanado, sus subcarpetas son las siguientes con más profundidad
+        const items = notebooks.map((notebook, index) => {
+            const excluded = new Set([notebook._id]);
+            for (let i = index + 1; i < notebooks.length && notebooks[i].depth > notebook.depth; i++) {
+                excluded.add(notebooks[i]._id);
+            }
+
+            const targets = notebooks
+                .filter(option => !excluded.has(option._id))
+                .map(option => ({
+                    _id: option._id,
+                    label: `${'— '.repeat(option.depth)}${option.name}`,
+                    isParent: option._id === notebook.parent
+                }));
+
+            return {
+                ...notebook,
+                indent: notebook.depth * 1.5,
+                hasChildren: excluded.size > 1,
+                targets
+            };
+        });
+
+        res.render('notes/notebooks', {
+            title: 'Libretas',
+            notebooks: items,
+            parentOptions: notebooks.map(option => ({
+                _id: option._id,
+                label: `${'— '.repeat(option.depth)}${option.name}`
+            })),
+            unfiledCount,
+            user: req.user
+        });
+    } catch (error) {
+        logError('notebooks.controller.renderNotebooks', error);
+        next(error);
+    }
+};
+
+/**
+ * Crea una libreta, en la raíz o dentro de otra libreta del usuario
+ *
+ * @function createNotebook
+ * @param {Object} req - Objeto de solicitud Express (name y parent en el cuerpo)
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la página de libretas
+ */
+notebooksController.createNotebook = async (req, res) => {
+    try {
+        const { notebookId: parent, error } = await resolveNotebook(req.body.parent, req.user.id);
+        if (error) {
+            req.flash('error_msg', 'La libreta superior no existe');
+            return res.redirect('/notas/libretas');
+        }
+
+        const notebook = await new Notebook({ name: req.body.name, parent, user: req.user.id }).save();
+
+        logNoteActivity(`Libreta creada - ID: ${notebook._id}, Usuario: ${req.user.id}, Nombre: "${notebook.name}"`);
+        req.flash('success_msg', 'Libreta creada correctamente');
+        res.redirect('/notas/libretas');
+    } catch (error) {
+        const message = getSaveErrorMessage(error);
+        if (!message) {
+            logError('notebooks.controller.createNotebook', error);
+        }
+        req.flash('error_msg', message || 'Error al crear la libreta');
+        res.redirect('/notas/libretas');
+    }
+};
+
+/**
+ * Renombra una libreta o la mueve dentro de otra
+ *
+ * @function updateNotebook
+ * @param {Object} req - Objeto de solicitud Express (name y parent en el cuerpo)
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la página de libretas
+ */
+notebooksController.updateNotebook = async (req, res) => {
+    try {
+        const notebook = await findOwnedNotebook(req.params.id, req.user.id);
+        if (!notebook) {
+            req.flash('error_msg', 'La libreta no existe');
+            return res.redirect('/notas/libretas');
+        }
+
+        const { notebookId: parent, error } = await resolveNotebook(req.body.parent, req.user.id);
+        if (error) {
+            req.flash('error_msg', 'La libreta superior no existe');
+            return res.redirect('/notas/libretas');
+        }
+
+        // Evitar ciclos: la libreta no puede quedar dentro de sí misma ni de una subcarpeta suya
+        if (parent) {
+            const descendantIds = await Notebook.findDescendantIds(notebook._id, req.user.id);
+            if (parent === String(notebook._id) || descendantIds.some(id => String(id) === parent)) {
+                req.flash('error_msg', 'Una libreta no puede moverse dentro de sí misma ni de sus subcarpetas');
+                return res.redirect('/notas/libretas');
+            }
+        }
+
+        notebook.name = req.body.name;
+        notebook.parent = parent;
+        await notebook.save();
+
+        logNoteActivity(`Libreta actualizada - ID: ${notebook._id}, Usuario: ${req.user.id}, Nombre: "${notebook.name}", Superior: ${parent || 'ninguna'}`);
+        req.flash('success_msg', 'Libreta actualizada correctamente');
+        res.redirect('/notas/libretas');
+    } catch (error) {
+        const message = getSaveErrorMessage(error);
+        if (!message) {
+            logError('notebooks.controller.updateNotebook', error);
+        }
+        req.flash('error_msg', message || 'Error al actualizar la libreta');
+        res.redirect('/notas/libretas');
+    }
+};
+
+/**
+ * Elimina una libreta. Con mode=move sus notas y subcarpetas pasan a la libreta
+ * de destino (o a la raíz); con mode=cascade se eliminan también sus subcarpetas
+ * y todas sus notas se envían a la papelera.
+ *
+ * @function deleteNotebook
+ * @param {Object} req - Objeto de solicitud Express (mode y target en el cuerpo)
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la página de libretas
+ */
+notebooksController.deleteNotebook = async (req, res) => {
+    try {
+        const notebook = await findOwnedNotebook(req.params.id, req.user.id);
+        if (!notebook) {
+            req.flash('error_msg', 'La libreta no existe');
+            return res.redirect('/notas/libretas');
+        }
+
+        const userId = req.user.id;
+        const descendantIds = await Notebook.findDescendantIds(notebook._id, userId);
+
+        if (req.body.mode === 'cascade') {
+            const notebookIds = [notebook._id, ...descendantIds];
+
+            // Las notas de la papelera también dejan de apuntar a las libretas eliminadas
+            const trashed = await Note.updateMany(
+                { user: userId, notebook: { $in: notebookIds }, isActive: true },
+                { isActive: false, deletedAt: new Date() }
+            );
+            await Note.updateMany({ user: userId, notebook: { $in: notebookIds } }, { notebook: null });
+            await Notebook.deleteMany({ _id: { $in: notebookIds }, user: userId });
+
+            logNoteActivity(`Libreta eliminada con su contenido - ID: ${notebook._id}, Usuario: ${userId}, Subcarpetas: ${descendantIds.length}, Notas a la papelera: ${trashed.modifiedCount}`);
+            req.flash('success_msg', `Libreta eliminada; ${trashed.modifiedCount} nota(s) enviada(s) a la papelera`);
+            return res.redirect('/notas/libretas');
+        }
+
+        if (req.body.mode !== 'move') {
+            req.flash('error_msg', 'Elige qué hacer con las notas de la libreta');
+            return res.redirect('/notas/libretas');
+        }
+
+        const { notebookId: target, error } = await resolveNotebook(req.body.target, userId);
+        if (error || (target && (target === String(notebook._id) || descendantIds.some(id => String(id) === target)))) {
+            req.flash('error_msg', 'La libreta de destino no es válida');
+            return res.redirect('/notas/libretas');
+        }
+
+        // Las subcarpetas pasan al destino: sus nombres no pueden coincidir con los que ya hay allí
+        const children = await Notebook.find({ user: userId, parent: notebook._id }).select('name').lean();
+        if (children.length) {
+            const clash = await Notebook.findOne({ user: userId, parent: target, name: { $in: children.map(child => child.name) } })
+                .collation({ locale: 'es', strength: 2 })
+                .lean();
+            if (clash) {
+                req.flash('error_msg', `El destino ya tiene una libreta llamada "${clash.name}"`);
+                return res.redirect('/notas/libretas');
+            }
+        }
+
+        const moved = await Note.updateMany({ user: userId, notebook: notebook._id }, { notebook: target }, { timestamps: false });
+        await Notebook.updateMany({ user: userId, parent: notebook._id }, { parent: target });
+        await notebook.deleteOne();
+
+        logNoteActivity(`Libreta eliminada moviendo su contenido - ID: ${notebook._id}, Usuario: ${userId}, Destino: ${target || 'ninguna'}, Notas movidas: ${moved.modifiedCount}`);
+        req.flash('success_msg', `Libreta eliminada; ${moved.modifiedCount} nota(s) movida(s)`);
+        res.redirect('/notas/libretas');
+    } catch (error) {
+        logError('notebooks.controller.deleteNotebook', error);
+        req.flash('error_msg', 'Error al eliminar la libreta');
+        res.redirect('/notas/libretas');
+    }
+};
+
+module.exports = notebooksController;
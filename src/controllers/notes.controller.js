@@ -11,12 +11,70 @@
 
 // Dependencias
 const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const Attachment = require('../models/Attachment');
 const { validationResult } = require('express-validator');
 const { logNoteActivity, logError } = require('../helpers/logger');
+const { revisionToText, buildLineDiff } = require('../helpers/diff');
+const { renderMarkdown } = require('../helpers/markdown');
+const { EXPORT_FORMATS } = require('../helpers/export');
+const { BULK_ACTIONS } = require('../helpers/bulk');
+const { findNotebookTree, findNotebookOptions, resolveNotebook } = require('../helpers/notebooks');
+const { SHARE_ROLES, getNoteAbilities } = require('../helpers/permissions');
+const { LINK_PASSWORD_LENGTH, findActiveLinks } = require('../helpers/links');
+const { RECURRENCES, toDateInputValue, formatReminders, canReceiveReminders } = require('../helpers/reminders');
+const { getAttachmentLimits, formatBytes, formatAttachments, findThumbnails } = require('../helpers/attachments');
+const { parseChecklistText, checklistToText, isSameChecklist, getChecklistProgress } = require('../helpers/checklist');
+const {
+    findNotesPage,
+    searchNotesPage,
+    findAuthorizedNote,
+    parseTags,
+    parseSearchTerms,
+    buildSearchExcerpt,
+    buildListUrl,
+    getReturnUrl,
+    getTrashRetentionDays,
+    formatValidationErrors,
+    NO_NOTEBOOK
+} = require('../helpers/notes');
 
 // Objeto contenedor del controlador
 const notesController = {};
 
+/**
+ * Lee el contenido de la nota enviado por los formularios de creación, edición y conflicto.
+ * Las listas de tareas envían sus elementos como texto, uno por línea.
+ *
+ * @function readNoteContent
+ * @param {Object} body - Cuerpo de la solicitud
+ * @returns {{title: string, description: string, format: string, type: string, items: Array<Object>, tags: string[]}}
+ */
+const readNoteContent = (body) => {
+    const type = body.type === 'checklist' ? 'checklist' : 'text';
+
+    return {
+        title: typeof body.title === 'string' ? body.title.trim() : '',
+        description: typeof body.description === 'string' ? body.description.trim() : '',
+        format: body.format === 'markdown' ? 'markdown' : 'plain',
+        type,
+        items: type === 'checklist' ? parseChecklistText(body.items) : [],
+        tags: parseTags(body.tags)
+    };
+};
+
+/**
+ * Mensaje para el usuario cuando la nota no supera la validación del esquema
+ *
+ * @function getValidationMessage
+ * @param {Error} error - Error capturado al guardar
+ * @returns {string|null} Mensajes de validación o null si el error es de otro tipo
+ */
+const getValidationMessage = (error) => {
+    const errors = formatValidationErrors(error);
+    return errors ? errors.map(err => err.message).join(' ') : null;
+};
+
 /**
  * Renderiza el formulario para crear una nueva nota
  * 
@@ -26,11 +84,13 @@ const notesController = {};
  * @param {Function} next - Función para pasar control al siguiente middleware
  * @returns {void} Renderiza la vista del formulario de nota nueva
  */
-notesController.renderNoteForm = (req, res, next) => {
+notesController.renderNoteForm = async (req, res, next) => {
     try {
         const viewData = {
             title: 'Crear nueva nota',
             isEdit: false,
+            // Desde una libreta, la nota nueva se crea en ella
+            notebookOptions: await findNotebookOptions(req.user.id, req.query.notebook),
             user: req.user,
             csrfToken: req.csrfToken ? req.csrfToken() : null
         };
@@ -62,36 +122,150 @@ notesController.createNewNote = async (req, res, next) => {
                 errors: errors.array(),
                 title: req.body.title,
                 description: req.body.description,
+                tags: req.body.tags,
+                format: req.body.format,
+                type: req.body.type,
+                items: req.body.items,
+                notebookOptions: await findNotebookOptions(req.user.id, req.body.notebook),
                 user: req.user
             });
         }
         
         // Sanitización y extracción de datos
-        const { title, description } = req.body;
+        const content = readNoteContent(req.body);
+        
+        // La libreta elegida debe pertenecer al usuario
+        const { notebookId, error: notebookError } = await resolveNotebook(req.body.notebook, req.user.id);
+        if (notebookError) {
+            req.flash('error_msg', 'La libreta elegida no existe');
+            return res.redirect('/notas/agregar');
+        }
         
         // Creación de la nota
         const newNote = new Note({
-            title: title.trim(),
-            description: description.trim(),
+            ...content,
+            notebook: notebookId,
             user: req.user.id
         });
         
-        // Guardar en la base de datos
+        // Guardar en la base de datos junto con su primera revisión
         const savedNote = await newNote.save();
+        await NoteRevision.record(savedNote, req.user.id, { action: 'create' });
         
         // Registro de actividad y respuesta
-        logNoteActivity(`Nueva nota creada - ID: ${savedNote._id}, Usuario: ${req.user.id}, Título: "${title}"`);
+        logNoteActivity(`Nueva nota creada - ID: ${savedNote._id}, Usuario: ${req.user.id}, Título: "${content.title}"`);
         req.flash('success_msg', 'Nota creada correctamente');
         res.redirect('/notas');
     } catch (error) {
-        logError('notes.controller.createNewNote', error);
-        req.flash('error_msg', 'Error al crear la nota');
+        const validationMessage = getValidationMessage(error);
+        if (!validationMessage) {
+            logError('notes.controller.createNewNote', error);
+        }
+        req.flash('error_msg', validationMessage || 'Error al crear la nota');
         res.redirect('/notas/agregar');
     }
 };
 
 /**
- * Renderiza la lista de notas del usuario con paginación y filtros
+ * Renderiza la lista principal o el archivo de notas con paginación y filtros.
+ * Ambas páginas comparten la vista; cambian la ruta base y las acciones masivas.
+ *
+ * @async
+ * @function renderNotesList
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {boolean} archived - true para el archivo, false para la lista principal
+ * @returns {Promise<void>}
+ */
+const renderNotesList = async (req, res, archived) => {
+    const basePath = archived ? '/notas/archivo' : '/notas';
+    
+    // Paginación, búsqueda y consulta compartidas con la API
+    const [{ notes, pagination, search, tag, notebook, pending }, tagCloud, notebookTree] = await Promise.all([
+        findNotesPage({ ...req.query, archived: String(archived) }, req.user.id),
+        Note.tagCloud(req.user.id),
+        findNotebookTree(req.user.id, { archived })
+    ]);
+    
+    // Miniaturas de las imágenes adjuntas y progreso de las listas de tareas
+    const thumbnails = await findThumbnails(notes.map(note => note._id), req.user.id);
+    notes.forEach(note => {
+        note.thumbnails = thumbnails.get(String(note._id)) || null;
+        note.progress = note.type === 'checklist' ? getChecklistProgress(note.items) : null;
+    });
+    
+    // El filtro de tareas pendientes viaja en los enlaces como pending=true
+    const pendingParam = pending ? 'true' : '';
+    
+    // Enlaces de paginación que conservan la búsqueda, la etiqueta, la libreta y el filtro de pendientes
+    if (pagination.hasPrevPage) {
+        pagination.prevUrl = buildListUrl(basePath, { search, tag, notebook, pending: pendingParam, page: pagination.prevPage });
+    }
+    if (pagination.hasNextPage) {
+        pagination.nextUrl = buildListUrl(basePath, { search, tag, notebook, pending: pendingParam, page: pagination.nextPage });
+    }
+    
+    // Enlaces de la nube de etiquetas que conservan la búsqueda, la libreta y el filtro de pendientes
+    const tags = tagCloud.map(item => ({
+        ...item,
+        isActive: item.tag === tag,
+        url: buildListUrl(basePath, { search, notebook, pending: pendingParam, tag: item.tag === tag ? '' : item.tag })
+    }));
+    
+    // Barra lateral de libretas con el número de notas de cada una
+    const notebooks = notebookTree.notebooks.map(item => ({
+        ...item,
+        indent: item.depth * 0.75,
+        isActive: item._id === notebook,
+        url: buildListUrl(basePath, { search, tag, pending: pendingParam, notebook: item._id })
+    }));
+    const activeNotebook = notebooks.find(item => item.isActive);
+    
+    // Enlaces de exportación con los mismos filtros que la lista
+    const exportLinks = Object.entries(EXPORT_FORMATS).map(([format, { label }]) => ({
+        label,
+        url: buildListUrl('/notas/exportar', { search, tag, notebook, pending: pendingParam, archived: archived ? 'true' : '', format })
+    }));
+    
+    // Acciones masivas sobre las notas seleccionadas (restaurar solo se usa en la papelera
+    // y cada página ofrece archivar o desarchivar, según corresponda)
+    const bulkActions = Object.entries(BULK_ACTIONS)
+        .filter(([value, { inTrash }]) => !inTrash && value !== (archived ? 'archive' : 'unarchive'))
+        .map(([value, { label, requiresTags, requiresNotebook }]) => ({ value, label, requiresTags, requiresNotebook }));
+    
+    // Renderizar vista con datos
+    res.render('notes/all-notes', {
+        notes,
+        pagination,
+        search,
+        tag,
+        tags,
+        archived,
+        basePath,
+        notebook,
+        notebooks,
+        activeNotebook,
+        isUnfiled: notebook === NO_NOTEBOOK,
+        unfiledCount: notebookTree.unfiledCount,
+        allNotesUrl: buildListUrl(basePath, { search, tag, pending: pendingParam }),
+        unfiledUrl: buildListUrl(basePath, { search, tag, pending: pendingParam, notebook: NO_NOTEBOOK }),
+        newNoteUrl: buildListUrl('/notas/agregar', { notebook: activeNotebook ? notebook : '' }),
+        exportLinks,
+        bulkActions,
+        exportFormats: Object.entries(EXPORT_FORMATS).map(([value, { label }]) => ({ value, label })),
+        returnUrl: buildListUrl(basePath, { search, tag, notebook, pending: pendingParam, page: pagination.currentPage }),
+        isFiltered: Boolean(search || tag || notebook || pending),
+        clearTagUrl: buildListUrl(basePath, { search, notebook, pending: pendingParam }),
+        pending,
+        pendingToggleUrl: buildListUrl(basePath, { search, tag, notebook, pending: pending ? '' : 'true' }),
+        relevanceUrl: search ? buildListUrl('/notas/buscar', { q: search, tag }) : null,
+        user: req.user
+    });
+};
+
+/**
+ * Renderiza la lista de notas del usuario con paginación y filtros.
+ * Las notas fijadas aparecen primero y las archivadas solo al buscar texto.
  * 
  * @function renderNotes
  * @param {Object} req - Objeto de solicitud Express
@@ -103,59 +277,7 @@ notesController.createNewNote = async (req, res, next) => {
  */
 notesController.renderNotes = async (req, res, next) => {
     try {
-        // Parámetros de paginación y filtrado
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const skip = (page - 1) * limit;
-        const search = req.query.search || '';
-        
-        // Construir filtro de búsqueda
-        const filter = { 
-            user: req.user.id,
-            isActive: true // Solo mostrar notas activas
-        };
-        
-        // Añadir búsqueda por texto si se proporciona
-        if (search) {
-            filter.$or = [
-                { title: new RegExp(search, 'i') },
-                { description: new RegExp(search, 'i') }
-            ];
-        }
-        
-        // Consultas paralelas para eficiencia
-        const [notes, totalNotes] = await Promise.all([
-            // Obtener notas con paginación
-            Note.find(filter)
-                .sort({ updatedAt: -1 })
-                .skip(skip)
-                .limit(limit)
-                .lean(),
-            
-            // Contar total para paginación
-            Note.countDocuments(filter)
-        ]);
-        
-        // Calcular metadatos de paginación
-        const totalPages = Math.ceil(totalNotes / limit);
-        const hasNextPage = page < totalPages;
-        const hasPrevPage = page > 1;
-        
-        // Renderizar vista con datos
-        res.render('notes/all-notes', {
-            notes,
-            pagination: {
-                currentPage: page,
-                hasNextPage,
-                hasPrevPage,
-                nextPage: hasNextPage ? page + 1 : null,
-                prevPage: hasPrevPage ? page - 1 : null,
-                totalPages,
-                totalItems: totalNotes
-            },
-            search,
-            user: req.user
-        });
+        await renderNotesList(req, res, false);
     } catch (error) {
         console.error('Error al obtener notas:', error);
         req.flash('error_msg', 'Error al cargar las notas');
@@ -163,6 +285,25 @@ notesController.renderNotes = async (req, res, next) => {
     }
 };
 
+/**
+ * Renderiza el archivo: las notas archivadas del usuario con paginación y filtros
+ * 
+ * @function renderArchive
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista con las notas archivadas
+ */
+notesController.renderArchive = async (req, res, next) => {
+    try {
+        await renderNotesList(req, res, true);
+    } catch (error) {
+        console.error('Error al obtener el archivo:', error);
+        req.flash('error_msg', 'Error al cargar el archivo');
+        next(error);
+    }
+};
+
 /**
  * Renderiza el formulario de edición para una nota existente
  * con verificación de propiedad y validación de entradas
@@ -177,34 +318,40 @@ notesController.renderNotes = async (req, res, next) => {
  */
 notesController.renderEditForm = async (req, res, next) => {
     try {
-        // Validar formato del ID
         const noteId = req.params.id;
-        if (!noteId.match(/^[0-9a-fA-F]{24}$/)) {
+        
+        // Buscar la nota y verificar que el usuario pueda editarla (propietario o editor)
+        const { note, role, error } = await findAuthorizedNote(noteId, req.user.id, { permission: 'edit', lean: true });
+        
+        if (error === 'invalid_id') {
             req.flash('error_msg', 'ID de nota inválido');
             return res.redirect('/notas');
         }
         
-        // Buscar la nota por ID
-        const note = await Note.findById(noteId).lean();
-        
         // Verificar si la nota existe
-        if (!note) {
+        if (error === 'not_found') {
             req.flash('error_msg', 'La nota solicitada no existe');
             return res.redirect('/notas');
         }
         
         // Verificar propiedad de la nota
-        if (String(note.user) !== String(req.user.id)) {
+        if (error === 'forbidden') {
             console.warn(`Intento de acceso no autorizado a nota ${noteId} por usuario ${req.user.id}`);
             req.flash('error_msg', 'No tienes permiso para editar esta nota');
             return res.redirect('/notas');
         }
         
-        // Renderizar vista de edición
+        // Renderizar vista de edición (la libreta solo la elige el propietario)
+        const canManage = role === 'owner';
         res.render('notes/edit-notes', {
             note,
             title: 'Editar nota',
             isEdit: true,
+            canManage,
+            notebookOptions: canManage ? await findNotebookOptions(req.user.id, note.notebook) : [],
+            // Versión con la que se abre el formulario (las notas antiguas no la tienen guardada)
+            version: note.version || 0,
+            itemsText: checklistToText(note.items),
             user: req.user,
             csrfToken: req.csrfToken ? req.csrfToken() : null
         });
@@ -215,6 +362,43 @@ notesController.renderEditForm = async (req, res, next) => {
     }
 };
 
+/**
+ * Muestra el conflicto de edición cuando la nota cambió mientras el usuario la
+ * editaba: su versión y la guardada lado a lado, con las diferencias entre ambas,
+ * para combinarlas, sobrescribir la guardada o descartar sus cambios
+ *
+ * @async
+ * @function renderConflict
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Object} conflict - Datos del conflicto
+ * @param {Document} conflict.note - Nota tal y como está guardada ahora
+ * @param {Object} conflict.mine - Contenido enviado por el usuario (title, description, format, type, items, tags)
+ * @param {boolean} conflict.canManage - Indica si el usuario es el propietario
+ * @returns {Promise<void>}
+ */
+const renderConflict = async (req, res, { note, mine, canManage }) => {
+    const lastRevision = await NoteRevision.findOne({ note: note._id })
+        .sort({ version: -1 })
+        .populate('editedBy', 'name')
+        .lean();
+
+    logNoteActivity(`Conflicto de edición - ID: ${note._id}, Usuario: ${req.user.id}, Versión enviada: ${req.body.version}, Versión actual: ${note.version}`);
+
+    res.status(409).render('notes/conflict', {
+        title: 'Conflicto de edición',
+        note,
+        mine: { ...mine, tagsText: mine.tags.join(', '), itemsText: checklistToText(mine.items) },
+        savedItemsText: checklistToText(note.items),
+        savedBy: lastRevision && lastRevision.editedBy ? lastRevision.editedBy.name : null,
+        savedAt: note.updatedAt.toLocaleString('es-ES'),
+        diff: buildLineDiff(revisionToText(note), revisionToText(mine)),
+        canManage,
+        notebook: canManage ? req.body.notebook : null,
+        user: req.user
+    });
+};
+
 /**
  * Actualiza una nota existente con validación de propiedad y sanitización
  * 
@@ -230,6 +414,21 @@ notesController.updateNote = async (req, res, next) => {
     try {
         const noteId = req.params.id;
         
+        // Verificar si la nota existe y el usuario puede editarla (propietario o editor)
+        const { note, role, error } = await findAuthorizedNote(noteId, req.user.id, { permission: 'edit' });
+        if (error === 'invalid_id' || error === 'not_found') {
+            req.flash('error_msg', 'La nota no existe');
+            return res.redirect('/notas');
+        }
+        
+        if (error === 'forbidden') {
+            console.warn(`Intento de modificación no autorizada a nota ${noteId} por usuario ${req.user.id}`);
+            req.flash('error_msg', 'No tienes permiso para modificar esta nota');
+            return res.redirect('/notas');
+        }
+        
+        const canManage = role === 'owner';
+        
         // Validación de entradas
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -237,36 +436,78 @@ notesController.updateNote = async (req, res, next) => {
                 note: { 
                     _id: noteId,
                     title: req.body.title,
-                    description: req.body.description
+                    description: req.body.description,
+                    tags: req.body.tags,
+                    format: req.body.format,
+                    type: req.body.type
                 },
+                itemsText: req.body.items,
                 errors: errors.array(),
+                canManage,
+                notebookOptions: canManage ? await findNotebookOptions(req.user.id, req.body.notebook) : [],
+                version: req.body.version,
                 user: req.user
             });
         }
         
-        // Verificar si la nota existe y pertenece al usuario
-        const note = await Note.findById(noteId);
-        if (!note) {
-            req.flash('error_msg', 'La nota no existe');
-            return res.redirect('/notas');
+        const mine = readNoteContent(req.body);
+        
+        // Otra pestaña u otro usuario guardó la nota después de abrir el formulario
+        if (note.isStaleVersion(req.body.version)) {
+            return renderConflict(req, res, { note, mine, canManage });
         }
         
-        if (String(note.user) !== String(req.user.id)) {
-            console.warn(`Intento de modificación no autorizada a nota ${noteId} por usuario ${req.user.id}`);
-            req.flash('error_msg', 'No tienes permiso para modificar esta nota');
-            return res.redirect('/notas');
+        // Solo el propietario cambia la nota de libreta (las libretas son suyas)
+        if (canManage) {
+            const { notebookId, error: notebookError } = await resolveNotebook(req.body.notebook, req.user.id);
+            if (notebookError) {
+                req.flash('error_msg', 'La libreta elegida no existe');
+                return res.redirect(`/notas/editar/${noteId}`);
+            }
+            note.notebook = notebookId;
         }
         
-        // Actualizar la nota con sanitización
-        const { title, description } = req.body;
-        note.title = title.trim();
-        note.description = description.trim();
+        // Conservar el contenido previo si la nota aún no tiene historial
+        await NoteRevision.ensureBaseline(note);
+        
+        // Actualizar la nota con el contenido ya sanitizado. Los elementos de la lista
+        // solo se sustituyen si cambió su texto o su orden, para conservar sus IDs y las
+        // casillas marcadas mientras tanto (el formulario trae las que había al abrirlo)
+        const { items, ...fields } = mine;
+        Object.assign(note, fields);
+        if (!isSameChecklist(items, note.items)) {
+            note.items = items;
+        }
+        
+        // Solo se registra una revisión si el contenido cambió (cambiar de libreta no es una revisión)
+        const hasChanges = note.isModified(Note.CONTENT_FIELDS);
         note.updatedAt = Date.now(); // Actualizar timestamp explícitamente
         
-        await note.save();
+        try {
+            await note.save();
+        } catch (error) {
+            const validationMessage = getValidationMessage(error);
+            if (validationMessage) {
+                req.flash('error_msg', validationMessage);
+                return res.redirect(`/notas/editar/${noteId}`);
+            }
+            
+            // La nota cambió entre la lectura y el guardado: se muestra el conflicto con la versión nueva
+            if (error.name !== 'DocumentNotFoundError') {
+                throw error;
+            }
+            const { note: current } = await findAuthorizedNote(noteId, req.user.id, { permission: 'edit' });
+            if (!current) {
+                throw error;
+            }
+            return renderConflict(req, res, { note: current, mine, canManage });
+        }
+        if (hasChanges) {
+            await NoteRevision.record(note, req.user.id);
+        }
         
         req.flash('success_msg', 'Nota actualizada correctamente');
-        res.redirect('/notas');
+        res.redirect(canManage ? '/notas' : `/notas/ver/${noteId}`);
     } catch (error) {
         console.error(`Error al actualizar nota ${req.params.id}:`, error);
         req.flash('error_msg', 'Error al actualizar la nota');
@@ -290,13 +531,13 @@ notesController.deleteNote = async (req, res, next) => {
         const noteId = req.params.id;
         
         // Verificar si la nota existe y pertenece al usuario
-        const note = await Note.findById(noteId);
-        if (!note) {
+        const { note, error } = await findAuthorizedNote(noteId, req.user.id);
+        if (error === 'invalid_id' || error === 'not_found') {
             req.flash('error_msg', 'La nota no existe');
             return res.redirect('/notas');
         }
         
-        if (String(note.user) !== String(req.user.id)) {
+        if (error === 'forbidden') {
             console.warn(`Intento de eliminación no autorizada a nota ${noteId} por usuario ${req.user.id}`);
             req.flash('error_msg', 'No tienes permiso para eliminar esta nota');
             return res.redirect('/notas');
@@ -312,7 +553,7 @@ notesController.deleteNote = async (req, res, next) => {
             await note.save();
         }
         
-        req.flash('success_msg', 'Nota eliminada correctamente');
+        req.flash('success_msg', 'Nota enviada a la papelera');
         res.redirect('/notas');
     } catch (error) {
         console.error(`Error al eliminar nota ${req.params.id}:`, error);
@@ -322,7 +563,543 @@ notesController.deleteNote = async (req, res, next) => {
 };
 
 /**
- * Busca notas por texto en título o descripción
+ * Cambia el estado de fijada o archivada de una nota del usuario
+ * y vuelve a la lista desde la que se hizo el cambio
+ *
+ * @async
+ * @function updateNoteState
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Object} change - Cambio a aplicar
+ * @param {string} change.method - Método del modelo (setPinned o setArchived)
+ * @param {boolean} change.value - Nuevo estado
+ * @param {string} change.message - Mensaje de éxito
+ * @returns {Promise<void>}
+ */
+const updateNoteState = async (req, res, { method, value, message }) => {
+    const noteId = req.params.id;
+    const returnUrl = getReturnUrl(req.body.returnUrl, '/notas');
+    
+    const { note, error } = await findAuthorizedNote(noteId, req.user.id);
+    if (error === 'invalid_id' || error === 'not_found') {
+        req.flash('error_msg', 'La nota no existe');
+        return res.redirect(returnUrl);
+    }
+    
+    if (error === 'forbidden') {
+        console.warn(`Intento de modificación no autorizada a nota ${noteId} por usuario ${req.user.id}`);
+        req.flash('error_msg', 'No tienes permiso para modificar esta nota');
+        return res.redirect(returnUrl);
+    }
+    
+    await note[method](value);
+    
+    logNoteActivity(`Estado de nota actualizado - ID: ${note._id}, Usuario: ${req.user.id}, Fijada: ${note.isPinned}, Archivada: ${note.isArchived}`);
+    req.flash('success_msg', message);
+    res.redirect(returnUrl);
+};
+
+/**
+ * Fija una nota para que aparezca antes que las demás
+ * 
+ * @function pinNote
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige a la lista de origen
+ */
+notesController.pinNote = async (req, res, next) => {
+    try {
+        await updateNoteState(req, res, { method: 'setPinned', value: true, message: 'Nota fijada' });
+    } catch (error) {
+        console.error(`Error al fijar nota ${req.params.id}:`, error);
+        req.flash('error_msg', 'Error al fijar la nota');
+        next(error);
+    }
+};
+
+/**
+ * Deja de fijar una nota
+ * 
+ * @function unpinNote
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige a la lista de origen
+ */
+notesController.unpinNote = async (req, res, next) => {
+    try {
+        await updateNoteState(req, res, { method: 'setPinned', value: false, message: 'La nota ya no está fijada' });
+    } catch (error) {
+        console.error(`Error al desfijar nota ${req.params.id}:`, error);
+        req.flash('error_msg', 'Error al desfijar la nota');
+        next(error);
+    }
+};
+
+/**
+ * Archiva una nota: deja de mostrarse en la lista principal pero sigue apareciendo al buscar
+ * 
+ * @function archiveNote
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige a la lista de origen
+ */
+notesController.archiveNote = async (req, res, next) => {
+    try {
+        await updateNoteState(req, res, { method: 'setArchived', value: true, message: 'Nota archivada' });
+    } catch (error) {
+        console.error(`Error al archivar nota ${req.params.id}:`, error);
+        req.flash('error_msg', 'Error al archivar la nota');
+        next(error);
+    }
+};
+
+/**
+ * Devuelve una nota archivada a la lista principal
+ * 
+ * @function unarchiveNote
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige a la lista de origen
+ */
+notesController.unarchiveNote = async (req, res, next) => {
+    try {
+        await updateNoteState(req, res, { method: 'setArchived', value: false, message: 'Nota devuelta a la lista' });
+    } catch (error) {
+        console.error(`Error al desarchivar nota ${req.params.id}:`, error);
+        req.flash('error_msg', 'Error al desarchivar la nota');
+        next(error);
+    }
+};
+
+/**
+ * Marca o desmarca un elemento de una lista de tareas sin abrir el formulario de edición.
+ * Pueden hacerlo el propietario y los editores; el estado llega explícito en el
+ * cuerpo para que un doble envío no deshaga el cambio.
+ * 
+ * @function setChecklistItem
+ * @param {Object} req - Objeto de solicitud Express (done y returnUrl en el cuerpo)
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige a la página de origen
+ */
+notesController.setChecklistItem = async (req, res, next) => {
+    const noteId = req.params.id;
+    const returnUrl = getReturnUrl(req.body.returnUrl, '/notas');
+    
+    try {
+        const { note, error } = await findAuthorizedNote(noteId, req.user.id, { permission: 'edit' });
+        if (error === 'invalid_id' || error === 'not_found') {
+            req.flash('error_msg', 'La nota no existe');
+            return res.redirect(returnUrl);
+        }
+        
+        if (error === 'forbidden') {
+            console.warn(`Intento de modificación no autorizada a nota ${noteId} por usuario ${req.user.id}`);
+            req.flash('error_msg', 'No tienes permiso para modificar esta nota');
+            return res.redirect(returnUrl);
+        }
+        
+        const done = req.body.done === 'true';
+        const item = await note.setItemDone(req.params.itemId, done);
+        if (!item) {
+            req.flash('error_msg', 'El elemento ya no existe en la lista');
+            return res.redirect(returnUrl);
+        }
+        
+        // Sin mensaje de éxito: la casilla marcada ya lo indica
+        logNoteActivity(`Elemento de lista ${done ? 'hecho' : 'pendiente'} - Nota: ${note._id}, Usuario: ${req.user.id}, Elemento: ${item._id}`);
+        res.redirect(returnUrl);
+    } catch (error) {
+        console.error(`Error al actualizar el elemento de la nota ${noteId}:`, error);
+        req.flash('error_msg', 'Error al actualizar la lista de tareas');
+        next(error);
+    }
+};
+
+/**
+ * Renderiza una nota individual con su contenido completo
+ * (las notas en Markdown se muestran como HTML saneado)
+ * 
+ * @function renderNote
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista de la nota
+ */
+notesController.renderNote = async (req, res, next) => {
+    try {
+        const noteId = req.params.id;
+        
+        const { note, role, error } = await findAuthorizedNote(noteId, req.user.id, { permission: 'view' });
+        if (error === 'invalid_id' || error === 'not_found') {
+            req.flash('error_msg', 'La nota solicitada no existe');
+            return res.redirect('/notas');
+        }
+        
+        if (error === 'forbidden') {
+            console.warn(`Intento de acceso no autorizado a nota ${noteId} por usuario ${req.user.id}`);
+            req.flash('error_msg', 'No tienes permiso para ver esta nota');
+            return res.redirect('/notas');
+        }
+        
+        const abilities = getNoteAbilities(note, req.user.id);
+        
+        // El propietario ve con quién comparte la nota y sus enlaces públicos; los demás, quién se la compartió
+        let shares = [];
+        let links = [];
+        let attachments = [];
+        let attachmentUsage = null;
+        if (abilities.canManage) {
+            const { fileSize, quota } = getAttachmentLimits();
+            const [activeLinks, noteAttachments, usage] = await Promise.all([
+                findActiveLinks({ note: note._id }),
+                Attachment.find({ note: note._id }).select('+thumbnailKey').sort({ createdAt: 1 }).lean(),
+                Attachment.getUsage(req.user.id)
+            ]);
+            links = activeLinks;
+            attachments = formatAttachments(noteAttachments);
+            attachmentUsage = {
+                usedText: formatBytes(usage),
+                quotaText: formatBytes(quota),
+                maxFileSizeText: formatBytes(fileSize),
+                percent: Math.min(100, Math.round(usage / quota * 100))
+            };
+            await note.populate('sharedWith.user', 'name email');
+            shares = note.sharedWith
+                .filter(share => share.user)
+                .map(share => ({
+                    userId: share.user._id,
+                    name: share.user.name,
+                    email: share.user.email,
+                    roleLabel: SHARE_ROLES[share.role],
+                    isEditor: share.role === 'editor'
+                }));
+        } else {
+            await note.populate('user', 'name email');
+        }
+        
+        res.render('notes/note', {
+            note,
+            title: note.title,
+            ...abilities,
+            roleLabel: SHARE_ROLES[role],
+            shares,
+            shareRoles: Object.entries(SHARE_ROLES).map(([value, label]) => ({ value, label })),
+            links,
+            linkPasswordLength: LINK_PASSWORD_LENGTH,
+            dueDateText: note.dueDate ? note.dueDate.toLocaleDateString('es-ES') : null,
+            isOverdue: Boolean(note.dueDate) && note.dueDate < new Date(),
+            dueDateValue: toDateInputValue(note.dueDate),
+            progress: note.type === 'checklist' ? getChecklistProgress(note.items) : null,
+            reminders: abilities.canManage ? formatReminders(note.reminders) : [],
+            recurrences: Object.entries(RECURRENCES).map(([value, label]) => ({ value, label })),
+            remindersNeedVerification: !canReceiveReminders(req.user),
+            attachments,
+            attachmentUsage,
+            backUrl: abilities.canManage ? '/notas' : '/notas/compartidas',
+            user: req.user
+        });
+    } catch (error) {
+        console.error(`Error al mostrar la nota ${req.params.id}:`, error);
+        req.flash('error_msg', 'Error al cargar la nota');
+        next(error);
+    }
+};
+
+/**
+ * Genera la vista previa de una descripción en Markdown
+ * El HTML se sanea en el servidor igual que al mostrar la nota
+ * 
+ * @function previewMarkdown
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} JSON con el HTML saneado
+ */
+notesController.previewMarkdown = (req, res) => {
+    const description = typeof req.body.description === 'string' ? req.body.description : '';
+    
+    if (description.length > Note.DESCRIPTION_MAX_LENGTH.markdown) {
+        return res.status(400).json({ error: 'La descripción es demasiado larga' });
+    }
+    
+    res.json({ html: renderMarkdown(description) });
+};
+
+/**
+ * Renderiza el historial de revisiones de una nota con la comparación
+ * línea a línea entre dos versiones (por defecto, las dos más recientes)
+ * 
+ * @function renderHistory
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista del historial
+ */
+notesController.renderHistory = async (req, res, next) => {
+    try {
+        const noteId = req.params.id;
+        
+        const { note, error } = await findAuthorizedNote(noteId, req.user.id, { permission: 'view', lean: true });
+        if (error === 'invalid_id' || error === 'not_found') {
+            req.flash('error_msg', 'La nota solicitada no existe');
+            return res.redirect('/notas');
+        }
+        
+        if (error === 'forbidden') {
+            console.warn(`Intento de acceso no autorizado al historial de la nota ${noteId} por usuario ${req.user.id}`);
+            req.flash('error_msg', 'No tienes permiso para ver el historial de esta nota');
+            return res.redirect('/notas');
+        }
+        
+        const revisions = await NoteRevision.find({ note: noteId })
+            .sort({ version: -1 })
+            .populate('editedBy', 'name email');
+        
+        // Versiones a comparar: las indicadas en la query o las dos más recientes
+        const latestVersion = revisions.length ? revisions[0].version : 0;
+        const toVersion = parseInt(req.query.hasta) || latestVersion;
+        const fromVersion = parseInt(req.query.desde) || Math.max(toVersion - 1, 1);
+        
+        const fromRevision = revisions.find(revision => revision.version === fromVersion);
+        const toRevision = revisions.find(revision => revision.version === toVersion);
+        
+        const diff = fromRevision && toRevision
+            ? buildLineDiff(revisionToText(fromRevision), revisionToText(toRevision))
+            : null;
+        
+        res.render('notes/history', {
+            note,
+            revisions: revisions.map(revision => ({
+                ...revision.toObject({ virtuals: true }),
+                editorName: revision.editedBy ? revision.editedBy.name : 'Usuario eliminado',
+                createdAtText: revision.createdAt.toLocaleString('es-ES'),
+                isLatest: revision.version === latestVersion,
+                isFrom: revision.version === fromVersion,
+                isTo: revision.version === toVersion
+            })),
+            diff,
+            fromVersion,
+            toVersion,
+            ...getNoteAbilities(note, req.user.id),
+            user: req.user
+        });
+    } catch (error) {
+        logError('notes.controller.renderHistory', error);
+        req.flash('error_msg', 'Error al cargar el historial');
+        next(error);
+    }
+};
+
+/**
+ * Restaura el contenido de una revisión anterior como una nueva versión de la nota
+ * 
+ * @function restoreRevision
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige al historial de la nota
+ */
+notesController.restoreRevision = async (req, res, next) => {
+    try {
+        const noteId = req.params.id;
+        const version = parseInt(req.params.version);
+        
+        const { note, error } = await findAuthorizedNote(noteId, req.user.id, { permission: 'edit' });
+        if (error === 'invalid_id' || error === 'not_found') {
+            req.flash('error_msg', 'La nota no existe');
+            return res.redirect('/notas');
+        }
+        
+        if (error === 'forbidden') {
+            console.warn(`Intento de restauración no autorizada de la nota ${noteId} por usuario ${req.user.id}`);
+            req.flash('error_msg', 'No tienes permiso para modificar esta nota');
+            return res.redirect('/notas');
+        }
+        
+        const revision = await NoteRevision.findOne({ note: note._id, version }).lean();
+        if (!revision) {
+            req.flash('error_msg', 'La versión solicitada no existe');
+            return res.redirect(`/notas/historial/${noteId}`);
+        }
+        
+        // Aplicar el contenido de la revisión y registrarlo como una versión nueva
+        note.title = revision.title;
+        note.description = revision.description;
+        note.format = revision.format || 'plain';
+        note.type = revision.type || 'text';
+        note.items = (revision.items || []).map((item, order) => ({ ...item, order }));
+        note.tags = revision.tags;
+        try {
+            await note.save();
+        } catch (error) {
+            // Otra pestaña u otro usuario cambió la nota entre la lectura y el guardado
+            if (error.name !== 'DocumentNotFoundError') {
+                throw error;
+            }
+            req.flash('error_msg', 'La nota cambió mientras tanto. Revisa el historial y vuelve a intentarlo');
+            return res.redirect(`/notas/historial/${noteId}`);
+        }
+        await NoteRevision.record(note, req.user.id, { action: 'restore', restoredFrom: version });
+        
+        logNoteActivity(`Nota restaurada a la versión ${version} - ID: ${note._id}, Usuario: ${req.user.id}`);
+        req.flash('success_msg', `Nota restaurada a la versión ${version}`);
+        res.redirect(`/notas/historial/${noteId}`);
+    } catch (error) {
+        logError('notes.controller.restoreRevision', error);
+        req.flash('error_msg', 'Error al restaurar la versión');
+        next(error);
+    }
+};
+
+/**
+ * Renderiza la papelera con las notas eliminadas del usuario
+ * 
+ * @function renderTrash
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista de la papelera
+ */
+notesController.renderTrash = async (req, res, next) => {
+    try {
+        const retentionDays = getTrashRetentionDays();
+        const dayMs = 24 * 60 * 60 * 1000;
+        
+        // Notas inactivas del usuario, las eliminadas más recientemente primero
+        const trashedNotes = await Note.find({ user: req.user.id, isActive: false })
+            .sort({ deletedAt: -1, updatedAt: -1 })
+            .lean();
+        
+        // Las notas eliminadas antes de existir deletedAt usan updatedAt como referencia
+        const notes = trashedNotes.map(note => {
+            const deletedAt = note.deletedAt || note.updatedAt;
+            const daysLeft = retentionDays
+                ? Math.max(Math.ceil((deletedAt.getTime() + retentionDays * dayMs - Date.now()) / dayMs), 0)
+                : null;
+            
+            return {
+                ...note,
+                deletedAtText: deletedAt.toLocaleString('es-ES'),
+                daysLeft
+            };
+        });
+        
+        res.render('notes/trash', {
+            notes,
+            retentionDays,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Error al obtener la papelera:', error);
+        req.flash('error_msg', 'Error al cargar la papelera');
+        next(error);
+    }
+};
+
+/**
+ * Restaura una nota desde la papelera
+ * 
+ * @function restoreNote
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige a la papelera
+ */
+notesController.restoreNote = async (req, res, next) => {
+    try {
+        const noteId = req.params.id;
+        
+        const { note, error } = await findAuthorizedNote(noteId, req.user.id, { inTrash: true });
+        if (error === 'invalid_id' || error === 'not_found') {
+            req.flash('error_msg', 'La nota no está en la papelera');
+            return res.redirect('/notas/papelera');
+        }
+        
+        if (error === 'forbidden') {
+            console.warn(`Intento de restauración no autorizada a nota ${noteId} por usuario ${req.user.id}`);
+            req.flash('error_msg', 'No tienes permiso para restaurar esta nota');
+            return res.redirect('/notas/papelera');
+        }
+        
+        await note.restore();
+        
+        logNoteActivity(`Nota restaurada desde la papelera - ID: ${note._id}, Usuario: ${req.user.id}`);
+        req.flash('success_msg', 'Nota restaurada correctamente');
+        res.redirect('/notas/papelera');
+    } catch (error) {
+        console.error(`Error al restaurar nota ${req.params.id}:`, error);
+        req.flash('error_msg', 'Error al restaurar la nota');
+        next(error);
+    }
+};
+
+/**
+ * Elimina definitivamente una nota de la papelera
+ * 
+ * @function purgeNote
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige a la papelera
+ */
+notesController.purgeNote = async (req, res, next) => {
+    try {
+        const noteId = req.params.id;
+        
+        const { note, error } = await findAuthorizedNote(noteId, req.user.id, { inTrash: true });
+        if (error === 'invalid_id' || error === 'not_found') {
+            req.flash('error_msg', 'La nota no está en la papelera');
+            return res.redirect('/notas/papelera');
+        }
+        
+        if (error === 'forbidden') {
+            console.warn(`Intento de eliminación definitiva no autorizada a nota ${noteId} por usuario ${req.user.id}`);
+            req.flash('error_msg', 'No tienes permiso para eliminar esta nota');
+            return res.redirect('/notas/papelera');
+        }
+        
+        await Note.purge({ _id: note._id, user: req.user.id });
+        
+        logNoteActivity(`Nota eliminada definitivamente - ID: ${note._id}, Usuario: ${req.user.id}`);
+        req.flash('success_msg', 'Nota eliminada definitivamente');
+        res.redirect('/notas/papelera');
+    } catch (error) {
+        console.error(`Error al eliminar definitivamente la nota ${req.params.id}:`, error);
+        req.flash('error_msg', 'Error al eliminar la nota');
+        next(error);
+    }
+};
+
+/**
+ * Vacía la papelera del usuario eliminando definitivamente todas sus notas inactivas
+ * 
+ * @function emptyTrash
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige a la papelera
+ */
+notesController.emptyTrash = async (req, res, next) => {
+    try {
+        const deletedCount = await Note.purge({ user: req.user.id });
+        
+        logNoteActivity(`Papelera vaciada - Usuario: ${req.user.id}, Notas eliminadas: ${deletedCount}`);
+        req.flash('success_msg', `Papelera vaciada: ${deletedCount} nota(s) eliminada(s) definitivamente`);
+        res.redirect('/notas/papelera');
+    } catch (error) {
+        console.error('Error al vaciar la papelera:', error);
+        req.flash('error_msg', 'Error al vaciar la papelera');
+        next(error);
+    }
+};
+
+/**
+ * Busca notas por texto en título o descripción usando el índice de texto.
+ * Los resultados se ordenan por relevancia y se resaltan los términos buscados.
  * 
  * @function searchNotes
  * @param {Object} req - Objeto de solicitud Express
@@ -331,45 +1108,58 @@ notesController.deleteNote = async (req, res, next) => {
  * @returns {void} Renderiza resultados de búsqueda o devuelve JSON en caso de solicitud AJAX
  */
 notesController.searchNotes = async (req, res, next) => {
+    // Las solicitudes AJAX o que prefieren JSON reciben los resultados sin vista
+    const isAjax = req.xhr || req.accepts(['html', 'json']) === 'json';
+    
     try {
-        const searchText = req.query.q || '';
+        const searchText = typeof req.query.q === 'string' ? req.query.q.trim() : '';
         
-        if (!searchText.trim()) {
+        if (!parseSearchTerms(searchText).length) {
+            if (isAjax) {
+                return res.status(400).json({ error: 'Introduce al menos un término de búsqueda' });
+            }
             return res.redirect('/notas');
         }
         
-        // Utilizar el método de búsqueda optimizado del modelo
-        const notes = await Note.searchByText(searchText)
-            .where('user').equals(req.user.id)
-            .limit(20)
-            .lean();
-        
-        // Responder según el tipo de solicitud
-        const isAjax = req.xhr || req.headers.accept.indexOf('json') > -1;
+        const { notes, pagination, terms, tag } = await searchNotesPage(req.query, req.user.id);
         
         if (isAjax) {
             return res.json({ 
                 notes, 
-                count: notes.length,
-                query: searchText 
+                count: pagination.totalItems,
+                pagination,
+                query: searchText,
+                tag
             });
         }
         
+        // Enlaces de paginación que conservan la búsqueda y la etiqueta
+        if (pagination.hasPrevPage) {
+            pagination.prevUrl = buildListUrl('/notas/buscar', { q: searchText, tag, page: pagination.prevPage });
+        }
+        if (pagination.hasNextPage) {
+            pagination.nextUrl = buildListUrl('/notas/buscar', { q: searchText, tag, page: pagination.nextPage });
+        }
+        
         res.render('notes/search-results', {
-            notes,
+            notes: notes.map(note => ({ ...note, excerpt: buildSearchExcerpt(note, terms) })),
             search: searchText,
-            user: req.user,
-            count: notes.length
+            terms,
+            tag,
+            pagination,
+            count: pagination.totalItems,
+            clearTagUrl: buildListUrl('/notas/buscar', { q: searchText }),
+            user: req.user
         });
     } catch (error) {
-        console.error('Error en búsqueda de notas:', error);
+        logError('notes.controller.searchNotes', error);
         
-        if (req.xhr) {
+        if (isAjax) {
             return res.status(500).json({ error: 'Error en la búsqueda' });
         }
         
         req.flash('error_msg', 'Error al buscar notas');
-        next(error);
+        res.redirect('/notas');
     }
 };
 
@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Controlador para las fechas límite y los recordatorios de las notas
+ * El propietario pone una fecha límite y programa avisos por correo (una vez o
+ * periódicos); la vista de próximas notas las ordena por fecha límite
+ *
+ * @module controllers/reminders
+ * @author Diego Donoso
+ * @version 1.0.0
+ */
+
+'use strict';
+
+// Dependencias
+const Note = require('../models/Note');
+const { logNoteActivity, logError } = require('../helpers/logger');
+const { OBJECT_ID_REGEX, findAuthorizedNote } = require('../helpers/notes');
+const {
+    RECURRENCES,
+    MAX_REMINDERS_PER_NOTE,
+    parseDueDate,
+    parseReminderTime,
+    canReceiveReminders
+} = require('../helpers/reminders');
+
+// Objeto contenedor del controlador
+const remindersController = {};
+
+/**
+ * Busca una nota que el usuario pueda gestionar y, si no puede, deja el mensaje
+ * de error y redirige
+ *
+ * @async
+ * @function findManagedNote
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {string} action - Acción intentada, para el log
+ * @returns {Promise<Document|null>} Nota o null si ya se respondió
+ */
+const findManagedNote = async (req, res, action) => {
+    const noteId = req.params.id;
+    const { note, error } = await findAuthorizedNote(noteId, req.user.id);
+
+    if (error === 'invalid_id' || error === 'not_found') {
+        req.flash('error_msg', 'La nota no existe');
+        res.redirect('/notas');
+        return null;
+    }
+
+    if (error === 'forbidden') {
+        console.warn(`Intento de ${action} sin permiso en la nota ${noteId} por usuario ${req.user.id}`);
+        req.flash('error_msg', 'Solo el propietario puede cambiar la fecha límite y los recordatorios de esta nota');
+        res.redirect(`/notas/ver/${noteId}`);
+        return null;
+    }
+
+    return note;
+};
+
+/**
+ * Renderiza las notas del usuario con fecha límite, de la más próxima a la más lejana.
+ * Las vencidas se muestran primero y destacadas.
+ *
+ * @function renderUpcoming
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista de próximas notas
+ */
+remindersController.renderUpcoming = async (req, res, next) => {
+    try {
+        const now = new Date();
+        const upcomingNotes = await Note.find({
+            user: req.user.id,
+            dueDate: { $ne: null },
+            isArchived: { $ne: true }
+        })
+            .sort({ dueDate: 1 })
+            .select('title tags dueDate reminders')
+            .lean();
+
+        const notes = upcomingNotes.map((note) => {
+            const pending = note.reminders
+                .filter(reminder => reminder.remindAt)
+                .sort((a, b) => a.remindAt - b.remindAt);
+
+            return {
+                ...note,
+                dueDateText: note.dueDate.toLocaleDateString('es-ES', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' }),
+                isOverdue: note.dueDate < now,
+                nextReminderText: pending.length ? pending[0].remindAt.toLocaleString('es-ES') : null
+            };
+        });
+
+        res.render('notes/upcoming', {
+            title: 'Próximas',
+            notes,
+            overdueCount: notes.filter(note => note.isOverdue).length,
+            user: req.user
+        });
+    } catch (error) {
+        logError('reminders.controller.renderUpcoming', error);
+        req.flash('error_msg', 'Error al cargar las próximas notas');
+        next(error);
+    }
+};
+
+/**
+ * Pone, cambia o quita la fecha límite de una nota
+ *
+ * @function setDueDate
+ * @param {Object} req - Objeto de solicitud Express (dueDate en el cuerpo; vacío la quita)
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la nota
+ */
+remindersController.setDueDate = async (req, res) => {
+    const noteId = req.params.id;
+    const noteUrl = OBJECT_ID_REGEX.test(String(noteId)) ? `/notas/ver/${noteId}` : '/notas';
+
+    try {
+        const note = await findManagedNote(req, res, 'cambiar la fecha límite');
+        if (!note) {
+            return;
+        }
+
+        const { dueDate, error } = parseDueDate(req.body.dueDate);
+        if (error) {
+            req.flash('error_msg', error);
+            return res.redirect(noteUrl);
+        }
+
+        await note.setDueDate(dueDate);
+
+        logNoteActivity(`Fecha límite ${dueDate ? 'establecida' : 'eliminada'} - ID: ${note._id}, Usuario: ${req.user.id}${dueDate ? `, Fecha: ${dueDate.toISOString()}` : ''}`);
+        req.flash('success_msg', dueDate
+            ? `La nota vence el ${dueDate.toLocaleDateString('es-ES')}`
+            : 'Fecha límite eliminada');
+        res.redirect(noteUrl);
+    } catch (error) {
+        logError('reminders.controller.setDueDate', error);
+        req.flash('error_msg', 'Error al guardar la fecha límite');
+        res.redirect(noteUrl);
+    }
+};
+
+/**
+ * Programa un recordatorio por correo en una nota
+ *
+ * @function addReminder
+ * @param {Object} req - Objeto de solicitud Express (remindAt y recurrence en el cuerpo)
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la nota
+ */
+remindersController.addReminder = async (req, res) => {
+    const noteId = req.params.id;
+    const noteUrl = OBJECT_ID_REGEX.test(String(noteId)) ? `/notas/ver/${noteId}` : '/notas';
+
+    try {
+        const note = await findManagedNote(req, res, 'programar un recordatorio');
+        if (!note) {
+            return;
+        }
+
+        const recurrence = req.body.recurrence || 'none';
+        if (!RECURRENCES[recurrence]) {
+            req.flash('error_msg', 'La repetición elegida no es válida');
+            return res.redirect(noteUrl);
+        }
+
+        const { remindAt, error } = parseReminderTime(req.body.remindAt);
+        if (error) {
+            req.flash('error_msg', error);
+            return res.redirect(noteUrl);
+        }
+
+        if (!await note.addReminder(remindAt, recurrence)) {
+            req.flash('error_msg', `Una nota puede tener como máximo ${MAX_REMINDERS_PER_NOTE} recordatorios`);
+            return res.redirect(noteUrl);
+        }
+
+        logNoteActivity(`Recordatorio programado - Nota: ${note._id}, Usuario: ${req.user.id}, Fecha: ${remindAt.toISOString()}, Repetición: ${recurrence}`);
+        req.flash('success_msg', canReceiveReminders(req.user)
+            ? `Te avisaremos por correo el ${remindAt.toLocaleString('es-ES')}`
+            : `Recordatorio programado para el ${remindAt.toLocaleString('es-ES')}. Se enviará cuando verifiques tu correo desde tu perfil`);
+        res.redirect(noteUrl);
+    } catch (error) {
+        logError('reminders.controller.addReminder', error);
+        req.flash('error_msg', 'Error al programar el recordatorio');
+        res.redirect(noteUrl);
+    }
+};
+
+/**
+ * Elimina un recordatorio de una nota
+ *
+ * @function deleteReminder
+ * @param {Object} req - Objeto de solicitud Express (id de la nota y reminderId en la ruta)
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la nota
+ */
+remindersController.deleteReminder = async (req, res) => {
+    const noteId = req.params.id;
+    const noteUrl = OBJECT_ID_REGEX.test(String(noteId)) ? `/notas/ver/${noteId}` : '/notas';
+
+    try {
+        const note = await findManagedNote(req, res, 'eliminar un recordatorio');
+        if (!note) {
+            return;
+        }
+
+        if (!await note.removeReminder(req.params.reminderId)) {
+            req.flash('error_msg', 'El recordatorio no existe');
+            return res.redirect(noteUrl);
+        }
+
+        logNoteActivity(`Recordatorio eliminado - Nota: ${note._id}, Usuario: ${req.user.id}, Recordatorio: ${req.params.reminderId}`);
+        req.flash('success_msg', 'Recordatorio eliminado');
+        res.redirect(noteUrl);
+    } catch (error) {
+        logError('reminders.controller.deleteReminder', error);
+        req.flash('error_msg', 'Error al eliminar el recordatorio');
+        res.redirect(noteUrl);
+    }
+};
+
+module.exports = remindersController;
@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Controlador para compartir notas con otros usuarios
+ * El propietario comparte una nota por correo como lector o editor y puede
+ * retirar el acceso; quien la recibe la ve en "Compartidas conmigo"
+ *
+ * @module controllers/shares
+ * @author Diego Donoso
+ * @version 1.0.0
+ */
+
+'use strict';
+
+// Dependencias
+const Note = require('../models/Note');
+const User = require('../models/User');
+const { logNoteActivity, logError } = require('../helpers/logger');
+const { OBJECT_ID_REGEX, findAuthorizedNote } = require('../helpers/notes');
+const { SHARE_ROLES, getNoteAbilities } = require('../helpers/permissions');
+
+// Objeto contenedor del controlador
+const sharesController = {};
+
+/**
+ * Número máximo de usuarios con los que se puede compartir una nota
+ * @constant {number}
+ */
+const MAX_SHARES_PER_NOTE = 20;
+
+/**
+ * Renderiza las notas que otros usuarios han compartido con el usuario autenticado
+ *
+ * @function renderSharedNotes
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista de notas compartidas
+ */
+sharesController.renderSharedNotes = async (req, res, next) => {
+    try {
+        const sharedNotes = await Note.find({ 'sharedWith.user': req.user.id })
+            .sort({ updatedAt: -1 })
+            .populate('user', 'name email')
+            .lean();
+
+        const notes = sharedNotes.map((note) => {
+            const { role, canEdit } = getNoteAbilities(note, req.user.id);
+            return {
+                ...note,
+                ownerName: note.user ? note.user.name : 'Usuario eliminado',
+                roleLabel: SHARE_ROLES[role],
+                canEdit,
+                updatedAtText: note.updatedAt.toLocaleString('es-ES')
+            };
+        });
+
+        res.render('notes/shared', {
+            title: 'Compartidas conmigo',
+            notes,
+            currentUserId: req.user.id,
+            user: req.user
+        });
+    } catch (error) {
+        logError('shares.controller.renderSharedNotes', error);
+        req.flash('error_msg', 'Error al cargar las notas compartidas');
+        next(error);
+    }
+};
+
+/**
+ * Comparte una nota con otro usuario registrado, o cambia su rol si ya la tenía
+ *
+ * @function shareNote
+ * @param {Object} req - Objeto de solicitud Express (email y role en el cuerpo)
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la nota
+ */
+sharesController.shareNote = async (req, res) => {
+    const noteId = req.params.id;
+    const noteUrl = OBJECT_ID_REGEX.test(String(noteId)) ? `/notas/ver/${noteId}` : '/notas';
+
+    try {
+        const { note, error } = await findAuthorizedNote(noteId, req.user.id);
+        if (error === 'invalid_id' || error === 'not_found') {
+            req.flash('error_msg', 'La nota no existe');
+            return res.redirect('/notas');
+        }
+
+        if (error === 'forbidden') {
+            console.warn(`Intento de compartir sin permiso la nota ${noteId} por usuario ${req.user.id}`);
+            req.flash('error_msg', 'Solo el propietario puede compartir esta nota');
+            return res.redirect(noteUrl);
+        }
+
+        const role = req.body.role;
+        if (!SHARE_ROLES[role]) {
+            req.flash('error_msg', 'El rol elegido no es válido');
+            return res.redirect(noteUrl);
+        }
+
+        const email = typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+        if (!email) {
+            req.flash('error_msg', 'Indica el correo del usuario con el que quieres compartir la nota');
+            return res.redirect(noteUrl);
+        }
+
+        const recipient = await User.findOne({ email, isActive: true }).select('name email');
+
+        if (recipient && String(recipient._id) === String(req.user.id)) {
+            req.flash('error_msg', 'No puedes compartir una nota contigo mismo');
+            return res.redirect(noteUrl);
+        }
+
+        const alreadyShared = Boolean(recipient) && note.sharedWith.some(share => String(share.user) === String(recipient._id));
+        if (!alreadyShared && note.sharedWith.length >= MAX_SHARES_PER_NOTE) {
+            req.flash('error_msg', `Una nota se puede compartir con ${MAX_SHARES_PER_NOTE} usuarios como máximo`);
+            return res.redirect(noteUrl);
+        }
+
+        // El mismo mensaje tanto si el correo tiene cuenta como si no, para que el
+        // formulario no sirva para averiguar qué correos están registrados
+        const neutralMessage = `Si ${email} corresponde a una cuenta, la nota se ha compartido con ella como ${SHARE_ROLES[role].toLowerCase()}`;
+        if (!recipient) {
+            req.flash('success_msg', neutralMessage);
+            return res.redirect(noteUrl);
+        }
+
+        await note.shareWith(recipient._id, role);
+
+        logNoteActivity(`Nota compartida - ID: ${note._id}, Propietario: ${req.user.id}, Destinatario: ${recipient._id}, Rol: ${role}`);
+        // Cambiar el rol de quien ya tiene la nota no revela nada: ya aparece en la lista
+        req.flash('success_msg', alreadyShared
+            ? `${recipient.name} ahora es ${SHARE_ROLES[role].toLowerCase()} de la nota`
+            : neutralMessage);
+        res.redirect(noteUrl);
+    } catch (error) {
+        logError('shares.controller.shareNote', error);
+        req.flash('error_msg', 'Error al compartir la nota');
+        res.redirect(noteUrl);
+    }
+};
+
+/**
+ * Retira el acceso de un usuario a una nota compartida. El propietario puede
+ * retirárselo a cualquiera; quien la recibió puede dejar de tenerla
+ *
+ * @function revokeShare
+ * @param {Object} req - Objeto de solicitud Express (id de la nota y userId en la ruta)
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void} Redirige a la nota o a las notas compartidas
+ */
+sharesController.revokeShare = async (req, res) => {
+    const { id: noteId, userId } = req.params;
+
+    try {
+        const { note, error } = await findAuthorizedNote(noteId, req.user.id, { permission: 'view' });
+        if (error) {
+            req.flash('error_msg', 'La nota no existe');
+            return res.redirect('/notas/compartidas');
+        }
+
+        const { canManage } = getNoteAbilities(note, req.user.id);
+        const noteUrl = canManage ? `/notas/ver/${note._id}` : '/notas/compartidas';
+
+        if (!canManage && String(userId) !== String(req.user.id)) {
+            console.warn(`Intento de retirar sin permiso el acceso a la nota ${noteId} por usuario ${req.user.id}`);
+            req.flash('error_msg', 'Solo el propietario puede retirar el acceso a esta nota');
+            return res.redirect(noteUrl);
+        }
+
+        if (!note.sharedWith.some(share => String(share.user) === String(userId))) {
+            req.flash('error_msg', 'La nota no está compartida con ese usuario');
+            return res.redirect(noteUrl);
+        }
+
+        await note.unshare(userId);
+
+        logNoteActivity(`Acceso a nota retirado - ID: ${note._id}, Usuario: ${req.user.id}, Retirado a: ${userId}`);
+        req.flash('success_msg', canManage ? 'Acceso retirado' : 'La nota ya no aparece en tus notas compartidas');
+        res.redirect(noteUrl);
+    } catch (error) {
+        logError('shares.controller.revokeShare', error);
+        req.flash('error_msg', 'Error al retirar el acceso a la nota');
+        res.redirect('/notas/compartidas');
+    }
+};
+
+module.exports = sharesController;
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Controlador para gestionar los tokens personales de acceso a la API
+ * Permite crear, listar y revocar tokens para clientes no navegadores
+ *
+ * @module controllers/tokens
+ * @author Diego Donoso
+ * @version 1.0.0
+ */
+
+'use strict';
+
+// Dependencias
+const ApiToken = require('../models/ApiToken');
+const { generateToken } = require('../helpers/tokens');
+const { logUserSession, logError } = require('../helpers/logger');
+
+// Objeto contenedor del controlador
+const tokensController = {};
+
+/**
+ * Permisos asociados a cada nivel de acceso del formulario
+ * @constant {Object<string, string[]>}
+ */
+const ACCESS_LEVELS = {
+    read: ['notes:read'],
+    write: ['notes:read', 'notes:write']
+};
+
+/**
+ * Máximo de tokens activos por usuario
+ * @constant {number}
+ */
+const MAX_ACTIVE_TOKENS = 10;
+
+/**
+ * Obtiene los tokens activos del usuario ordenados por fecha de creación
+ *
+ * @async
+ * @function findActiveTokens
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Array>} Tokens activos
+ */
+const findActiveTokens = (userId) => {
+    return ApiToken.find({ user: userId, revokedAt: null })
+        .sort({ createdAt: -1 });
+};
+
+/**
+ * Renderiza la página de tokens personales del usuario
+ *
+ * @function renderTokens
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista con los tokens activos
+ */
+tokensController.renderTokens = async (req, res, next) => {
+    try {
+        const tokens = await findActiveTokens(req.user.id);
+
+        res.render('users/tokens', {
+            title: 'Tokens de acceso',
+            tokens,
+            user: req.user
+        });
+    } catch (error) {
+        logError('tokens.controller.renderTokens', error);
+        next(error);
+    }
+};
+
+/**
+ * Crea un token personal de acceso.
+ * El token en texto plano solo se muestra en esta respuesta; después
+ * únicamente se conserva su hash.
+ *
+ * @function createToken
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista mostrando el token recién creado
+ */
+tokensController.createToken = async (req, res, next) => {
+    try {
+        const { name = '', access = 'read' } = req.body;
+        const scopes = ACCESS_LEVELS[access];
+
+        if (!name.trim() || !scopes) {
+            req.flash('error_msg', 'Debes indicar un nombre y un nivel de acceso válido');
+            return res.redirect('/usuarios/tokens');
+        }
+
+        const activeCount = await ApiToken.countDocuments({ user: req.user.id, revokedAt: null });
+        if (activeCount >= MAX_ACTIVE_TOKENS) {
+            req.flash('error_msg', `No puedes tener más de ${MAX_ACTIVE_TOKENS} tokens activos`);
+            return res.redirect('/usuarios/tokens');
+        }
+
+        const { token, hash } = generateToken({ prefix: 'gdn_', bytes: 24 });
+
+        const apiToken = new ApiToken({
+            name: name.trim(),
+            user: req.user.id,
+            tokenHash: hash,
+            tokenPrefix: token.substring(0, 10),
+            scopes
+        });
+        await apiToken.save();
+
+        logUserSession(`Usuario ${req.user.email} (${req.user.id}) creó el token de API "${apiToken.name}" (${apiToken._id})`);
+
+        const tokens = await findActiveTokens(req.user.id);
+
+        res.render('users/tokens', {
+            title: 'Tokens de acceso',
+            tokens,
+            newToken: token,
+            success_msg: 'Token creado correctamente. Cópialo ahora: no volverá a mostrarse.',
+            user: req.user
+        });
+    } catch (error) {
+        logError('tokens.controller.createToken', error);
+        req.flash('error_msg', 'Error al crear el token');
+        res.redirect('/usuarios/tokens');
+    }
+};
+
+/**
+ * Revoca un token personal de acceso del usuario
+ *
+ * @function revokeToken
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige a la lista de tokens
+ */
+tokensController.revokeToken = async (req, res, next) => {
+    try {
+        const tokenId = req.params.id;
+        if (!/^[0-9a-fA-F]{24}$/.test(tokenId)) {
+            req.flash('error_msg', 'ID de token inválido');
+            return res.redirect('/usuarios/tokens');
+        }
+
+        const apiToken = await ApiToken.findOne({ _id: tokenId, user: req.user.id, revokedAt: null });
+        if (!apiToken) {
+            req.flash('error_msg', 'El token no existe o ya fue revocado');
+            return res.redirect('/usuarios/tokens');
+        }
+
+        await apiToken.revoke();
+
+        logUserSession(`Usuario ${req.user.email} (${req.user.id}) revocó el token de API "${apiToken.name}" (${apiToken._id})`);
+        req.flash('success_msg', 'Token revocado correctamente');
+        res.redirect('/usuarios/tokens');
+    } catch (error) {
+        logError('tokens.controller.revokeToken', error);
+        req.flash('error_msg', 'Error al revocar el token');
+        res.redirect('/usuarios/tokens');
+    }
+};
+
+// Exportamos el controlador para su uso en otras partes de la aplicación
+module.exports = tokensController;
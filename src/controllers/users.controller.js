@@ -17,8 +17,18 @@ const path = require('path');
 const geoip = require('geoip-lite');
 const { validationResult } = require('express-validator');
 const axios = require('axios');
-const crypto = require('crypto');
 const { logUserSession, logLoginAttempt, logError } = require('../helpers/logger');
+const { getAppUrl, sendAccountDeletionEmail } = require('../helpers/mailer');
+const { getAccountDeletionGraceDays, buildAccountExport } = require('../helpers/account');
+const { sendAccountVerification, isResendTooSoon } = require('../helpers/verification');
+const { validateNewPassword, isResetTooSoon, sendPasswordReset } = require('../helpers/passwords');
+const {
+    destroyUserSessions,
+    describeUserAgent,
+    getSessionPublicId,
+    findUserSessions,
+    destroyUserSession
+} = require('../helpers/sessions');
 
 // Objeto contenedor del controlador
 const usersController = {};
@@ -76,23 +86,8 @@ usersController.signup = async (req, res, next) => {
         // Extracción y sanitización de datos
         const { name = '', email = '', password = '', confirm_password = '' } = req.body;
         
-        // Validación manual adicional
-        const validationErrors = [];
-        
-        if (password !== confirm_password) {
-            validationErrors.push({ text: 'Las contraseñas no coinciden' });
-        }
-        
-        if (password.length < 8 || password.length > 20) {
-            validationErrors.push({ text: 'Las contraseñas deben tener entre 8 y 20 caracteres' });
-        }
-        
-        // Validación de complejidad de contraseña
-        if (!/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(password)) {
-            validationErrors.push({ 
-                text: 'La contraseña debe contener al menos una letra minúscula, una mayúscula y un número' 
-            });
-        }
+        // Validación manual adicional (reglas compartidas con el restablecimiento de contraseña)
+        const validationErrors = validateNewPassword(password, confirm_password);
         
         if (validationErrors.length > 0) {
             return res.render('users/signup', {
@@ -155,12 +150,16 @@ usersController.signup = async (req, res, next) => {
         // Registro de actividad
         logUserSession(`Nuevo usuario registrado: ${newUser.email} (${newUser._id})`);
         
-        // Generar token para verificación de email (opcional)
-        const verificationToken = crypto.randomBytes(32).toString('hex');
-        
-        // Aquí se podría implementar el envío del email de verificación
+        // Enviar el enlace de verificación; si el correo falla, la cuenta queda creada
+        // y el usuario puede solicitar un nuevo enlace más tarde
+        try {
+            await sendAccountVerification(newUser, req);
+            req.flash('success_msg', 'Usuario registrado correctamente. Te hemos enviado un correo para verificar tu cuenta.');
+        } catch (mailError) {
+            logError('users.controller.signup.sendVerification', mailError);
+            req.flash('success_msg', 'Usuario registrado correctamente, pero no pudimos enviar el correo de verificación. Puedes solicitar uno nuevo desde el inicio de sesión.');
+        }
 
-        req.flash('success_msg', 'Usuario registrado correctamente. Ahora puedes iniciar sesión.');
         res.redirect('/usuarios/ingreso');
     } catch (err) {
         logError('users.controller.signup', err);
@@ -262,13 +261,41 @@ usersController.signin = async (req, res, next) => {
         console.error('Error en geolocalización:', error);
     }
     
-    // Autenticar usando Passport
+    // Autenticar usando Passport; si tiene éxito, se continúa en el callback
     passport.authenticate('local', {
-        successRedirect: '/notas',
         failureRedirect: '/usuarios/ingreso',
         failureFlash: true,
         badRequestMessage: 'Todos los campos son obligatorios'
-    })(req, res, next);
+    })(req, res, (err) => {
+        if (err) {
+            return next(err);
+        }
+
+        // Guardar el dispositivo y la ubicación en la sesión (ya regenerada por Passport)
+        // para mostrarlos en la lista de sesiones activas del perfil
+        req.session.device = {
+            ip,
+            userAgent,
+            description: describeUserAgent(userAgent),
+            country: geoData.country,
+            city: geoData.city,
+            signedInAt: new Date()
+        };
+
+        // Iniciar sesión durante el periodo de gracia cancela la eliminación de la cuenta
+        if (!req.user.deletionScheduledFor) {
+            return res.redirect('/notas');
+        }
+
+        req.user.cancelDeletion();
+        req.user.save()
+            .then(() => {
+                logUserSession(`Eliminación de cuenta cancelada al iniciar sesión: ${req.user.email} (${req.user.id})`);
+                req.flash('success_msg', 'Has vuelto a iniciar sesión, así que hemos cancelado la eliminación de tu cuenta');
+                res.redirect('/notas');
+            })
+            .catch(next);
+    });
 };
 
 /**
@@ -326,4 +353,612 @@ usersController.logout = (req, res, next) => {
     });
 };
 
+/**
+ * Verifica el correo electrónico de una cuenta a partir del enlace enviado por correo
+ * 
+ * @function verifyEmail
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Marca la cuenta como verificada y redirige
+ * 
+ * @security
+ * - Solo se almacena el hash del token; el enlace caduca y es de un solo uso
+ */
+usersController.verifyEmail = async (req, res, next) => {
+    try {
+        const user = await User.findByVerificationToken(req.params.token);
+        
+        if (!user) {
+            req.flash('error_msg', 'El enlace de verificación no es válido o ha caducado. Solicita uno nuevo.');
+            return res.redirect('/usuarios/verificar');
+        }
+        
+        user.markEmailVerified();
+        await user.save();
+        
+        logUserSession(`Correo verificado: ${user.email} (${user._id})`);
+        req.flash('success_msg', 'Tu correo electrónico ha sido verificado correctamente.');
+        res.redirect(req.isAuthenticated() ? '/notas' : '/usuarios/ingreso');
+    } catch (error) {
+        logError('users.controller.verifyEmail', error);
+        req.flash('error_msg', 'Ocurrió un error al verificar el correo electrónico');
+        res.redirect('/usuarios/ingreso');
+    }
+};
+
+/**
+ * Renderiza el formulario para solicitar un nuevo correo de verificación
+ * 
+ * @function renderResendVerification
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista de reenvío de verificación
+ */
+usersController.renderResendVerification = (req, res, next) => {
+    try {
+        res.render('users/verify-email', {
+            title: 'Verificar correo electrónico',
+            email: req.user ? req.user.email : '',
+            emailVerified: req.user ? req.user.emailVerified : false,
+            csrfToken: req.csrfToken ? req.csrfToken() : null
+        });
+    } catch (error) {
+        logError('users.controller.renderResendVerification', error);
+        next(error);
+    }
+};
+
+/**
+ * Reenvía el correo de verificación de una cuenta
+ * 
+ * @function resendVerification
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige con un mensaje informativo
+ * 
+ * @security
+ * - Responde con el mismo mensaje exista o no la cuenta para no revelar correos registrados
+ * - Limita la frecuencia de reenvío por cuenta
+ */
+usersController.resendVerification = async (req, res, next) => {
+    const genericMessage = 'Si la cuenta existe y aún no está verificada, recibirás un nuevo enlace de verificación en unos minutos.';
+    
+    try {
+        // Los usuarios autenticados siempre reciben el correo en su propia dirección
+        const email = req.user
+            ? req.user.email
+            : (typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '');
+        
+        if (!email) {
+            req.flash('error_msg', 'Indica tu correo electrónico');
+            return res.redirect('/usuarios/verificar');
+        }
+        
+        const user = await User.findOne({ email, isActive: true });
+        
+        if (user && user.emailVerified && req.user) {
+            req.flash('success_msg', 'Tu correo electrónico ya está verificado.');
+            return res.redirect('/notas');
+        }
+        
+        // Si el último envío es muy reciente no se genera otro enlace (mismo mensaje genérico)
+        if (user && !user.emailVerified && !isResendTooSoon(user)) {
+            await sendAccountVerification(user, req);
+            logUserSession(`Correo de verificación reenviado: ${user.email} (${user._id})`);
+        }
+        
+        req.flash('success_msg', genericMessage);
+        res.redirect('/usuarios/verificar');
+    } catch (error) {
+        logError('users.controller.resendVerification', error);
+        req.flash('error_msg', 'No se pudo enviar el correo de verificación. Inténtalo más tarde.');
+        res.redirect('/usuarios/verificar');
+    }
+};
+
+/**
+ * Renderiza el formulario para solicitar el restablecimiento de contraseña
+ * 
+ * @function renderForgotPassword
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista de contraseña olvidada
+ */
+usersController.renderForgotPassword = (req, res, next) => {
+    try {
+        res.render('users/forgot-password', {
+            title: 'Recuperar contraseña',
+            csrfToken: req.csrfToken ? req.csrfToken() : null
+        });
+    } catch (error) {
+        logError('users.controller.renderForgotPassword', error);
+        next(error);
+    }
+};
+
+/**
+ * Envía por correo un enlace de un solo uso para restablecer la contraseña
+ * 
+ * @function forgotPassword
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige con un mensaje informativo
+ * 
+ * @security
+ * - Responde con el mismo mensaje exista o no la cuenta para no revelar correos registrados
+ * - Limita la frecuencia de envío por cuenta
+ */
+usersController.forgotPassword = async (req, res, next) => {
+    const genericMessage = 'Si el correo está registrado, recibirás un enlace para restablecer tu contraseña en unos minutos.';
+    
+    try {
+        const email = typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+        
+        if (!email) {
+            req.flash('error_msg', 'Indica tu correo electrónico');
+            return res.redirect('/usuarios/recuperar');
+        }
+        
+        const user = await User.findOne({ email, isActive: true });
+        
+        // Si la última solicitud es muy reciente no se genera otro enlace (mismo mensaje genérico)
+        if (user && !isResetTooSoon(user)) {
+            await sendPasswordReset(user, req);
+            logUserSession(`Solicitud de restablecimiento de contraseña: ${user.email} (${user._id})`);
+        }
+        
+        req.flash('success_msg', genericMessage);
+        res.redirect('/usuarios/ingreso');
+    } catch (error) {
+        logError('users.controller.forgotPassword', error);
+        req.flash('error_msg', 'No se pudo enviar el correo de recuperación. Inténtalo más tarde.');
+        res.redirect('/usuarios/recuperar');
+    }
+};
+
+/**
+ * Renderiza el formulario para elegir una contraseña nueva a partir del enlace recibido
+ * 
+ * @function renderResetPassword
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista de restablecimiento o redirige si el enlace no es válido
+ */
+usersController.renderResetPassword = async (req, res, next) => {
+    try {
+        const user = await User.findByPasswordResetToken(req.params.token);
+        
+        if (!user) {
+            req.flash('error_msg', 'El enlace para restablecer la contraseña no es válido o ha caducado. Solicita uno nuevo.');
+            return res.redirect('/usuarios/recuperar');
+        }
+        
+        res.render('users/reset-password', {
+            title: 'Restablecer contraseña',
+            token: req.params.token,
+            csrfToken: req.csrfToken ? req.csrfToken() : null
+        });
+    } catch (error) {
+        logError('users.controller.renderResetPassword', error);
+        next(error);
+    }
+};
+
+/**
+ * Establece la contraseña nueva y cierra todas las sesiones abiertas del usuario
+ * 
+ * @function resetPassword
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige al inicio de sesión o muestra errores de validación
+ * 
+ * @security
+ * - El token se compara por su hash, caduca y se invalida al usarse
+ * - Aplica las mismas reglas de complejidad que el registro
+ * - Elimina las sesiones del usuario en el almacén para cerrar accesos con la contraseña anterior
+ */
+usersController.resetPassword = async (req, res, next) => {
+    const { token } = req.params;
+    
+    try {
+        const user = await User.findByPasswordResetToken(token);
+        
+        if (!user) {
+            req.flash('error_msg', 'El enlace para restablecer la contraseña no es válido o ha caducado. Solicita uno nuevo.');
+            return res.redirect('/usuarios/recuperar');
+        }
+        
+        const { password = '', confirm_password = '' } = req.body;
+        const validationErrors = validateNewPassword(password, confirm_password);
+        
+        if (validationErrors.length > 0) {
+            return res.render('users/reset-password', {
+                errors: validationErrors,
+                token,
+                csrfToken: req.csrfToken ? req.csrfToken() : null
+            });
+        }
+        
+        await user.resetPassword(password);
+        await user.save();
+        
+        // Cerrar todas las sesiones abiertas con la contraseña anterior
+        const closedSessions = await destroyUserSessions(user.id);
+        logUserSession(`Contraseña restablecida: ${user.email} (${user._id}) - ${closedSessions} sesión(es) cerrada(s)`);
+        
+        const finish = () => {
+            req.flash('success_msg', 'Tu contraseña se ha restablecido. Inicia sesión con la nueva contraseña.');
+            res.redirect('/usuarios/ingreso');
+        };
+        
+        // Si la solicitud llega con una sesión iniciada, también se cierra
+        if (req.isAuthenticated()) {
+            return req.logout((err) => {
+                if (err) {
+                    return next(err);
+                }
+                finish();
+            });
+        }
+        
+        finish();
+    } catch (error) {
+        logError('users.controller.resetPassword', error);
+        req.flash('error_msg', 'Ocurrió un error al restablecer la contraseña');
+        res.redirect(`/usuarios/restablecer/${encodeURIComponent(token)}`);
+    }
+};
+
+/**
+ * Carga las sesiones activas del usuario y renderiza la página de perfil.
+ * Compartida por la vista inicial y por los formularios que deben mostrar errores.
+ *
+ * @async
+ * @function renderProfilePage
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Object} [viewData] - Datos adicionales para la vista (errores, valores del formulario)
+ * @returns {Promise<void>}
+ */
+const renderProfilePage = async (req, res, viewData = {}) => {
+    const sessions = await findUserSessions(req.user.id, req.sessionID);
+
+    res.render('users/profile', {
+        title: 'Mi perfil',
+        profile: {
+            name: req.user.name,
+            email: req.user.email,
+            emailVerified: req.user.emailVerified,
+            createdAtText: req.user.createdAt ? req.user.createdAt.toLocaleDateString('es-ES') : null,
+            passwordChangedAtText: req.user.passwordChangedAt ? req.user.passwordChangedAt.toLocaleString('es-ES') : null
+        },
+        sessions: sessions.map(session => {
+            const device = session.device || {};
+            const location = [device.city, device.country]
+                .filter(place => place && place !== 'Desconocido')
+                .join(', ');
+
+            return {
+                id: session.id,
+                isCurrent: session.isCurrent,
+                description: device.description || 'Dispositivo desconocido',
+                location: location || 'Ubicación desconocida',
+                ip: device.ip || null,
+                signedInAtText: device.signedInAt ? new Date(device.signedInAt).toLocaleString('es-ES') : null,
+                expiresText: session.expires.toLocaleString('es-ES')
+            };
+        }),
+        hasOtherSessions: sessions.some(session => !session.isCurrent),
+        deletionGraceDays: getAccountDeletionGraceDays(),
+        csrfToken: req.csrfToken ? req.csrfToken() : null,
+        ...viewData
+    });
+};
+
+/**
+ * Renderiza la página de perfil y configuración de la cuenta
+ * 
+ * @function renderProfile
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Renderiza la vista del perfil
+ */
+usersController.renderProfile = async (req, res, next) => {
+    try {
+        await renderProfilePage(req, res);
+    } catch (error) {
+        logError('users.controller.renderProfile', error);
+        next(error);
+    }
+};
+
+/**
+ * Actualiza el nombre del usuario
+ * 
+ * @function updateProfile
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige al perfil
+ */
+usersController.updateProfile = async (req, res, next) => {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        
+        if (!name) {
+            req.flash('error_msg', 'El nombre es obligatorio');
+            return res.redirect('/usuarios/perfil');
+        }
+        
+        req.user.name = name;
+        await req.user.save();
+        
+        req.flash('success_msg', 'Tu nombre se ha actualizado');
+        res.redirect('/usuarios/perfil');
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            req.flash('error_msg', Object.values(error.errors).map(err => err.message).join('. '));
+            return res.redirect('/usuarios/perfil');
+        }
+        logError('users.controller.updateProfile', error);
+        req.flash('error_msg', 'Ocurrió un error al actualizar el perfil');
+        res.redirect('/usuarios/perfil');
+    }
+};
+
+/**
+ * Cambia la contraseña del usuario tras comprobar la actual.
+ * Aplica las mismas reglas que el registro y cierra el resto de sesiones abiertas.
+ * 
+ * @function updatePassword
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige al perfil o lo renderiza con los errores
+ */
+usersController.updatePassword = async (req, res, next) => {
+    try {
+        const { current_password = '', password = '', confirm_password = '' } = req.body;
+        const user = await User.findById(req.user.id).select('+password');
+        
+        if (!current_password || !(await user.matchPassword(current_password))) {
+            return await renderProfilePage(req, res, {
+                errors: [{ text: 'La contraseña actual no es correcta' }]
+            });
+        }
+        
+        const validationErrors = validateNewPassword(password, confirm_password);
+        if (validationErrors.length > 0) {
+            return await renderProfilePage(req, res, { errors: validationErrors });
+        }
+        
+        await user.changePassword(password);
+        await user.save();
+        
+        // La sesión actual se conserva; el resto se cierra
+        const closedSessions = await destroyUserSessions(user.id, { exceptSessionId: req.sessionID });
+        logUserSession(`Contraseña cambiada desde el perfil: ${user.email} (${user._id}) - ${closedSessions} sesión(es) cerrada(s)`);
+        
+        req.flash('success_msg', 'Tu contraseña se ha cambiado. Se cerraron las sesiones abiertas en otros dispositivos.');
+        res.redirect('/usuarios/perfil');
+    } catch (error) {
+        logError('users.controller.updatePassword', error);
+        req.flash('error_msg', 'Ocurrió un error al cambiar la contraseña');
+        res.redirect('/usuarios/perfil');
+    }
+};
+
+/**
+ * Cambia el correo del usuario tras comprobar la contraseña actual.
+ * La dirección nueva queda sin verificar y se le envía un enlace de verificación.
+ * 
+ * @function updateEmail
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige al perfil o lo renderiza con los errores
+ */
+usersController.updateEmail = async (req, res, next) => {
+    try {
+        const email = typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+        const { current_password = '' } = req.body;
+        const user = await User.findById(req.user.id).select('+password');
+        
+        if (!current_password || !(await user.matchPassword(current_password))) {
+            return await renderProfilePage(req, res, {
+                errors: [{ text: 'La contraseña actual no es correcta' }],
+                newEmail: email
+            });
+        }
+        
+        if (!email || email === user.email) {
+            return await renderProfilePage(req, res, {
+                errors: [{ text: 'Introduce un correo distinto del actual' }],
+                newEmail: email
+            });
+        }
+        
+        if (await User.exists({ email, _id: { $ne: user._id } })) {
+            return await renderProfilePage(req, res, {
+                errors: [{ text: 'El correo electrónico ya está registrado' }],
+                newEmail: email
+            });
+        }
+        
+        const previousEmail = user.email;
+        user.changeEmail(email);
+        
+        const validationError = user.validateSync(['email']);
+        if (validationError) {
+            return await renderProfilePage(req, res, {
+                errors: Object.values(validationError.errors).map(err => ({ text: err.message })),
+                newEmail: email
+            });
+        }
+        
+        await user.save();
+        logUserSession(`Correo cambiado desde el perfil: ${previousEmail} -> ${user.email} (${user._id})`);
+        
+        try {
+            await sendAccountVerification(user, req);
+            req.flash('success_msg', `Tu correo se ha cambiado. Te hemos enviado un enlace a ${user.email} para verificarlo.`);
+        } catch (mailError) {
+            logError('users.controller.updateEmail.sendVerification', mailError);
+            req.flash('success_msg', 'Tu correo se ha cambiado, pero no pudimos enviar el enlace de verificación. Puedes solicitar uno nuevo más tarde.');
+        }
+        
+        res.redirect('/usuarios/perfil');
+    } catch (error) {
+        logError('users.controller.updateEmail', error);
+        req.flash('error_msg', 'Ocurrió un error al cambiar el correo');
+        res.redirect('/usuarios/perfil');
+    }
+};
+
+/**
+ * Cierra una de las sesiones abiertas del usuario
+ * 
+ * @function revokeSession
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige al perfil
+ */
+usersController.revokeSession = async (req, res, next) => {
+    try {
+        // La sesión actual se cierra con "Salir", que además limpia la cookie
+        if (req.params.id === getSessionPublicId(req.sessionID)) {
+            req.flash('error_msg', 'Para cerrar la sesión actual usa la opción Salir');
+            return res.redirect('/usuarios/perfil');
+        }
+        
+        const revoked = await destroyUserSession(req.user.id, req.params.id);
+        
+        if (!revoked) {
+            req.flash('error_msg', 'La sesión no existe o ya se cerró');
+            return res.redirect('/usuarios/perfil');
+        }
+        
+        logUserSession(`Usuario ${req.user.email} (${req.user.id}) cerró una sesión desde su perfil`);
+        req.flash('success_msg', 'La sesión se ha cerrado');
+        res.redirect('/usuarios/perfil');
+    } catch (error) {
+        logError('users.controller.revokeSession', error);
+        req.flash('error_msg', 'Ocurrió un error al cerrar la sesión');
+        res.redirect('/usuarios/perfil');
+    }
+};
+
+/**
+ * Cierra todas las sesiones del usuario excepto la actual
+ * 
+ * @function revokeOtherSessions
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Redirige al perfil
+ */
+usersController.revokeOtherSessions = async (req, res, next) => {
+    try {
+        const closedSessions = await destroyUserSessions(req.user.id, { exceptSessionId: req.sessionID });
+        
+        logUserSession(`Usuario ${req.user.email} (${req.user.id}) cerró ${closedSessions} sesión(es) desde su perfil`);
+        req.flash('success_msg', `Se cerraron ${closedSessions} sesión(es) en otros dispositivos`);
+        res.redirect('/usuarios/perfil');
+    } catch (error) {
+        logError('users.controller.revokeOtherSessions', error);
+        req.flash('error_msg', 'Ocurrió un error al cerrar las sesiones');
+        res.redirect('/usuarios/perfil');
+    }
+};
+
+/**
+ * Descarga todos los datos personales del usuario en un archivo JSON:
+ * perfil, notas (también las de la papelera), mensajes de contacto e intentos de inicio de sesión
+ * 
+ * @function exportAccountData
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Envía el archivo como descarga
+ */
+usersController.exportAccountData = async (req, res, next) => {
+    try {
+        const data = await buildAccountExport(req.user);
+        const date = new Date().toISOString().slice(0, 10);
+        
+        logUserSession(`Usuario ${req.user.email} (${req.user.id}) descargó sus datos personales`);
+        
+        res.attachment(`gestor-de-notas-datos-${date}.json`);
+        res.type('json');
+        res.send(JSON.stringify(data, null, 2));
+    } catch (error) {
+        logError('users.controller.exportAccountData', error);
+        req.flash('error_msg', 'Ocurrió un error al preparar la descarga de tus datos');
+        res.redirect('/usuarios/perfil');
+    }
+};
+
+/**
+ * Solicita la eliminación de la cuenta tras confirmarla con la contraseña actual.
+ * La cuenta se elimina al terminar el periodo de gracia; iniciar sesión antes lo cancela.
+ * 
+ * @function deleteAccount
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void} Cierra la sesión y redirige al inicio de sesión
+ */
+usersController.deleteAccount = async (req, res, next) => {
+    try {
+        const { current_password = '', confirmation = '' } = req.body;
+        const user = await User.findById(req.user.id).select('+password');
+        
+        if (confirmation.trim() !== 'ELIMINAR') {
+            return await renderProfilePage(req, res, {
+                errors: [{ text: 'Escribe ELIMINAR para confirmar la eliminación de la cuenta' }]
+            });
+        }
+        
+        if (!current_password || !(await user.matchPassword(current_password))) {
+            return await renderProfilePage(req, res, {
+                errors: [{ text: 'La contraseña actual no es correcta' }]
+            });
+        }
+        
+        const deletionDate = user.scheduleDeletion(getAccountDeletionGraceDays());
+        await user.save();
+        
+        // Cerrar la sesión en todos los dispositivos
+        const closedSessions = await destroyUserSessions(user.id);
+        logUserSession(`Eliminación de cuenta solicitada: ${user.email} (${user._id}) - Programada para ${deletionDate.toISOString()}, ${closedSessions} sesión(es) cerrada(s)`);
+        
+        try {
+            await sendAccountDeletionEmail(user, deletionDate, `${getAppUrl(req)}/usuarios/ingreso`);
+        } catch (mailError) {
+            logError('users.controller.deleteAccount.sendMail', mailError);
+        }
+        
+        req.logout((err) => {
+            if (err) {
+                return next(err);
+            }
+            req.flash('success_msg', `Tu cuenta se eliminará el ${deletionDate.toLocaleDateString('es-ES')}. Si cambias de opinión, inicia sesión antes de esa fecha.`);
+            res.redirect('/usuarios/ingreso');
+        });
+    } catch (error) {
+        logError('users.controller.deleteAccount', error);
+        req.flash('error_msg', 'Ocurrió un error al solicitar la eliminación de la cuenta');
+        res.redirect('/usuarios/perfil');
+    }
+};
+
 module.exports = usersController;
\ No newline at end of file
@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * @fileoverview Datos personales de la cuenta: exportación y eliminación.
+ * Reúne lo que se entrega al usuario al descargar sus datos y lo que se borra
+ * cuando vence el periodo de gracia de una eliminación solicitada.
+ * @module helpers/account
+ * @version 1.0.0
+ */
+
+const Note = require('../models/Note');
+const Notebook = require('../models/Notebook');
+const Contact = require('../models/Contact');
+const ApiToken = require('../models/ApiToken');
+const ShareLink = require('../models/ShareLink');
+const { destroyUserSessions } = require('./sessions');
+const { readLoginAttempts } = require('./logger');
+
+/**
+ * Días entre la solicitud de eliminación y el borrado definitivo de la cuenta.
+ * Se configura con ACCOUNT_DELETION_GRACE_DAYS (por defecto 30).
+ *
+ * @function getAccountDeletionGraceDays
+ * @returns {number} Días del periodo de gracia
+ */
+const getAccountDeletionGraceDays = () => {
+    const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+    return Number.isNaN(days) || days < 0 ? 30 : days;
+};
+
+/**
+ * Filtro de los mensajes de contacto de un usuario: los enviados con la sesión
+ * iniciada y los enviados sin sesión desde su mismo correo
+ *
+ * @function buildContactFilter
+ * @param {Object} user - Usuario (_id, email)
+ * @returns {Object} Filtro de Mongoose
+ */
+const buildContactFilter = (user) => ({
+    $or: [{ userId: user._id }, { email: user.email }]
+});
+
+/**
+ * Reúne todos los datos personales de un usuario para su descarga
+ *
+ * @async
+ * @function buildAccountExport
+ * @param {Document} user - Usuario autenticado
+ * @returns {Promise<Object>} Perfil, notas (también las de la papelera), libretas, mensajes
+ * de contacto e intentos de inicio de sesión
+ */
+const buildAccountExport = async (user) => {
+    const [notes, notebooks, contacts, loginAttempts] = await Promise.all([
+        // Incluir isActive en el filtro evita que el hook pre('find') oculte la papelera
+        Note.find({ user: user._id, isActive: { $in: [true, false] } })
+            .select('title description format type items.text items.done tags notebook isActive deletedAt createdAt updatedAt')
+            .sort({ createdAt: 1 })
+            .lean(),
+        Notebook.find({ user: user._id })
+            .select('name parent createdAt updatedAt')
+            .sort({ createdAt: 1 })
+            .lean(),
+        Contact.find(buildContactFilter(user))
+            .select('name email subject message status replies.message replies.sentAt createdAt')
+            .sort({ createdAt: 1 })
+            .lean(),
+        readLoginAttempts(user.email)
+    ]);
+
+    return {
+        exportedAt: new Date(),
+        profile: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            emailVerified: user.emailVerified,
+            lastLogin: user.lastLogin,
+            passwordChangedAt: user.passwordChangedAt,
+            deletionScheduledFor: user.deletionScheduledFor,
+            createdAt: user.createdAt,
+            updatedAt: user.updatedAt
+        },
+        notes,
+        notebooks,
+        contacts,
+        loginAttempts
+    };
+};
+
+/**
+ * Elimina definitivamente una cuenta y sus datos: notas con su historial, libretas,
+ * accesos a notas compartidas, enlaces públicos, mensajes de contacto, tokens de la API y sesiones abiertas
+ *
+ * @async
+ * @function deleteAccountData
+ * @param {Document} user - Usuario a eliminar
+ * @returns {Promise<Object>} Número de documentos eliminados por tipo
+ */
+const deleteAccountData = async (user) => {
+    // Note.purge solo borra notas de la papelera: se envían primero todas a ella
+    await Note.updateMany({ user: user._id, isActive: true }, { isActive: false, deletedAt: new Date() });
+    const notes = await Note.purge({ user: user._id });
+
+    // Las notas que otros usuarios le compartieron dejan de apuntar a la cuenta
+    await Note.updateMany(
+        { 'sharedWith.user': user._id },
+        { $pull: { sharedWith: { user: user._id } } },
+        { timestamps: false }
+    );
+
+    const [notebooks, contacts, tokens, links, sessions] = await Promise.all([
+        Notebook.deleteMany({ user: user._id }),
+        Contact.deleteMany(buildContactFilter(user)),
+        ApiToken.deleteMany({ user: user._id }),
+        ShareLink.deleteMany({ user: user._id }),
+        destroyUserSessions(user._id)
+    ]);
+
+    await user.deleteOne();
+
+    return {
+        notes,
+        notebooks: notebooks.deletedCount,
+        contacts: contacts.deletedCount,
+        tokens: tokens.deletedCount,
+        links: links.deletedCount,
+        sessions
+    };
+};
+
+module.exports = {
+    getAccountDeletionGraceDays,
+    buildAccountExport,
+    deleteAccountData
+};
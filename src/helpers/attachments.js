@@ -0,0 +1,279 @@
+'use strict';
+
+/**
+ * @fileoverview Utilidades para los archivos adjuntos de las notas.
+ * Recibe la subida con Multer, comprueba el tipo real del archivo por su
+ * contenido (no por la extensión ni por lo que declara el navegador), genera
+ * las miniaturas de las imágenes y prepara los adjuntos para las vistas.
+ * @module helpers/attachments
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const Attachment = require('../models/Attachment');
+const { OBJECT_ID_REGEX } = require('./notes');
+
+/**
+ * Máximo de archivos adjuntos por nota
+ * @constant {number}
+ */
+const MAX_ATTACHMENTS_PER_NOTE = 10;
+
+/**
+ * Máximo de miniaturas que se muestran por nota en la lista
+ * @constant {number}
+ */
+const THUMBNAILS_PER_NOTE = 3;
+
+/**
+ * Lado en píxeles de las miniaturas (el doble de lo que ocupan en la lista,
+ * para que se vean nítidas en pantallas de alta densidad)
+ * @constant {number}
+ */
+const THUMBNAIL_SIZE = 112;
+
+/**
+ * Tipos de archivo admitidos, con su nombre para las vistas
+ * @constant {Object<string, string>}
+ */
+const ALLOWED_MIME_TYPES = {
+    'image/png': 'Imagen PNG',
+    'image/jpeg': 'Imagen JPEG',
+    'image/gif': 'Imagen GIF',
+    'image/webp': 'Imagen WebP',
+    'application/pdf': 'Documento PDF',
+    'text/plain': 'Texto'
+};
+
+/**
+ * Firmas (primeros bytes) de los tipos binarios admitidos
+ * @constant {Array<{mimeType: string, matches: Function}>}
+ */
+const SIGNATURES = [
+    { mimeType: 'image/png', matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mimeType: 'image/jpeg', matches: buffer => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+    { mimeType: 'image/gif', matches: buffer => ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6)) },
+    { mimeType: 'image/webp', matches: buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP' },
+    { mimeType: 'application/pdf', matches: buffer => buffer.toString('latin1', 0, 5) === '%PDF-' }
+];
+
+/**
+ * Límites de tamaño de los adjuntos.
+ * Se configuran con ATTACHMENT_MAX_SIZE_MB (por archivo, por defecto 10)
+ * y ATTACHMENT_QUOTA_MB (total por usuario, por defecto 100).
+ *
+ * @function getAttachmentLimits
+ * @returns {{fileSize: number, quota: number}} Límites en bytes
+ */
+const getAttachmentLimits = () => {
+    const toBytes = (value, fallback) => {
+        const megabytes = parseFloat(value);
+        return (Number.isNaN(megabytes) || megabytes <= 0 ? fallback : megabytes) * 1024 * 1024;
+    };
+
+    return {
+        fileSize: toBytes(process.env.ATTACHMENT_MAX_SIZE_MB, 10),
+        quota: toBytes(process.env.ATTACHMENT_QUOTA_MB, 100)
+    };
+};
+
+/**
+ * Formatea un tamaño en bytes para las vistas
+ *
+ * @function formatBytes
+ * @param {number} bytes - Tamaño en bytes
+ * @returns {string} Tamaño legible (por ejemplo, "1,5 MB")
+ */
+const formatBytes = (bytes) => {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes || 0;
+    let unit = 0;
+
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+
+    return `${value.toLocaleString('es-ES', { maximumFractionDigits: unit ? 1 : 0 })} ${units[unit]}`;
+};
+
+/**
+ * Averigua el tipo de un archivo por su contenido. Un archivo declarado como
+ * texto se acepta si no contiene bytes nulos ni caracteres UTF-8 inválidos.
+ *
+ * @function detectMimeType
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {string} declaredType - Tipo MIME que envió el navegador
+ * @returns {string|null} Tipo admitido o null si no es ninguno de ALLOWED_MIME_TYPES
+ */
+const detectMimeType = (buffer, declaredType) => {
+    const signature = SIGNATURES.find(({ matches }) => matches(buffer));
+    if (signature) {
+        return signature.mimeType;
+    }
+
+    if (declaredType === 'text/plain' && !buffer.includes(0)) {
+        const text = buffer.toString('utf8');
+        return text.includes('�') ? null : 'text/plain';
+    }
+
+    return null;
+};
+
+/**
+ * Genera la miniatura de una imagen: cuadrada, recortada al centro, orientada
+ * según sus datos EXIF y en WebP. De los GIF animados se toma el primer fotograma.
+ *
+ * @async
+ * @function createThumbnail
+ * @param {Buffer} buffer - Contenido de la imagen
+ * @returns {Promise<Buffer>} Contenido de la miniatura
+ * @throws {Error} Si la imagen está dañada y no se puede leer
+ */
+const createThumbnail = (buffer) => {
+    return sharp(buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+        .webp({ quality: 80 })
+        .toBuffer();
+};
+
+/**
+ * Limpia el nombre de un archivo subido: sin rutas, sin caracteres de control
+ * ni separadores y con una longitud razonable
+ *
+ * @function sanitizeFileName
+ * @param {string} name - Nombre recibido
+ * @returns {string} Nombre seguro para guardar y mostrar
+ */
+const sanitizeFileName = (name) => {
+    const baseName = path.basename(String(name || '').replace(/\\/g, '/'))
+        .replace(/[\u0000-\u001f\u007f"<>|:*?/]/g, '')
+        .trim();
+
+    if (!baseName || baseName === '.' || baseName === '..') {
+        return 'archivo';
+    }
+
+    if (baseName.length <= 120) {
+        return baseName;
+    }
+
+    const extension = path.extname(baseName).slice(0, 20);
+    return baseName.slice(0, 120 - extension.length) + extension;
+};
+
+/**
+ * Middleware de Multer que recibe el archivo del campo "file" en memoria.
+ * Los errores de subida (por ejemplo, un archivo demasiado grande) se muestran
+ * como mensaje flash en la vista de la nota.
+ *
+ * @function handleAttachmentUpload
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void}
+ */
+const handleAttachmentUpload = (req, res, next) => {
+    const { fileSize } = getAttachmentLimits();
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize, files: 1 },
+        // Los nombres con tildes llegan en UTF-8
+        defParamCharset: 'utf8'
+    }).single('file');
+
+    upload(req, res, (err) => {
+        if (!err) {
+            return next();
+        }
+
+        const noteId = req.params.id;
+        req.flash('error_msg', err.code === 'LIMIT_FILE_SIZE'
+            ? `El archivo supera el tamaño máximo de ${formatBytes(fileSize)}`
+            : 'No se pudo recibir el archivo');
+        res.redirect(OBJECT_ID_REGEX.test(String(noteId)) ? `/notas/ver/${noteId}` : '/notas');
+    });
+};
+
+/**
+ * Prepara los adjuntos de una nota para las vistas
+ *
+ * @function formatAttachments
+ * @param {Array<Object>} attachments - Adjuntos de la nota
+ * @returns {Array<Object>} Adjuntos con su tamaño, tipo y fecha formateados; hasThumbnail
+ * indica si tienen miniatura (hay que consultarlos con '+thumbnailKey')
+ */
+const formatAttachments = (attachments = []) => {
+    return attachments.map(attachment => ({
+        _id: attachment._id,
+        note: attachment.note,
+        originalName: attachment.originalName,
+        typeText: ALLOWED_MIME_TYPES[attachment.mimeType] || attachment.mimeType,
+        sizeText: formatBytes(attachment.size),
+        isImage: attachment.mimeType.startsWith('image/'),
+        hasThumbnail: Boolean(attachment.thumbnailKey),
+        createdAtText: attachment.createdAt ? attachment.createdAt.toLocaleString('es-ES') : ''
+    }));
+};
+
+/**
+ * Busca las imágenes adjuntas a varias notas para mostrarlas como miniaturas
+ * en la lista. Las imágenes subidas antes de que se generaran miniaturas
+ * aparecen sin ella (hasThumbnail es false) y la vista muestra un icono.
+ *
+ * @async
+ * @function findThumbnails
+ * @param {Array<ObjectId>} noteIds - IDs de las notas de la página
+ * @param {string} userId - ID del propietario
+ * @returns {Promise<Map<string, {images: Array<Object>, moreCount: number}>>} Miniaturas por ID de nota
+ */
+const findThumbnails = async (noteIds, userId) => {
+    const thumbnails = new Map();
+    if (!noteIds.length) {
+        return thumbnails;
+    }
+
+    const images = await Attachment.find({
+        note: { $in: noteIds },
+        user: userId,
+        mimeType: /^image\//
+    })
+        .sort({ createdAt: 1 })
+        .select('note originalName +thumbnailKey')
+        .lean();
+
+    for (const image of images) {
+        const key = String(image.note);
+        const entry = thumbnails.get(key) || { images: [], moreCount: 0 };
+
+        if (entry.images.length < THUMBNAILS_PER_NOTE) {
+            entry.images.push({
+                _id: image._id,
+                note: image.note,
+                originalName: image.originalName,
+                hasThumbnail: Boolean(image.thumbnailKey)
+            });
+        } else {
+            entry.moreCount++;
+        }
+        thumbnails.set(key, entry);
+    }
+
+    return thumbnails;
+};
+
+module.exports = {
+    MAX_ATTACHMENTS_PER_NOTE,
+    ALLOWED_MIME_TYPES,
+    getAttachmentLimits,
+    formatBytes,
+    detectMimeType,
+    sanitizeFileName,
+    createThumbnail,
+    handleAttachmentUpload,
+    formatAttachments,
+    findThumbnails
+};
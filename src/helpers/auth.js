@@ -3,6 +3,8 @@
  * Helpers de autenticación para rutas protegidas.
  * @module helpers/auth
  */
+const passport = require('passport');
+
 const helpers = {};
 
 /**
@@ -24,4 +26,67 @@ helpers.isAuthenticated = (req, res, next) => {
   return res.redirect('/usuarios/ingreso');
 };
 
+/**
+ * Middleware que verifica que el usuario autenticado sea administrador (role 'admin').
+ * Los usuarios sin sesión se redirigen al ingreso y el resto a la página principal.
+ * @function isAdmin
+ * @param {Object} req - Objeto de solicitud de Express
+ * @param {Object} res - Objeto de respuesta de Express
+ * @param {Function} next - Función next de Express
+ */
+helpers.isAdmin = (req, res, next) => {
+  if (!(req.isAuthenticated && req.isAuthenticated())) {
+    return helpers.isAuthenticated(req, res, next);
+  }
+  if (req.user.role === 'admin') {
+    return next();
+  }
+  req.flash('error_msg', 'No tienes permiso para acceder a esta sección.');
+  return res.redirect('/');
+};
+
+/**
+ * Middleware de autenticación para la API JSON.
+ * Acepta la sesión del navegador o un token personal en la cabecera
+ * "Authorization: Bearer <token>". A diferencia de isAuthenticated,
+ * no redirige: responde 401 con un cuerpo JSON.
+ * @function isApiAuthenticated
+ * @param {Object} req - Objeto de solicitud de Express
+ * @param {Object} res - Objeto de respuesta de Express
+ * @param {Function} next - Función next de Express
+ */
+helpers.isApiAuthenticated = (req, res, next) => {
+  if (req.isAuthenticated && req.isAuthenticated()) {
+    return next();
+  }
+
+  passport.authenticate('bearer', { session: false }, (err, user, info) => {
+    if (err) {
+      return next(err);
+    }
+    if (!user) {
+      res.set('WWW-Authenticate', 'Bearer realm="api"');
+      return res.status(401).json({ error: 'Autenticación requerida' });
+    }
+    req.user = user;
+    req.authInfo = info;
+    return next();
+  })(req, res, next);
+};
+
+/**
+ * Genera un middleware que exige un permiso concreto al token de la API.
+ * Las solicitudes autenticadas por sesión tienen todos los permisos.
+ * @function requireScope
+ * @param {string} scope - Permiso requerido (por ejemplo 'notes:write')
+ * @returns {Function} Middleware de Express
+ */
+helpers.requireScope = (scope) => (req, res, next) => {
+  const scopes = req.authInfo && req.authInfo.scope;
+  if (!scopes || scopes.includes(scope)) {
+    return next();
+  }
+  return res.status(403).json({ error: `El token no tiene el permiso requerido: ${scope}` });
+};
+
 module.exports = helpers;
\ No newline at end of file
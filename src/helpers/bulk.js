@@ -0,0 +1,253 @@
+'use strict';
+
+/**
+ * @fileoverview Acciones masivas sobre varias notas a la vez.
+ * La propiedad de todas las notas se comprueba con una sola consulta y cada
+ * nota se procesa por separado, de modo que los fallos de unas no impiden
+ * aplicar la acción al resto. Lo usan tanto las vistas HTML como la API JSON.
+ * @module helpers/bulk
+ * @version 1.0.0
+ */
+
+const NoteRevision = require('../models/NoteRevision');
+const { logError } = require('./logger');
+const {
+    MAX_BULK_NOTES,
+    parseNoteIds,
+    parseTags,
+    findOwnedNotes,
+    formatValidationErrors
+} = require('./notes');
+const { resolveNotebook } = require('./notebooks');
+
+/**
+ * Mensajes de los errores de acceso a una nota dentro de una acción masiva
+ * @constant {Object<string, string>}
+ */
+const FAILURE_MESSAGES = {
+    invalid_id: 'ID de nota inválido',
+    not_found: 'La nota no existe',
+    forbidden: 'No tienes permiso para modificar esta nota',
+    notebook_not_found: 'La libreta de destino no existe',
+    error: 'Error al guardar la nota'
+};
+
+/**
+ * Cambia las etiquetas de una nota y registra la revisión si cambiaron.
+ * tags debe ser el resultado de añadir o quitar etiquetas a las actuales
+ *
+ * @async
+ * @function saveTags
+ * @param {Document} note - Nota del usuario
+ * @param {string[]} tags - Etiquetas nuevas
+ * @param {string} userId - ID del usuario que realiza el cambio
+ * @returns {Promise<void>}
+ */
+const saveTags = async (note, tags, userId) => {
+    // Las etiquetas solo se añaden o se quitan: si el número no cambia, la nota queda igual
+    if (tags.length === note.tags.length) {
+        return;
+    }
+
+    // Conservar el contenido previo si la nota aún no tiene historial
+    await NoteRevision.ensureBaseline(note);
+
+    note.tags = tags;
+    await note.save();
+    await NoteRevision.record(note, userId);
+};
+
+/**
+ * Acciones masivas disponibles.
+ * inTrash indica si la acción se aplica a notas de la papelera; requiresTags y
+ * requiresNotebook, si necesita etiquetas o una libreta de destino; apply procesa
+ * una nota ya verificada.
+ * @constant {Object<string, {label: string, done: string, inTrash: boolean, requiresTags: boolean, requiresNotebook: boolean, apply: Function}>}
+ */
+const BULK_ACTIONS = {
+    delete: {
+        label: 'Enviar a la papelera',
+        done: 'enviada(s) a la papelera',
+        inTrash: false,
+        requiresTags: false,
+        requiresNotebook: false,
+        apply: note => note.deactivate()
+    },
+    restore: {
+        label: 'Restaurar',
+        done: 'restaurada(s)',
+        inTrash: true,
+        requiresTags: false,
+        requiresNotebook: false,
+        apply: note => note.restore()
+    },
+    tag: {
+        label: 'Añadir etiquetas',
+        done: 'etiquetada(s)',
+        inTrash: false,
+        requiresTags: true,
+        requiresNotebook: false,
+        apply: (note, { tags, userId }) => saveTags(note, [...new Set([...note.tags, ...tags])], userId)
+    },
+    untag: {
+        label: 'Quitar etiquetas',
+        done: 'actualizada(s)',
+        inTrash: false,
+        requiresTags: true,
+        requiresNotebook: false,
+        apply: (note, { tags, userId }) => saveTags(note, note.tags.filter(tag => !tags.includes(tag)), userId)
+    },
+    pin: {
+        label: 'Fijar',
+        done: 'fijada(s)',
+        inTrash: false,
+        requiresTags: false,
+        requiresNotebook: false,
+        apply: note => note.setPinned(true)
+    },
+    unpin: {
+        label: 'Dejar de fijar',
+        done: 'desfijada(s)',
+        inTrash: false,
+        requiresTags: false,
+        requiresNotebook: false,
+        apply: note => note.setPinned(false)
+    },
+    archive: {
+        label: 'Archivar',
+        done: 'archivada(s)',
+        inTrash: false,
+        requiresTags: false,
+        requiresNotebook: false,
+        apply: note => note.setArchived(true)
+    },
+    unarchive: {
+        label: 'Desarchivar',
+        done: 'devuelta(s) a la lista',
+        inTrash: false,
+        requiresTags: false,
+        requiresNotebook: false,
+        apply: note => note.setArchived(false)
+    },
+    move: {
+        label: 'Mover a libreta',
+        done: 'movida(s)',
+        inTrash: false,
+        requiresTags: false,
+        requiresNotebook: true,
+        apply: (note, { notebookId }) => note.moveToNotebook(notebookId)
+    }
+};
+
+/**
+ * Valida los datos de una acción masiva recibidos de un formulario o de la API
+ *
+ * @function parseBulkRequest
+ * @param {Object} body - Cuerpo de la solicitud (action, ids, tags, notebook)
+ * @param {Object} [options] - Opciones de validación
+ * @param {string[]} [options.extraActions=[]] - Acciones adicionales admitidas por quien llama (p. ej. export)
+ * @returns {{action: string, ids: string[], tags: string[], notebook: string, error: (string|null)}}
+ */
+const parseBulkRequest = (body, { extraActions = [] } = {}) => {
+    const action = String(body.action || '');
+    const ids = parseNoteIds(body.ids);
+    const tags = parseTags(body.tags);
+    const notebook = typeof body.notebook === 'string' ? body.notebook.trim() : '';
+    let error = null;
+
+    if (!BULK_ACTIONS[action] && !extraActions.includes(action)) {
+        error = 'Acción no válida';
+    } else if (!ids.length) {
+        error = 'Selecciona al menos una nota';
+    } else if (ids.length > MAX_BULK_NOTES) {
+        error = `Puedes seleccionar como máximo ${MAX_BULK_NOTES} notas a la vez`;
+    } else if (BULK_ACTIONS[action] && BULK_ACTIONS[action].requiresTags && !tags.length) {
+        error = 'Indica al menos una etiqueta';
+    } else if (BULK_ACTIONS[action] && BULK_ACTIONS[action].requiresNotebook && !notebook) {
+        error = 'Elige la libreta de destino';
+    }
+
+    return { action, ids, tags, notebook, error };
+};
+
+/**
+ * Aplica una acción masiva a las notas del usuario.
+ * Cada nota que no se puede procesar se informa en failed con su motivo.
+ *
+ * @async
+ * @function runBulkAction
+ * @param {string} action - Acción de BULK_ACTIONS
+ * @param {string[]} ids - IDs de las notas
+ * @param {string} userId - ID del usuario que realiza la operación
+ * @param {Object} [options] - Datos de la acción
+ * @param {string[]} [options.tags=[]] - Etiquetas para tag y untag
+ * @param {string} [options.notebook] - Libreta de destino para move ('none' para sacar las notas de su libreta)
+ * @returns {Promise<{succeeded: string[], failed: Array<{id: string, error: string, message: string}>}>}
+ */
+const runBulkAction = async (action, ids, userId, { tags = [], notebook } = {}) => {
+    const { inTrash, requiresNotebook, apply } = BULK_ACTIONS[action];
+
+    // Una libreta de destino ajena o inexistente hace fallar todas las notas
+    const { notebookId, error: notebookError } = requiresNotebook
+        ? await resolveNotebook(notebook, userId)
+        : { notebookId: null, error: null };
+    if (notebookError) {
+        return {
+            succeeded: [],
+            failed: ids.map(id => ({ id, error: 'notebook_not_found', message: FAILURE_MESSAGES.notebook_not_found }))
+        };
+    }
+
+    const { notes, failures } = await findOwnedNotes(ids, userId, { inTrash });
+
+    const succeeded = [];
+    const failed = failures.map(({ id, error }) => ({
+        id,
+        error,
+        message: error === 'not_found' && inTrash ? 'La nota no está en la papelera' : FAILURE_MESSAGES[error]
+    }));
+
+    for (const note of notes) {
+        const id = String(note._id);
+
+        try {
+            await apply(note, { tags, notebookId, userId });
+            succeeded.push(id);
+        } catch (error) {
+            const errors = formatValidationErrors(error);
+            if (errors) {
+                failed.push({ id, error: 'validation', message: errors.map(err => err.message).join(' ') });
+            } else {
+                logError(`bulk.runBulkAction (${action} ${id})`, error);
+                failed.push({ id, error: 'error', message: FAILURE_MESSAGES.error });
+            }
+        }
+    }
+
+    return { succeeded, failed };
+};
+
+/**
+ * Resume los fallos de una acción masiva agrupando las notas por motivo
+ *
+ * @function summarizeFailures
+ * @param {Array<{message: string}>} failed - Fallos devueltos por runBulkAction
+ * @returns {string} Texto del tipo "La nota no existe (2). ..."
+ */
+const summarizeFailures = (failed) => {
+    const counts = failed.reduce((acc, { message }) => {
+        acc[message] = (acc[message] || 0) + 1;
+        return acc;
+    }, {});
+
+    return Object.entries(counts)
+        .map(([message, count]) => `${message.replace(/\.$/, '')} (${count})`)
+        .join('. ');
+};
+
+module.exports = {
+    BULK_ACTIONS,
+    parseBulkRequest,
+    runBulkAction,
+    summarizeFailures
+};
@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * @fileoverview Utilidades para las notas de tipo lista de tareas.
+ * Los formularios editan los elementos como texto, uno por línea y con "[x]"
+ * delante de los hechos; la API los recibe como array.
+ * @module helpers/checklist
+ * @version 1.0.0
+ */
+
+/**
+ * Tipos de nota, con su nombre para las vistas
+ * @constant {Object<string, string>}
+ */
+const NOTE_TYPES = {
+    text: 'Nota',
+    checklist: 'Lista de tareas'
+};
+
+/**
+ * Límites de las listas de tareas
+ * @constant {Object}
+ * @property {number} items - Número máximo de elementos por nota
+ * @property {number} text - Longitud máxima del texto de cada elemento
+ */
+const CHECKLIST_LIMITS = {
+    items: 50,
+    text: 200
+};
+
+/**
+ * Línea de un elemento en el formulario: casilla opcional ("[ ]" o "[x]",
+ * con o sin guion delante, como en Markdown) seguida del texto
+ * @constant {RegExp}
+ */
+const ITEM_LINE_REGEX = /^(?:[-*]\s*)?\[([ xX]?)\]\s*(.*)$/;
+
+/**
+ * Lee los elementos escritos en el formulario, uno por línea.
+ * Las líneas vacías se ignoran y el orden es el de las líneas.
+ *
+ * @function parseChecklistText
+ * @param {string} [input] - Texto del formulario
+ * @returns {Array<{text: string, done: boolean, order: number}>} Elementos leídos
+ */
+const parseChecklistText = (input) => {
+    if (typeof input !== 'string') {
+        return [];
+    }
+
+    return input
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+            const match = line.match(ITEM_LINE_REGEX);
+            return match
+                ? { text: match[2].trim(), done: match[1].toLowerCase() === 'x' }
+                : { text: line, done: false };
+        })
+        .filter(item => item.text)
+        .map((item, order) => ({ ...item, order }));
+};
+
+/**
+ * Lee los elementos enviados a la API: un array de textos o de objetos
+ * con text y done
+ *
+ * @function parseChecklistItems
+ * @param {Array<string|Object>} input - Elementos recibidos
+ * @returns {{items: Array<{text: string, done: boolean, order: number}>|null, error: string|null}}
+ */
+const parseChecklistItems = (input) => {
+    if (!Array.isArray(input)) {
+        return { items: null, error: 'Los elementos deben ser un array' };
+    }
+
+    const items = [];
+    for (const item of input) {
+        const isText = typeof item === 'string';
+        const isObject = Boolean(item) && typeof item === 'object' && typeof item.text === 'string'
+            && (item.done === undefined || typeof item.done === 'boolean');
+
+        if (!isText && !isObject) {
+            return { items: null, error: 'Cada elemento debe ser un texto o un objeto con text y done' };
+        }
+
+        const text = (isText ? item : item.text).trim();
+        if (text) {
+            items.push({ text, done: isObject && item.done === true, order: items.length });
+        }
+    }
+
+    return { items, error: null };
+};
+
+/**
+ * Escribe los elementos como texto para el formulario de edición
+ *
+ * @function checklistToText
+ * @param {Array<Object>} [items] - Elementos de la nota
+ * @returns {string} Un elemento por línea, con su casilla
+ */
+const checklistToText = (items = []) => {
+    // Las revisiones guardan los elementos ya ordenados y sin el campo order
+    return [...items]
+        .sort((a, b) => (a.order || 0) - (b.order || 0))
+        .map(item => `[${item.done ? 'x' : ' '}] ${item.text}`)
+        .join('\n');
+};
+
+/**
+ * Compara dos listas por el texto y el orden de sus elementos, sin tener en
+ * cuenta las casillas: marcar un elemento no es editar la lista
+ *
+ * @function isSameChecklist
+ * @param {Array<Object>} [a] - Elementos de una lista
+ * @param {Array<Object>} [b] - Elementos de la otra lista
+ * @returns {boolean} true si tienen los mismos textos en el mismo orden
+ */
+const isSameChecklist = (a = [], b = []) => {
+    const texts = items => [...items]
+        .sort((x, y) => (x.order || 0) - (y.order || 0))
+        .map(item => item.text);
+    return JSON.stringify(texts(a)) === JSON.stringify(texts(b));
+};
+
+/**
+ * Calcula el progreso de una lista de tareas
+ *
+ * @function getChecklistProgress
+ * @param {Array<Object>} [items] - Elementos de la nota
+ * @returns {{done: number, total: number, text: string, percent: number, isComplete: boolean}} Progreso
+ */
+const getChecklistProgress = (items = []) => {
+    const done = items.filter(item => item.done).length;
+    const total = items.length;
+
+    return {
+        done,
+        total,
+        text: `${done}/${total}`,
+        percent: total ? Math.round(done / total * 100) : 0,
+        isComplete: total > 0 && done === total
+    };
+};
+
+module.exports = {
+    NOTE_TYPES,
+    CHECKLIST_LIMITS,
+    parseChecklistText,
+    parseChecklistItems,
+    checklistToText,
+    isSameChecklist,
+    getChecklistProgress
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * @fileoverview Utilidades para comparar versiones de notas línea a línea
+ * @module helpers/diff
+ * @version 1.0.0
+ */
+
+const { diffLines } = require('diff');
+const { checklistToText } = require('./checklist');
+
+/**
+ * Representa una versión de nota como texto comparable línea a línea
+ *
+ * @function revisionToText
+ * @param {Object} revision - Revisión o nota con title, description, tags y, en las listas, items
+ * @returns {string} Texto con el título, las etiquetas, la descripción y los elementos de la lista
+ */
+const revisionToText = (revision) => {
+    const lines = [`# ${revision.title}`];
+
+    if (revision.tags && revision.tags.length) {
+        lines.push(`Etiquetas: ${revision.tags.join(', ')}`);
+    }
+
+    lines.push('', revision.description || '');
+
+    if (revision.type === 'checklist' && revision.items && revision.items.length) {
+        lines.push('', checklistToText(revision.items));
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Calcula las diferencias línea a línea entre dos textos
+ *
+ * @function buildLineDiff
+ * @param {string} oldText - Texto de la versión anterior
+ * @param {string} newText - Texto de la versión posterior
+ * @returns {{lines: Array<{type: string, text: string, added: boolean, removed: boolean}>, added: number, removed: number}}
+ *   Líneas con su tipo ('added', 'removed' o 'unchanged') y el total de líneas añadidas y eliminadas
+ */
+const buildLineDiff = (oldText, newText) => {
+    const lines = [];
+    let added = 0;
+    let removed = 0;
+
+    diffLines(oldText, newText).forEach(part => {
+        const type = part.added ? 'added' : part.removed ? 'removed' : 'unchanged';
+        const partLines = part.value.replace(/\n$/, '').split('\n');
+
+        partLines.forEach(text => {
+            lines.push({ type, text, added: type === 'added', removed: type === 'removed' });
+        });
+
+        if (part.added) added += partLines.length;
+        if (part.removed) removed += partLines.length;
+    });
+
+    return { lines, added, removed };
+};
+
+module.exports = {
+    revisionToText,
+    buildLineDiff
+};
@@ -0,0 +1,374 @@
+'use strict';
+
+/**
+ * @fileoverview Exportación de notas a ZIP de Markdown, JSON, CSV y PDF.
+ * Las notas se leen con un cursor de MongoDB y se escriben en la respuesta a
+ * medida que llegan, respetando la contrapresión del stream, para que una
+ * exportación grande no tenga que cargarse entera en memoria.
+ * @module helpers/export
+ * @version 1.0.0
+ */
+
+const { once } = require('events');
+const archiver = require('archiver');
+const PDFDocument = require('pdfkit');
+const Note = require('../models/Note');
+const { NOTES_SORT } = require('./notes');
+const { checklistToText } = require('./checklist');
+
+/**
+ * Columnas del CSV exportado (compatibles con la importación de notas). Los elementos
+ * de las listas de tareas van en "items", uno por línea y con su casilla
+ * @constant {Array<string>}
+ */
+const CSV_COLUMNS = ['title', 'description', 'tags', 'format', 'type', 'items', 'createdAt', 'updatedAt'];
+
+/**
+ * Texto de una nota para los formatos sin estructura (Markdown y PDF):
+ * en las listas de tareas, los elementos van antes de la descripción
+ *
+ * @function noteToText
+ * @param {Object} note - Nota
+ * @returns {string} Contenido de la nota como texto
+ */
+const noteToText = (note) => {
+    if (note.type !== 'checklist') {
+        return note.description;
+    }
+
+    return [checklistToText(note.items), note.description].filter(Boolean).join('\n\n');
+};
+
+/**
+ * Promesas de cierre anticipado de cada respuesta, creadas por whenAborted
+ * @type {WeakMap<Writable, Promise<never>>}
+ */
+const abortedStreams = new WeakMap();
+
+/**
+ * Promesa que se rechaza si la respuesta se cierra sin haber terminado (el cliente
+ * canceló la descarga) o falla. Una respuesta HTTP cerrada emite 'close', nunca
+ * 'drain', así que toda espera del escritor debe competir con esta promesa.
+ *
+ * @function whenAborted
+ * @param {Writable} stream - Stream de destino
+ * @returns {Promise<never>}
+ */
+const whenAborted = (stream) => {
+    // Una sola promesa por stream, para no sumar escuchadores en cada espera
+    if (abortedStreams.has(stream)) {
+        return abortedStreams.get(stream);
+    }
+
+    const aborted = new Promise((resolve, reject) => {
+        const abort = (error) => reject(error || new Error('La conexión se cerró antes de terminar la exportación'));
+
+        if (stream.destroyed) {
+            return abort();
+        }
+        stream.once('error', abort);
+        stream.once('close', () => {
+            if (!stream.writableFinished) {
+                abort();
+            }
+        });
+    });
+
+    // Nadie espera la promesa cuando la exportación termina bien
+    aborted.catch(() => {});
+    abortedStreams.set(stream, aborted);
+    return aborted;
+};
+
+/**
+ * Espera a que se vacíe el búfer de un stream, o falla si se cierra antes
+ *
+ * @async
+ * @function waitForDrain
+ * @param {Writable} stream - Stream de destino
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (stream) => {
+    return Promise.race([once(stream, 'drain'), whenAborted(stream)]);
+};
+
+/**
+ * Escribe un fragmento en un stream y espera a que se vacíe si su búfer está lleno
+ *
+ * @async
+ * @function writeChunk
+ * @param {Writable} stream - Stream de destino
+ * @param {string|Buffer} chunk - Datos a escribir
+ * @returns {Promise<void>}
+ */
+const writeChunk = async (stream, chunk) => {
+    if (!stream.write(chunk)) {
+        await waitForDrain(stream);
+    }
+};
+
+/**
+ * Convierte un título en un nombre de archivo seguro: sin tildes, en minúsculas y con guiones
+ *
+ * @function slugify
+ * @param {string} text - Texto original
+ * @returns {string} Nombre de archivo sin extensión
+ */
+const slugify = (text) => {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'nota';
+};
+
+/**
+ * Genera el contenido Markdown de una nota con front-matter YAML (título, etiquetas,
+ * formato y fechas) seguido del título como encabezado y la descripción
+ *
+ * @function noteToMarkdown
+ * @param {Object} note - Nota
+ * @returns {string} Documento Markdown
+ */
+const noteToMarkdown = (note) => {
+    // JSON.stringify produce cadenas y listas válidas en YAML
+    return [
+        '---',
+        `title: ${JSON.stringify(note.title)}`,
+        `tags: ${JSON.stringify(note.tags || [])}`,
+        `format: ${note.format || 'plain'}`,
+        `created: ${new Date(note.createdAt).toISOString()}`,
+        `updated: ${new Date(note.updatedAt).toISOString()}`,
+        '---',
+        '',
+        `# ${note.title}`,
+        '',
+        noteToText(note),
+        ''
+    ].join('\n');
+};
+
+/**
+ * Escapa un valor para una celda CSV
+ *
+ * @function toCsvCell
+ * @param {*} value - Valor de la celda
+ * @returns {string} Celda entre comillas si contiene separadores, comillas o saltos de línea
+ */
+const toCsvCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convierte una nota en una línea CSV
+ *
+ * @function noteToCsvLine
+ * @param {Object} note - Nota
+ * @returns {string} Línea terminada en salto de línea
+ */
+const noteToCsvLine = (note) => {
+    const type = note.type || 'text';
+    const values = {
+        ...note,
+        tags: (note.tags || []).join(', '),
+        format: note.format || 'plain',
+        type,
+        items: type === 'checklist' ? checklistToText(note.items) : '',
+        createdAt: new Date(note.createdAt).toISOString(),
+        updatedAt: new Date(note.updatedAt).toISOString()
+    };
+
+    return `${CSV_COLUMNS.map(column => toCsvCell(values[column])).join(',')}\r\n`;
+};
+
+/**
+ * Escribe un ZIP con un archivo Markdown por nota.
+ * Cada entrada se añade cuando el archivador ha procesado la anterior.
+ *
+ * @async
+ * @function writeZip
+ * @param {AsyncIterable<Object>} notes - Cursor de notas
+ * @param {Writable} output - Respuesta HTTP
+ * @returns {Promise<number>} Número de notas exportadas
+ */
+const writeZip = async (notes, output) => {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const usedNames = new Set();
+    let count = 0;
+
+    // El archivador se para si la respuesta se cierra: competir también con ese cierre
+    const failed = Promise.race([
+        new Promise((resolve, reject) => archive.on('error', reject)),
+        whenAborted(output)
+    ]);
+    failed.catch(() => archive.abort());
+    archive.pipe(output);
+
+    for await (const note of notes) {
+        // Evitar nombres repetidos cuando dos notas tienen títulos equivalentes
+        const baseName = slugify(note.title);
+        let name = `${baseName}.md`;
+        for (let copy = 2; usedNames.has(name); copy++) {
+            name = `${baseName}-${copy}.md`;
+        }
+        usedNames.add(name);
+
+        const added = once(archive, 'entry');
+        archive.append(noteToMarkdown(note), { name, date: new Date(note.updatedAt) });
+        await Promise.race([added, failed]);
+        count++;
+    }
+
+    await Promise.race([archive.finalize(), failed]);
+    return count;
+};
+
+/**
+ * Escribe un array JSON con las notas
+ *
+ * @async
+ * @function writeJson
+ * @param {AsyncIterable<Object>} notes - Cursor de notas
+ * @param {Writable} output - Respuesta HTTP
+ * @returns {Promise<number>} Número de notas exportadas
+ */
+const writeJson = async (notes, output) => {
+    let count = 0;
+
+    await writeChunk(output, '[');
+    for await (const note of notes) {
+        const data = {
+            title: note.title,
+            description: note.description,
+            format: note.format || 'plain',
+            type: note.type || 'text',
+            items: (note.items || []).map(({ text, done }) => ({ text, done })),
+            tags: note.tags || [],
+            createdAt: note.createdAt,
+            updatedAt: note.updatedAt
+        };
+        await writeChunk(output, `${count ? ',' : ''}\n  ${JSON.stringify(data)}`);
+        count++;
+    }
+    await writeChunk(output, count ? '\n]\n' : ']\n');
+
+    output.end();
+    return count;
+};
+
+/**
+ * Escribe un CSV con cabecera y una fila por nota.
+ * Empieza con BOM para que las hojas de cálculo detecten UTF-8.
+ *
+ * @async
+ * @function writeCsv
+ * @param {AsyncIterable<Object>} notes - Cursor de notas
+ * @param {Writable} output - Respuesta HTTP
+ * @returns {Promise<number>} Número de notas exportadas
+ */
+const writeCsv = async (notes, output) => {
+    let count = 0;
+
+    await writeChunk(output, `\uFEFF${CSV_COLUMNS.join(',')}\r\n`);
+    for await (const note of notes) {
+        await writeChunk(output, noteToCsvLine(note));
+        count++;
+    }
+
+    output.end();
+    return count;
+};
+
+/**
+ * Escribe un PDF imprimible con una sección por nota
+ *
+ * @async
+ * @function writePdf
+ * @param {AsyncIterable<Object>} notes - Cursor de notas
+ * @param {Writable} output - Respuesta HTTP
+ * @returns {Promise<number>} Número de notas exportadas
+ */
+const writePdf = async (notes, output) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: 'Mis notas - Gestor de Notas' } });
+    let count = 0;
+
+    doc.pipe(output);
+    doc.fontSize(20).fillColor('#4e73df').text('Mis notas', { align: 'center' });
+    doc.fontSize(9).fillColor('#858796').text(`Exportado el ${new Date().toLocaleString('es-ES')}`, { align: 'center' });
+
+    for await (const note of notes) {
+        doc.moveDown(1.5);
+        doc.fontSize(14).fillColor('#000000').text(note.title);
+
+        const tags = (note.tags || []).map(tag => `#${tag}`).join(' ');
+        doc.fontSize(8).fillColor('#858796')
+            .text(`Actualizada el ${new Date(note.updatedAt).toLocaleString('es-ES')}${tags ? ` · ${tags}` : ''}`);
+
+        doc.moveDown(0.5);
+        doc.fontSize(11).fillColor('#333333').text(noteToText(note));
+        count++;
+
+        // PDFKit escribe cada página al terminarla: esperar si la respuesta va por detrás
+        // (o dejar de leer notas si el cliente ya se fue)
+        if (output.writableNeedDrain || output.destroyed) {
+            await waitForDrain(output);
+        }
+    }
+
+    if (!count) {
+        doc.moveDown(2).fontSize(11).fillColor('#333333').text('No hay notas que exportar.', { align: 'center' });
+    }
+
+    doc.end();
+    return count;
+};
+
+/**
+ * Formatos de exportación disponibles
+ * @constant {Object<string, {label: string, extension: string, contentType: string, write: Function}>}
+ */
+const EXPORT_FORMATS = {
+    zip: { label: 'Markdown (ZIP)', extension: 'zip', contentType: 'application/zip', write: writeZip },
+    json: { label: 'JSON', extension: 'json', contentType: 'application/json; charset=utf-8', write: writeJson },
+    csv: { label: 'CSV', extension: 'csv', contentType: 'text/csv; charset=utf-8', write: writeCsv },
+    pdf: { label: 'PDF', extension: 'pdf', contentType: 'application/pdf', write: writePdf }
+};
+
+/**
+ * Envía como descarga las notas que cumplen un filtro, leyéndolas con un cursor
+ *
+ * @async
+ * @function streamNotesExport
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {string} format - Clave de EXPORT_FORMATS
+ * @param {Object} filter - Filtro de MongoDB (debe incluir el usuario propietario)
+ * @returns {Promise<number>} Número de notas exportadas
+ */
+const streamNotesExport = async (res, format, filter) => {
+    const { extension, contentType, write } = EXPORT_FORMATS[format];
+    const cursor = Note.find(filter).sort(NOTES_SORT).lean().cursor();
+
+    try {
+        const date = new Date().toISOString().slice(0, 10);
+        res.attachment(`notas-${date}.${extension}`);
+        res.type(contentType);
+
+        return await write(cursor, res);
+    } catch (error) {
+        // Si aún no se envió nada, quien llama puede responder con otra cosa
+        if (!res.headersSent) {
+            res.removeHeader('Content-Disposition');
+        }
+        throw error;
+    } finally {
+        await cursor.close().catch(() => {});
+    }
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    noteToMarkdown,
+    streamNotesExport
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * @fileoverview Helpers personalizados de Handlebars registrados en el motor de vistas
+ * @module helpers/handlebars
+ * @version 1.0.0
+ */
+
+const Handlebars = require('handlebars');
+const { renderMarkdown } = require('./markdown');
+const { escapeRegex } = require('./notes');
+
+/**
+ * Compara dos valores de forma estricta.
+ *
+ * @function eq
+ * @param {*} a - Primer valor
+ * @param {*} b - Segundo valor
+ * @returns {boolean} true si ambos valores son iguales
+ * @example
+ * {{#if (eq note.format 'markdown')}}...{{/if}}
+ */
+const eq = (a, b) => a === b;
+
+/**
+ * Renderiza el cuerpo de una nota según su formato.
+ * Las notas en Markdown se convierten a HTML saneado; las de texto plano se escapan.
+ *
+ * @function noteBody
+ * @param {Object} note - Nota (documento u objeto plano) con description y format
+ * @returns {Handlebars.SafeString} HTML listo para insertar en la vista
+ * @example
+ * {{noteBody this}}
+ */
+const noteBody = (note) => {
+    if (!note) {
+        return '';
+    }
+
+    if (note.format === 'markdown') {
+        return new Handlebars.SafeString(
+            `<div class="card-text markdown-body">${renderMarkdown(note.description)}</div>`
+        );
+    }
+
+    return new Handlebars.SafeString(
+        `<p class="card-text">${Handlebars.escapeExpression(note.description)}</p>`
+    );
+};
+
+/**
+ * Resalta los términos buscados dentro de un texto.
+ * El texto se escapa por fragmentos, de modo que solo las etiquetas <mark>
+ * añadidas por el helper llegan como HTML a la vista.
+ *
+ * @function highlight
+ * @param {string} text - Texto plano sin escapar en el que resaltar (este helper es el único que lo escapa)
+ * @param {string[]} terms - Términos a resaltar (se buscan de forma literal, sin distinguir mayúsculas)
+ * @returns {Handlebars.SafeString} Texto escapado con las coincidencias envueltas en <mark>
+ * @example
+ * {{highlight title ../terms}}
+ */
+const highlight = (text, terms) => {
+    const value = text === undefined || text === null ? '' : String(text);
+    const validTerms = Array.isArray(terms) ? terms.filter(Boolean) : [];
+
+    if (!validTerms.length) {
+        return Handlebars.escapeExpression(value);
+    }
+
+    // Los términos más largos primero para que no los corte uno más corto
+    const pattern = new RegExp(
+        `(${validTerms.slice().sort((a, b) => b.length - a.length).map(escapeRegex).join('|')})`,
+        'gi'
+    );
+
+    // split con grupo de captura: las posiciones impares son coincidencias
+    const html = value
+        .split(pattern)
+        .map((part, index) => {
+            const escaped = Handlebars.escapeExpression(part);
+            return index % 2 === 1 ? `<mark>${escaped}</mark>` : escaped;
+        })
+        .join('');
+
+    return new Handlebars.SafeString(html);
+};
+
+module.exports = {
+    eq,
+    noteBody,
+    highlight
+};
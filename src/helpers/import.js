@@ -0,0 +1,401 @@
+'use strict';
+
+/**
+ * @fileoverview Importación de notas desde archivos de otras herramientas.
+ * Admite un array JSON, un CSV con columnas de título y descripción, un archivo
+ * Markdown o un ZIP de archivos .md. Cada fila se valida con el esquema de Note
+ * y las coincidencias de título se resuelven según la política elegida.
+ * @module helpers/import
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const multer = require('multer');
+const AdmZip = require('adm-zip');
+const { parse: parseCsv } = require('csv-parse/sync');
+const Note = require('../models/Note');
+const { parseTags, formatValidationErrors } = require('./notes');
+const { parseChecklistText, parseChecklistItems } = require('./checklist');
+
+/**
+ * Límites de la importación
+ * @constant {Object}
+ * @property {number} fileSize - Tamaño máximo del archivo subido en bytes
+ * @property {number} unzippedSize - Tamaño máximo del contenido descomprimido de un ZIP en bytes
+ * @property {number} rows - Número máximo de notas por importación
+ */
+const IMPORT_LIMITS = {
+    fileSize: 1024 * 1024,
+    unzippedSize: 2 * 1024 * 1024,
+    rows: 200
+};
+
+/**
+ * Políticas para los títulos que ya existen, con su nombre en español
+ * @constant {Object<string, string>}
+ */
+const IMPORT_POLICIES = {
+    skip: 'Omitir la nota importada',
+    rename: 'Importar con otro título',
+    overwrite: 'Sobrescribir la nota existente'
+};
+
+/**
+ * Nombres de columna aceptados en los CSV para cada campo de la nota
+ * @constant {Object<string, Array<string>>}
+ */
+const CSV_COLUMNS = {
+    title: ['title', 'titulo', 'título'],
+    description: ['description', 'descripcion', 'descripción'],
+    tags: ['tags', 'etiquetas'],
+    format: ['format', 'formato'],
+    type: ['type', 'tipo'],
+    items: ['items', 'elementos']
+};
+
+/**
+ * Longitud máxima del título (coincide con NoteSchema), usada al renombrar
+ * @constant {number}
+ */
+const TITLE_MAX_LENGTH = 30;
+
+/**
+ * Middleware de Multer que recibe el archivo del campo "file" en memoria.
+ * Los errores de subida (por ejemplo, un archivo demasiado grande) se muestran
+ * como mensaje flash en el formulario de importación.
+ *
+ * @function handleImportUpload
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar control al siguiente middleware
+ * @returns {void}
+ */
+const handleImportUpload = (req, res, next) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: IMPORT_LIMITS.fileSize, files: 1 }
+    }).single('file');
+
+    upload(req, res, (err) => {
+        if (!err) {
+            return next();
+        }
+
+        req.flash('error_msg', err.code === 'LIMIT_FILE_SIZE'
+            ? `El archivo supera el tamaño máximo de ${IMPORT_LIMITS.fileSize / 1024} KB`
+            : 'No se pudo recibir el archivo');
+        res.redirect('/notas/importar');
+    });
+};
+
+/**
+ * Normaliza un registro leído del archivo a los campos de una nota
+ *
+ * @function toImportRow
+ * @param {Object} raw - Registro con title, description, tags y format (y type e items en las listas de tareas)
+ * @param {string} source - Origen de la fila para el informe (fila o nombre de archivo)
+ * @returns {Object} Fila con source, title, description, format, type, items y tags
+ */
+const toImportRow = (raw, source) => {
+    const record = raw && typeof raw === 'object' ? raw : {};
+    const type = record.type === 'checklist' ? 'checklist' : 'text';
+
+    return {
+        source,
+        title: record.title === undefined || record.title === null ? '' : String(record.title).trim(),
+        description: record.description === undefined || record.description === null ? '' : String(record.description).trim(),
+        format: record.format === 'markdown' ? 'markdown' : 'plain',
+        type,
+        // Unos elementos con formato inválido dejan la lista vacía y la fila no supera la validación
+        items: type === 'checklist' ? parseChecklistItems(record.items).items || [] : [],
+        tags: parseTags(record.tags)
+    };
+};
+
+/**
+ * Lee un array JSON de notas. También acepta un objeto con la propiedad "notes",
+ * como el archivo de descarga de datos personales.
+ *
+ * @function parseJsonFile
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {Array<Object>} Filas leídas
+ * @throws {Error} Si el JSON no es válido o no contiene un array de notas
+ */
+const parseJsonFile = (buffer) => {
+    const data = JSON.parse(buffer.toString('utf8'));
+    const records = Array.isArray(data) ? data : data && data.notes;
+
+    if (!Array.isArray(records)) {
+        throw new Error('El JSON debe ser un array de notas');
+    }
+
+    return records.map((record, index) => toImportRow(record, `Elemento ${index + 1}`));
+};
+
+/**
+ * Lee un CSV con cabecera. Las columnas de título y descripción son obligatorias;
+ * las de etiquetas (separadas por comas), formato, tipo y elementos son opcionales.
+ * Los elementos de una lista de tareas se escriben uno por línea, como en el
+ * formulario ("[x]" delante de los hechos).
+ *
+ * @function parseCsvFile
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {Array<Object>} Filas leídas
+ * @throws {Error} Si el CSV no es válido o le faltan columnas
+ */
+const parseCsvFile = (buffer) => {
+    const records = parseCsv(buffer, {
+        bom: true,
+        columns: (header) => header.map(column => {
+            const name = String(column).trim().toLowerCase();
+            const field = Object.keys(CSV_COLUMNS).find(key => CSV_COLUMNS[key].includes(name));
+            return field || name;
+        }),
+        skip_empty_lines: true,
+        relax_column_count: true
+    });
+
+    if (records.length && (!('title' in records[0]) || !('description' in records[0]))) {
+        throw new Error('El CSV debe tener las columnas "title" y "description"');
+    }
+
+    // La fila 1 es la cabecera
+    return records.map((record, index) => toImportRow({
+        ...record,
+        items: parseChecklistText(record.items)
+    }, `Fila ${index + 2}`));
+};
+
+/**
+ * Front-matter YAML al inicio de un documento Markdown (entre líneas "---")
+ * @constant {RegExp}
+ */
+const FRONT_MATTER_REGEX = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Lee las claves simples de un front-matter ("clave: valor"). Los valores en
+ * formato JSON (cadenas entre comillas, listas) se convierten; el resto se
+ * conserva como texto. Es el formato que genera la exportación de notas.
+ *
+ * @function parseFrontMatter
+ * @param {string} block - Contenido entre las líneas "---"
+ * @returns {Object} Claves y valores leídos
+ */
+const parseFrontMatter = (block) => {
+    return block.split(/\r?\n/).reduce((data, line) => {
+        const match = line.match(/^([A-Za-z_]+):\s*(.*)$/);
+        if (!match) return data;
+
+        try {
+            data[match[1]] = JSON.parse(match[2]);
+        } catch (error) {
+            data[match[1]] = match[2].trim();
+        }
+        return data;
+    }, {});
+};
+
+/**
+ * Convierte un documento Markdown en una nota. El título sale del front-matter,
+ * si lo hay; si no, del primer encabezado de nivel 1 y, en último caso, del
+ * nombre del archivo. El front-matter también puede indicar etiquetas y formato.
+ *
+ * @function markdownToRow
+ * @param {string} content - Contenido Markdown
+ * @param {string} fileName - Nombre del archivo
+ * @returns {Object} Fila leída
+ */
+const markdownToRow = (content, fileName) => {
+    const frontMatter = content.match(FRONT_MATTER_REGEX);
+    const meta = frontMatter ? parseFrontMatter(frontMatter[1]) : {};
+    let body = frontMatter ? content.slice(frontMatter[0].length) : content;
+
+    const heading = body.match(/^#[ \t]+(.+?)[ \t#]*$/m);
+    let title = meta.title;
+
+    // El encabezado se usa como título, o se quita si repite el del front-matter
+    if (heading && (!title || heading[1].trim() === String(title).trim())) {
+        title = heading[1];
+        body = body.replace(heading[0], '');
+    }
+
+    return toImportRow({
+        title: title || path.basename(fileName, path.extname(fileName)),
+        description: body,
+        format: meta.format === 'plain' ? 'plain' : 'markdown',
+        tags: meta.tags
+    }, fileName);
+};
+
+/**
+ * Lee los archivos .md de un ZIP, ignorando carpetas y metadatos de macOS
+ *
+ * @function parseZipFile
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {Array<Object>} Filas leídas
+ * @throws {Error} Si el ZIP no es válido o su contenido descomprimido es demasiado grande
+ */
+const parseZipFile = (buffer) => {
+    const entries = new AdmZip(buffer).getEntries().filter(entry => (
+        !entry.isDirectory &&
+        /\.md$/i.test(entry.entryName) &&
+        !entry.entryName.startsWith('__MACOSX/')
+    ));
+
+    // Comprobar el tamaño declarado antes de descomprimir nada
+    const unzippedSize = entries.reduce((total, entry) => total + entry.header.size, 0);
+    if (unzippedSize > IMPORT_LIMITS.unzippedSize) {
+        throw new Error(`El contenido del ZIP supera ${IMPORT_LIMITS.unzippedSize / (1024 * 1024)} MB`);
+    }
+
+    return entries.map(entry => markdownToRow(entry.getData().toString('utf8'), entry.entryName));
+};
+
+/**
+ * Lectores disponibles según la extensión del archivo
+ * @constant {Object<string, Function>}
+ */
+const PARSERS = {
+    '.json': parseJsonFile,
+    '.csv': parseCsvFile,
+    '.md': (buffer, fileName) => [markdownToRow(buffer.toString('utf8'), fileName)],
+    '.zip': parseZipFile
+};
+
+/**
+ * Lee el archivo subido y devuelve sus filas sin validar
+ *
+ * @function parseImportFile
+ * @param {Object} file - Archivo recibido por Multer (originalname, buffer)
+ * @returns {{rows: Array<Object>, error: string|null}} Filas leídas o el motivo por el que no se pudo leer
+ */
+const parseImportFile = (file) => {
+    if (!file) {
+        return { rows: [], error: 'Selecciona un archivo para importar' };
+    }
+
+    const extension = path.extname(file.originalname).toLowerCase();
+    const parser = PARSERS[extension];
+
+    if (!parser) {
+        return { rows: [], error: 'Formato no admitido. Sube un archivo .json, .csv, .md o .zip' };
+    }
+
+    try {
+        const rows = parser(file.buffer, file.originalname);
+
+        if (!rows.length) {
+            return { rows: [], error: 'El archivo no contiene notas' };
+        }
+        if (rows.length > IMPORT_LIMITS.rows) {
+            return { rows: [], error: `El archivo contiene ${rows.length} notas; el máximo por importación es ${IMPORT_LIMITS.rows}` };
+        }
+
+        return { rows, error: null };
+    } catch (error) {
+        return { rows: [], error: `No se pudo leer el archivo: ${error.message}` };
+    }
+};
+
+/**
+ * Valida cada fila con el esquema de Note sin guardarla
+ *
+ * @function validateImportRows
+ * @param {Array<Object>} rows - Filas leídas del archivo
+ * @param {string} userId - ID del usuario que importa
+ * @returns {Array<Object>} Filas con la lista de errores de cada una
+ */
+const validateImportRows = (rows, userId) => {
+    return rows.map(row => {
+        const note = new Note({
+            title: row.title,
+            description: row.description,
+            format: row.format,
+            type: row.type,
+            items: row.items,
+            tags: row.tags,
+            user: userId
+        });
+
+        return { ...row, errors: formatValidationErrors(note.validateSync()) || [] };
+    });
+};
+
+/**
+ * Genera un título libre añadiendo un número, recortando el original si es necesario
+ *
+ * @function buildUniqueTitle
+ * @param {string} title - Título original
+ * @param {Set<string>} takenTitles - Títulos ocupados en minúsculas
+ * @returns {string} Título que no está ocupado
+ */
+const buildUniqueTitle = (title, takenTitles) => {
+    for (let copy = 2; ; copy++) {
+        const suffix = ` (${copy})`;
+        const candidate = `${title.slice(0, TITLE_MAX_LENGTH - suffix.length).trim()}${suffix}`;
+
+        if (!takenTitles.has(candidate.toLowerCase())) {
+            return candidate;
+        }
+    }
+};
+
+/**
+ * Decide qué se hará con cada fila según la política de títulos repetidos.
+ * Un título coincide con una nota activa del usuario o con una fila anterior
+ * del mismo archivo (sin distinguir mayúsculas). Con "overwrite", una fila que
+ * solo repite otra del archivo se omite.
+ *
+ * @async
+ * @function planImport
+ * @param {Array<Object>} rows - Filas validadas
+ * @param {string} userId - ID del usuario que importa
+ * @param {string} policy - Política para los títulos repetidos (skip, rename, overwrite)
+ * @returns {Promise<Array<Object>>} Filas con action (create, rename, overwrite, skip, invalid),
+ * el título final y, al sobrescribir, la nota afectada
+ */
+const planImport = async (rows, userId, policy) => {
+    const existingNotes = await Note.find({ user: userId }).select('title').lean();
+    const existingByTitle = new Map(existingNotes.map(note => [note.title.toLowerCase(), note._id]));
+    const takenTitles = new Set(existingByTitle.keys());
+    const importedTitles = new Set();
+
+    return rows.map(row => {
+        if (row.errors.length) {
+            return { ...row, action: 'invalid' };
+        }
+
+        const key = row.title.toLowerCase();
+        const existingId = existingByTitle.get(key);
+        const isDuplicate = takenTitles.has(key);
+
+        if (!isDuplicate) {
+            takenTitles.add(key);
+            importedTitles.add(key);
+            return { ...row, action: 'create', finalTitle: row.title };
+        }
+
+        if (policy === 'rename') {
+            const finalTitle = buildUniqueTitle(row.title, takenTitles);
+            takenTitles.add(finalTitle.toLowerCase());
+            return { ...row, action: 'rename', finalTitle };
+        }
+
+        // Solo se sobrescriben notas que ya existían, y una sola vez por importación
+        if (policy === 'overwrite' && existingId && !importedTitles.has(key)) {
+            importedTitles.add(key);
+            return { ...row, action: 'overwrite', finalTitle: row.title, noteId: String(existingId) };
+        }
+
+        return { ...row, action: 'skip', finalTitle: row.title };
+    });
+};
+
+module.exports = {
+    IMPORT_LIMITS,
+    IMPORT_POLICIES,
+    handleImportUpload,
+    parseImportFile,
+    validateImportRows,
+    planImport
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * @fileoverview Utilidades para los enlaces públicos de solo lectura.
+ * Valida las opciones del formulario (caducidad y contraseña) y prepara
+ * los enlaces activos para mostrarlos al propietario.
+ * @module helpers/links
+ * @version 1.0.0
+ */
+
+const ShareLink = require('../models/ShareLink');
+
+/**
+ * Máximo de enlaces activos por nota
+ * @constant {number}
+ */
+const MAX_LINKS_PER_NOTE = 10;
+
+/**
+ * Longitud mínima y máxima de la contraseña opcional (bcrypt ignora lo que pase de 72 bytes)
+ * @constant {{min: number, max: number}}
+ */
+const LINK_PASSWORD_LENGTH = { min: 6, max: 72 };
+
+/**
+ * Lee la fecha de caducidad del formulario (AAAA-MM-DD). El enlace caduca
+ * al terminar ese día; sin fecha no caduca.
+ *
+ * @function parseLinkExpiry
+ * @param {string} [input] - Fecha recibida del formulario
+ * @returns {{expiresAt: (Date|null), error: (string|null)}}
+ */
+const parseLinkExpiry = (input) => {
+    const value = typeof input === 'string' ? input.trim() : '';
+    if (!value) {
+        return { expiresAt: null, error: null };
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const expiresAt = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 23, 59, 59, 999) : null;
+    if (!expiresAt || expiresAt.getDate() !== Number(match[3])) {
+        return { expiresAt: null, error: 'La fecha de caducidad no es válida' };
+    }
+
+    if (expiresAt <= new Date()) {
+        return { expiresAt: null, error: 'La fecha de caducidad debe ser posterior a hoy' };
+    }
+
+    return { expiresAt, error: null };
+};
+
+/**
+ * Valida la contraseña opcional de un enlace
+ *
+ * @function validateLinkPassword
+ * @param {string} [password] - Contraseña recibida del formulario
+ * @returns {string|null} Mensaje de error o null si es válida (o está vacía)
+ */
+const validateLinkPassword = (password) => {
+    if (!password) {
+        return null;
+    }
+
+    if (typeof password !== 'string' || password.length < LINK_PASSWORD_LENGTH.min || password.length > LINK_PASSWORD_LENGTH.max) {
+        return `La contraseña del enlace debe tener entre ${LINK_PASSWORD_LENGTH.min} y ${LINK_PASSWORD_LENGTH.max} caracteres`;
+    }
+
+    return null;
+};
+
+/**
+ * Obtiene los enlaces activos que cumplen el filtro, listos para las vistas
+ *
+ * @async
+ * @function findActiveLinks
+ * @param {Object} filter - Filtro adicional (usuario o nota)
+ * @param {Object} [options] - Opciones de la consulta
+ * @param {boolean} [options.withNote=false] - Incluye el título de la nota de cada enlace
+ * @returns {Promise<Array<Object>>} Enlaces, los más recientes primero
+ */
+const findActiveLinks = async (filter, { withNote = false } = {}) => {
+    const query = ShareLink.find({ ...filter, ...ShareLink.activeFilter() }).sort({ createdAt: -1 });
+    if (withNote) {
+        query.populate('note', 'title isActive');
+    }
+    const links = await query.lean();
+
+    return links
+        // Los enlaces de notas en la papelera no se pueden usar hasta restaurarlas
+        .filter(link => !withNote || (link.note && link.note.isActive))
+        .map(link => ({
+            ...link,
+            createdAtText: link.createdAt.toLocaleString('es-ES'),
+            expiresAtText: link.expiresAt ? link.expiresAt.toLocaleString('es-ES') : null,
+            lastViewedAtText: link.lastViewedAt ? link.lastViewedAt.toLocaleString('es-ES') : null
+        }));
+};
+
+module.exports = {
+    MAX_LINKS_PER_NOTE,
+    LINK_PASSWORD_LENGTH,
+    parseLinkExpiry,
+    validateLinkPassword,
+    findActiveLinks
+};
@@ -80,6 +80,42 @@ const logLoginAttempt = (message) => {
     return logEvent('intentos-inicio-sesion.log', message);
 };
 
+/**
+ * Lee los intentos de inicio de sesión registrados para un correo
+ * (incluidos los bloqueos de cuenta), por ejemplo para la exportación de datos personales
+ * 
+ * @async
+ * @function readLoginAttempts
+ * @param {string} email - Correo del usuario
+ * @returns {Promise<Array<string>>} Líneas del registro correspondientes al correo
+ */
+const readLoginAttempts = async (email) => {
+    try {
+        const content = await fs.readFile(path.join(LOG_DIR, 'intentos-inicio-sesion.log'), 'utf8');
+        const marker = `Correo: ${email.toLowerCase()} |`;
+
+        return content.split('\n').filter(line => line.includes(marker));
+    } catch (error) {
+        // Si todavía no hay registro, no hay intentos que devolver
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+};
+
+/**
+ * Registra las acciones realizadas por los administradores
+ * 
+ * @async
+ * @function logAdminAction
+ * @param {string} message - Mensaje detallando la acción y el administrador que la realizó
+ * @returns {Promise<void>}
+ */
+const logAdminAction = (message) => {
+    return logEvent('admin-actividad.log', message);
+};
+
 /**
  * Registra errores del sistema
  * 
@@ -101,5 +137,7 @@ module.exports = {
     logNoteActivity,
     logUserSession,
     logLoginAttempt,
+    readLoginAttempts,
+    logAdminAction,
     logError
 };
\ No newline at end of file
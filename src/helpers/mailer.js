@@ -0,0 +1,316 @@
+'use strict';
+
+/**
+ * @fileoverview Envío de correos electrónicos con Nodemailer.
+ * Centraliza la configuración del transporte para que el formulario de contacto,
+ * los correos de cuenta (verificación y restablecimiento de contraseña) y los
+ * recordatorios de notas usen las mismas credenciales.
+ * @module helpers/mailer
+ * @version 1.0.0
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Tiempo mínimo entre dos correos de cuenta del mismo tipo al mismo usuario
+ * @constant {number}
+ */
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Transporte compartido, creado en el primer envío
+ * @type {Object|null}
+ */
+let transporter = null;
+
+/**
+ * Crea el transporte de Nodemailer según las variables de entorno:
+ * - MAIL_TRANSPORT=json: no envía nada, solo serializa el mensaje (desarrollo y pruebas)
+ * - SMTP_HOST: servidor SMTP propio (SMTP_PORT, SMTP_SECURE, EMAIL_USER, EMAIL_PASS)
+ * - En otro caso: servicio conocido de Nodemailer (EMAIL_SERVICE, por defecto 'gmail')
+ *
+ * @function createTransporter
+ * @returns {Object} Transporte de Nodemailer
+ */
+const createTransporter = () => {
+    if (process.env.MAIL_TRANSPORT === 'json') {
+        return nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    const auth = {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+    };
+
+    if (process.env.SMTP_HOST) {
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: auth.user ? auth : undefined
+        });
+    }
+
+    return nodemailer.createTransport({
+        service: process.env.EMAIL_SERVICE || 'gmail',
+        auth
+    });
+};
+
+/**
+ * Remitente por defecto de los correos de la aplicación
+ *
+ * @function getDefaultFrom
+ * @returns {string} Dirección con nombre para mostrar
+ */
+const getDefaultFrom = () => {
+    return process.env.MAIL_FROM || `"Gestor de Notas" <${process.env.EMAIL_USER || 'noreply@gestornotas.com'}>`;
+};
+
+/**
+ * Envía un correo electrónico con el transporte configurado
+ *
+ * @async
+ * @function sendMail
+ * @param {Object} options - Opciones de Nodemailer (to, subject, html, text...)
+ * @returns {Promise<Object>} Información del envío devuelta por Nodemailer
+ * @throws {Error} Si el transporte rechaza el mensaje
+ */
+const sendMail = async (options) => {
+    if (!transporter) {
+        transporter = createTransporter();
+    }
+
+    return transporter.sendMail({ from: getDefaultFrom(), ...options });
+};
+
+/**
+ * Indica si un correo de cuenta se envió hace menos de RESEND_INTERVAL_MS,
+ * para no reenviarlo en ráfaga
+ *
+ * @function wasSentRecently
+ * @param {Date|null} sentAt - Fecha del último envío
+ * @returns {boolean} true si hay que esperar antes de enviar otro
+ */
+const wasSentRecently = (sentAt) => {
+    return Boolean(sentAt) && Date.now() - new Date(sentAt).getTime() < RESEND_INTERVAL_MS;
+};
+
+/**
+ * Obtiene la URL pública de la aplicación para construir enlaces en los correos.
+ * Usa APP_URL si está definida; si no, el protocolo y el host de la solicitud.
+ * Las tareas programadas no tienen solicitud: sin APP_URL usan el puerto local.
+ *
+ * @function getAppUrl
+ * @param {Object} [req] - Objeto de solicitud Express
+ * @returns {string} URL base sin barra final
+ */
+const getAppUrl = (req) => {
+    const requestUrl = req ? `${req.protocol}://${req.get('host')}` : `http://localhost:${process.env.PORT || 4000}`;
+    const baseUrl = process.env.APP_URL || requestUrl;
+    return baseUrl.replace(/\/+$/, '');
+};
+
+/**
+ * Escapa el texto que se inserta en el HTML de un correo.
+ * Los nombres de usuario los elige cada persona al registrarse y los títulos
+ * de las notas compartidas los pueden cambiar sus editores.
+ *
+ * @function escapeHtml
+ * @param {string} text - Texto sin escapar
+ * @returns {string} Texto seguro para HTML
+ */
+const escapeHtml = (text) => {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+/**
+ * Envía el correo con el enlace para verificar la dirección de una cuenta
+ *
+ * @async
+ * @function sendVerificationEmail
+ * @param {Object} user - Usuario destinatario (name, email)
+ * @param {string} verifyUrl - Enlace de verificación con el token
+ * @param {number} expiresInHours - Horas de validez del enlace
+ * @returns {Promise<Object>} Información del envío
+ */
+const sendVerificationEmail = (user, verifyUrl, expiresInHours) => {
+    return sendMail({
+        to: user.email,
+        subject: 'Verifica tu correo electrónico - Gestor de Notas',
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
+                <div style="background-color: #4e73df; color: white; padding: 20px; border-radius: 10px 10px 0 0;">
+                    <h2 style="margin: 0;">✉️ Verifica tu correo electrónico</h2>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <p>Hola ${escapeHtml(user.name)},</p>
+                    <p>Gracias por registrarte en Gestor de Notas. Confirma tu dirección de correo con el siguiente botón:</p>
+                    <p style="text-align: center; margin: 30px 0;">
+                        <a href="${verifyUrl}" style="background-color: #4e73df; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Verificar correo</a>
+                    </p>
+                    <p style="color: #858796; font-size: 13px;">El enlace caduca en ${expiresInHours} horas. Si no creaste esta cuenta, ignora este mensaje.</p>
+                    <p style="color: #858796; font-size: 12px; word-break: break-all;">${verifyUrl}</p>
+                </div>
+            </div>
+        `,
+        text: `
+Hola ${user.name},
+
+Gracias por registrarte en Gestor de Notas. Confirma tu dirección de correo abriendo este enlace:
+
+${verifyUrl}
+
+El enlace caduca en ${expiresInHours} horas. Si no creaste esta cuenta, ignora este mensaje.
+        `
+    });
+};
+
+/**
+ * Envía el correo con el enlace para restablecer la contraseña de una cuenta
+ *
+ * @async
+ * @function sendPasswordResetEmail
+ * @param {Object} user - Usuario destinatario (name, email)
+ * @param {string} resetUrl - Enlace de restablecimiento con el token
+ * @param {number} expiresInMinutes - Minutos de validez del enlace
+ * @returns {Promise<Object>} Información del envío
+ */
+const sendPasswordResetEmail = (user, resetUrl, expiresInMinutes) => {
+    return sendMail({
+        to: user.email,
+        subject: 'Restablece tu contraseña - Gestor de Notas',
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
+                <div style="background-color: #4e73df; color: white; padding: 20px; border-radius: 10px 10px 0 0;">
+                    <h2 style="margin: 0;">🔑 Restablece tu contraseña</h2>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <p>Hola ${escapeHtml(user.name)},</p>
+                    <p>Recibimos una solicitud para restablecer la contraseña de tu cuenta. Elige una nueva con el siguiente botón:</p>
+                    <p style="text-align: center; margin: 30px 0;">
+                        <a href="${resetUrl}" style="background-color: #4e73df; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Restablecer contraseña</a>
+                    </p>
+                    <p style="color: #858796; font-size: 13px;">El enlace caduca en ${expiresInMinutes} minutos y solo puede usarse una vez. Si no lo solicitaste, ignora este mensaje: tu contraseña no cambiará.</p>
+                    <p style="color: #858796; font-size: 12px; word-break: break-all;">${resetUrl}</p>
+                </div>
+            </div>
+        `,
+        text: `
+Hola ${user.name},
+
+Recibimos una solicitud para restablecer la contraseña de tu cuenta. Elige una nueva abriendo este enlace:
+
+${resetUrl}
+
+El enlace caduca en ${expiresInMinutes} minutos y solo puede usarse una vez. Si no lo solicitaste, ignora este mensaje: tu contraseña no cambiará.
+        `
+    });
+};
+
+/**
+ * Envía el aviso de que la cuenta se eliminará al terminar el periodo de gracia
+ *
+ * @async
+ * @function sendAccountDeletionEmail
+ * @param {Object} user - Usuario destinatario (name, email)
+ * @param {Date} deletionDate - Fecha programada de eliminación
+ * @param {string} signinUrl - Enlace al inicio de sesión para cancelar la eliminación
+ * @returns {Promise<Object>} Información del envío
+ */
+const sendAccountDeletionEmail = (user, deletionDate, signinUrl) => {
+    const dateText = deletionDate.toLocaleDateString('es-ES', { day: 'numeric', month: 'long', year: 'numeric' });
+
+    return sendMail({
+        to: user.email,
+        subject: 'Tu cuenta se eliminará - Gestor de Notas',
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
+                <div style="background-color: #e74a3b; color: white; padding: 20px; border-radius: 10px 10px 0 0;">
+                    <h2 style="margin: 0;">🗑️ Eliminación de cuenta programada</h2>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <p>Hola ${escapeHtml(user.name)},</p>
+                    <p>Hemos recibido tu solicitud para eliminar tu cuenta. El <strong>${dateText}</strong> se borrarán definitivamente tu cuenta, tus notas y tus mensajes de contacto.</p>
+                    <p>Si cambias de opinión, inicia sesión antes de esa fecha y la eliminación se cancelará:</p>
+                    <p style="text-align: center; margin: 30px 0;">
+                        <a href="${signinUrl}" style="background-color: #4e73df; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Iniciar sesión</a>
+                    </p>
+                </div>
+            </div>
+        `,
+        text: `
+Hola ${user.name},
+
+Hemos recibido tu solicitud para eliminar tu cuenta. El ${dateText} se borrarán definitivamente tu cuenta, tus notas y tus mensajes de contacto.
+
+Si cambias de opinión, inicia sesión antes de esa fecha y la eliminación se cancelará:
+
+${signinUrl}
+        `
+    });
+};
+
+/**
+ * Envía el aviso de un recordatorio programado en una nota
+ *
+ * @async
+ * @function sendReminderEmail
+ * @param {Object} user - Usuario destinatario (name, email)
+ * @param {Object} note - Nota del recordatorio (title, dueDate)
+ * @param {string} noteUrl - Enlace a la nota
+ * @param {string|null} nextText - Fecha del siguiente aviso si el recordatorio se repite
+ * @returns {Promise<Object>} Información del envío
+ */
+const sendReminderEmail = (user, note, noteUrl, nextText) => {
+    const title = escapeHtml(note.title);
+    const dueText = note.dueDate
+        ? note.dueDate.toLocaleDateString('es-ES', { day: 'numeric', month: 'long', year: 'numeric' })
+        : null;
+
+    return sendMail({
+        to: user.email,
+        subject: `Recordatorio: ${note.title} - Gestor de Notas`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
+                <div style="background-color: #4e73df; color: white; padding: 20px; border-radius: 10px 10px 0 0;">
+                    <h2 style="margin: 0;">⏰ Recordatorio</h2>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <p>Hola ${escapeHtml(user.name)},</p>
+                    <p>Te recordamos tu nota <strong>${title}</strong>.</p>
+                    ${dueText ? `<p>Fecha límite: <strong>${dueText}</strong></p>` : ''}
+                    <p style="text-align: center; margin: 30px 0;">
+                        <a href="${noteUrl}" style="background-color: #4e73df; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Ver nota</a>
+                    </p>
+                    <p style="color: #858796; font-size: 13px;">${nextText ? `Volveremos a avisarte el ${nextText}.` : 'Este recordatorio no se repite.'} Puedes cambiar tus recordatorios desde la nota.</p>
+                </div>
+            </div>
+        `,
+        text: `
+Hola ${user.name},
+
+Te recordamos tu nota "${note.title}".
+${dueText ? `Fecha límite: ${dueText}
+` : ''}
+${noteUrl}
+
+${nextText ? `Volveremos a avisarte el ${nextText}.` : 'Este recordatorio no se repite.'} Puedes cambiar tus recordatorios desde la nota.
+        `
+    });
+};
+
+module.exports = {
+    sendMail,
+    wasSentRecently,
+    getAppUrl,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendAccountDeletionEmail,
+    sendReminderEmail
+};
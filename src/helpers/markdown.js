@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * @fileoverview Renderizado seguro de notas en formato Markdown.
+ * Convierte Markdown a HTML saneado con una lista de etiquetas permitidas
+ * y obtiene su versión en texto plano para resúmenes y búsquedas.
+ * @module helpers/markdown
+ * @version 1.0.0
+ */
+
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+/**
+ * Instancia propia de marked para no modificar la configuración global
+ * @constant {Marked}
+ */
+const markdownParser = new Marked({
+    gfm: true,
+    breaks: true
+});
+
+/**
+ * Configuración de sanitize-html: solo etiquetas de formato, sin scripts,
+ * estilos ni atributos de eventos (on*), y enlaces limitados a esquemas seguros
+ * @constant {Object}
+ */
+const SANITIZE_OPTIONS = {
+    allowedTags: [
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr',
+        'ul', 'ol', 'li', 'blockquote', 'pre', 'code',
+        'em', 'strong', 'del', 'a', 'img',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td',
+        'input'
+    ],
+    allowedAttributes: {
+        a: ['href', 'title', 'rel', 'target'],
+        img: ['src', 'alt', 'title'],
+        code: ['class'],
+        th: ['align'],
+        td: ['align'],
+        // Casillas de las listas de tareas de GFM
+        input: ['type', 'checked', 'disabled']
+    },
+    allowedClasses: {
+        code: [/^language-[\w-]+$/]
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: {
+        img: ['https']
+    },
+    allowProtocolRelative: false,
+    exclusiveFilter: (frame) => frame.tag === 'input' && frame.attribs.type !== 'checkbox',
+    transformTags: {
+        a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow', target: '_blank' }),
+        input: sanitizeHtml.simpleTransform('input', { disabled: 'disabled' })
+    }
+};
+
+/**
+ * Convierte un texto Markdown en HTML saneado listo para insertarse en una vista
+ *
+ * @function renderMarkdown
+ * @param {string} text - Contenido en Markdown
+ * @returns {string} HTML seguro
+ */
+const renderMarkdown = (text) => {
+    const html = markdownParser.parse(String(text || ''));
+    return sanitizeHtml(html, SANITIZE_OPTIONS);
+};
+
+/**
+ * Recorre los tokens de marked y concatena su texto visible
+ *
+ * @function collectText
+ * @param {Array<Object>} tokens - Tokens generados por el lexer de marked
+ * @returns {string} Texto sin sintaxis Markdown
+ */
+const collectText = (tokens = []) => {
+    return tokens.map(token => {
+        switch (token.type) {
+            case 'html':
+            case 'space':
+            case 'hr':
+                return ' ';
+            case 'list':
+                return token.items.map(item => collectText(item.tokens)).join(' ');
+            case 'table':
+                return [token.header, ...token.rows]
+                    .map(row => row.map(cell => collectText(cell.tokens)).join(' '))
+                    .join(' ');
+            case 'image':
+                return token.text || '';
+            default:
+                return token.tokens ? collectText(token.tokens) : (token.text || '');
+        }
+    }).join(' ');
+};
+
+/**
+ * Entidades que marked escribe en el texto de sus tokens
+ * @constant {Object<string, string>}
+ */
+const TOKEN_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'"
+};
+
+/**
+ * Decodifica las entidades del texto de los tokens (las que añade marked y las
+ * numéricas), para devolver texto plano y no HTML escapado
+ *
+ * @function decodeEntities
+ * @param {string} text - Texto de los tokens
+ * @returns {string} Texto sin entidades
+ */
+const decodeEntities = (text) => {
+    return text.replace(/&(?:amp|lt|gt|quot|#39|#(\d+)|#x([0-9a-f]+));/gi, (entity, decimal, hex) => {
+        if (decimal || hex) {
+            const codePoint = parseInt(decimal || hex, decimal ? 10 : 16);
+            return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+        }
+        return TOKEN_ENTITIES[entity.toLowerCase()];
+    });
+};
+
+/**
+ * Obtiene el texto plano de un contenido Markdown, sin sintaxis ni etiquetas HTML
+ * (los tokens de HTML se descartan) y sin escapar: quien lo muestre debe escaparlo
+ *
+ * @function markdownToText
+ * @param {string} text - Contenido en Markdown
+ * @returns {string} Texto plano con los espacios normalizados
+ */
+const markdownToText = (text) => {
+    const tokens = markdownParser.lexer(String(text || ''));
+    return decodeEntities(collectText(tokens))
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+module.exports = {
+    renderMarkdown,
+    markdownToText
+};
@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * @fileoverview Utilidades para las libretas de notas.
+ * Construye el árbol de libretas con el número de notas de cada una y
+ * verifica que las libretas recibidas en formularios pertenezcan al usuario.
+ * @module helpers/notebooks
+ * @version 1.0.0
+ */
+
+const Note = require('../models/Note');
+const Notebook = require('../models/Notebook');
+const { OBJECT_ID_REGEX, NO_NOTEBOOK } = require('./notes');
+
+/**
+ * Convierte las libretas de un usuario en una lista ordenada como un árbol:
+ * cada libreta va seguida de sus subcarpetas, ordenadas por nombre
+ *
+ * @function flattenNotebookTree
+ * @param {Array<Object>} notebooks - Libretas en formato plano
+ * @param {Map<string, number>} [counts] - Número de notas por libreta
+ * @returns {Array<{_id: string, name: string, parent: (string|null), depth: number, count: number, path: string}>}
+ */
+const flattenNotebookTree = (notebooks, counts = new Map()) => {
+    const children = new Map();
+    notebooks.forEach((notebook) => {
+        const parentId = notebook.parent ? String(notebook.parent) : '';
+        if (!children.has(parentId)) {
+            children.set(parentId, []);
+        }
+        children.get(parentId).push(notebook);
+    });
+
+    const tree = [];
+    const visit = (parentId, depth, parentPath) => {
+        (children.get(parentId) || [])
+            .sort((a, b) => a.name.localeCompare(b.name, 'es'))
+            .forEach((notebook) => {
+                const id = String(notebook._id);
+                const path = parentPath ? `${parentPath} / ${notebook.name}` : notebook.name;
+                tree.push({
+                    _id: id,
+                    name: notebook.name,
+                    parent: notebook.parent ? String(notebook.parent) : null,
+                    depth,
+                    count: counts.get(id) || 0,
+                    path
+                });
+                visit(id, depth + 1, path);
+            });
+    };
+    visit('', 0, '');
+
+    return tree;
+};
+
+/**
+ * Obtiene el árbol de libretas del usuario con el número de notas de cada una
+ *
+ * @async
+ * @function findNotebookTree
+ * @param {string} userId - ID del usuario
+ * @param {Object} [options] - Opciones del recuento
+ * @param {boolean} [options.archived=false] - Cuenta las notas del archivo en lugar de las de la lista principal
+ * @returns {Promise<{notebooks: Array<Object>, unfiledCount: number}>} Libretas en orden de árbol
+ * y número de notas que no están en ninguna
+ */
+const findNotebookTree = async (userId, { archived = false } = {}) => {
+    const [notebooks, counts] = await Promise.all([
+        Notebook.find({ user: userId }).select('name parent').lean(),
+        Note.notebookCounts(userId, { archived })
+    ]);
+
+    return {
+        notebooks: flattenNotebookTree(notebooks, counts),
+        unfiledCount: counts.get('') || 0
+    };
+};
+
+/**
+ * Obtiene las opciones de un selector de libretas, sangradas según su profundidad
+ *
+ * @async
+ * @function findNotebookOptions
+ * @param {string} userId - ID del usuario
+ * @param {string} [selectedId] - Libreta seleccionada
+ * @returns {Promise<Array<{_id: string, label: string, isSelected: boolean}>>}
+ */
+const findNotebookOptions = async (userId, selectedId) => {
+    const notebooks = await Notebook.find({ user: userId }).select('name parent').lean();
+
+    return flattenNotebookTree(notebooks).map(notebook => ({
+        _id: notebook._id,
+        label: `${'— '.repeat(notebook.depth)}${notebook.name}`,
+        isSelected: notebook._id === String(selectedId || '')
+    }));
+};
+
+/**
+ * Resuelve la libreta elegida en un formulario o en la API y verifica que sea del usuario
+ *
+ * @async
+ * @function resolveNotebook
+ * @param {string} input - ID de la libreta, '' o NO_NOTEBOOK para ninguna
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<{notebookId: (string|null), error: (string|null)}>}
+ *   error es 'not_found' si la libreta no existe o no pertenece al usuario
+ */
+const resolveNotebook = async (input, userId) => {
+    const value = typeof input === 'string' ? input.trim() : '';
+    if (!value || value === NO_NOTEBOOK) {
+        return { notebookId: null, error: null };
+    }
+
+    if (!OBJECT_ID_REGEX.test(value) || !await Notebook.exists({ _id: value, user: userId })) {
+        return { notebookId: null, error: 'not_found' };
+    }
+
+    return { notebookId: value, error: null };
+};
+
+module.exports = {
+    flattenNotebookTree,
+    findNotebookTree,
+    findNotebookOptions,
+    resolveNotebook
+};
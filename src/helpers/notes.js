@@ -0,0 +1,512 @@
+'use strict';
+
+/**
+ * @fileoverview Utilidades compartidas para consultar y autorizar notas.
+ * Centraliza la lógica de paginación, búsqueda y verificación de acceso
+ * para que las vistas HTML y la API JSON se comporten igual.
+ * @module helpers/notes
+ * @version 1.0.0
+ */
+
+const Note = require('../models/Note');
+const { markdownToText } = require('./markdown');
+const { getNoteRole, hasNotePermission } = require('./permissions');
+
+/**
+ * Expresión regular para validar ObjectIds de MongoDB
+ * @constant {RegExp}
+ */
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Valor del filtro y de los formularios para las notas que no están en ninguna libreta
+ * @constant {string}
+ */
+const NO_NOTEBOOK = 'none';
+
+/**
+ * Límite máximo de notas por página
+ * @constant {number}
+ */
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Número máximo de notas en una misma acción masiva
+ * @constant {number}
+ */
+const MAX_BULK_NOTES = 100;
+
+/**
+ * Longitud aproximada del fragmento de texto mostrado en los resultados de búsqueda
+ * @constant {number}
+ */
+const EXCERPT_LENGTH = 240;
+
+/**
+ * Número máximo de términos considerados en una búsqueda por relevancia
+ * @constant {number}
+ */
+const MAX_SEARCH_TERMS = 10;
+
+/**
+ * Días que una nota permanece en la papelera antes de eliminarse automáticamente.
+ * Se configura con TRASH_RETENTION_DAYS; 0 desactiva la purga automática.
+ *
+ * @function getTrashRetentionDays
+ * @returns {number} Días de retención
+ */
+const getTrashRetentionDays = () => {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+    return Number.isNaN(days) || days < 0 ? 30 : days;
+};
+
+/**
+ * Convierte la entrada de etiquetas de un formulario o de la API en una lista normalizada.
+ * Acepta un array o un texto separado por comas; elimina duplicados y cualquier carácter
+ * que no sea letra, número, espacio, guion o guion bajo (las etiquetas viajan en URLs).
+ *
+ * @function parseTags
+ * @param {string|string[]} input - Etiquetas recibidas
+ * @returns {string[]} Etiquetas en minúsculas, sin espacios sobrantes ni duplicados
+ */
+const parseTags = (input) => {
+    if (input === undefined || input === null) {
+        return [];
+    }
+
+    const rawTags = Array.isArray(input) ? input : String(input).split(',');
+    const tags = rawTags
+        .map(tag => String(tag).replace(/[^\p{L}\p{N} _-]/gu, '').replace(/\s+/g, ' ').trim().toLowerCase())
+        .filter(Boolean);
+
+    return [...new Set(tags)];
+};
+
+/**
+ * Escapa los caracteres especiales de una expresión regular para que el texto
+ * del usuario se busque de forma literal
+ *
+ * @function escapeRegex
+ * @param {string} text - Texto a escapar
+ * @returns {string} Texto seguro para usar en new RegExp()
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Divide el texto de búsqueda en términos literales para el índice de texto.
+ * Elimina las comillas y los guiones iniciales, que MongoDB interpretaría
+ * como frases exactas y exclusiones.
+ *
+ * @function parseSearchTerms
+ * @param {string} input - Texto introducido por el usuario
+ * @returns {string[]} Términos en minúsculas, sin duplicados (máximo MAX_SEARCH_TERMS)
+ */
+const parseSearchTerms = (input) => {
+    if (typeof input !== 'string') {
+        return [];
+    }
+
+    const terms = input
+        .split(/\s+/)
+        .map(term => term.replace(/["\\]/g, '').replace(/^-+/, '').toLowerCase())
+        .filter(Boolean);
+
+    return [...new Set(terms)].slice(0, MAX_SEARCH_TERMS);
+};
+
+/**
+ * Obtiene el fragmento de la descripción de una nota que rodea la primera
+ * coincidencia de los términos buscados. Las notas en Markdown se convierten
+ * antes a texto plano para no mostrar su sintaxis. El fragmento no se escapa:
+ * el helper highlight lo escapa una sola vez al resaltar los términos, así que
+ * un término como "&" no coincide dentro de una entidad.
+ *
+ * @function buildSearchExcerpt
+ * @param {Object} note - Nota con description y format
+ * @param {string[]} terms - Términos buscados
+ * @returns {string} Fragmento de texto plano sin escapar, con puntos suspensivos si se recorta
+ */
+const buildSearchExcerpt = (note, terms) => {
+    const text = note.format === 'markdown'
+        ? markdownToText(note.description)
+        : String(note.description || '');
+
+    if (text.length <= EXCERPT_LENGTH) {
+        return text;
+    }
+
+    const lowerText = text.toLowerCase();
+    const positions = terms
+        .map(term => lowerText.indexOf(term))
+        .filter(position => position >= 0);
+    const firstMatch = positions.length ? Math.min(...positions) : 0;
+
+    // Dejar algo de contexto antes de la coincidencia
+    const start = Math.max(firstMatch - Math.floor(EXCERPT_LENGTH / 4), 0);
+    const end = Math.min(start + EXCERPT_LENGTH, text.length);
+
+    return `${start > 0 ? '...' : ''}${text.slice(start, end)}${end < text.length ? '...' : ''}`;
+};
+
+/**
+ * Orden de las listas de notas: las fijadas primero y después las editadas más recientemente
+ * @constant {Object}
+ */
+const NOTES_SORT = { isPinned: -1, updatedAt: -1 };
+
+/**
+ * Construye el filtro, la paginación y el orden para listar notas de un usuario
+ * a partir de los parámetros de la query string.
+ * Con archived=true solo se listan las notas archivadas; si no, la lista oculta
+ * las archivadas salvo al buscar texto, para que sigan siendo localizables.
+ * notebook filtra por libreta (NO_NOTEBOOK para las notas que no están en ninguna) y
+ * pending=true deja solo las listas de tareas con elementos sin hacer.
+ *
+ * @function buildNotesQuery
+ * @param {Object} query - Parámetros de la solicitud (page, limit, search, tag, archived, notebook, pending)
+ * @param {string} userId - ID del usuario propietario
+ * @param {Object} [options] - Opciones del filtro
+ * @param {boolean} [options.includeArchived=false] - Incluye siempre las notas archivadas
+ * @returns {{filter: Object, page: number, limit: number, skip: number, search: string, tag: string, archived: boolean, notebook: string, pending: boolean}}
+ */
+const buildNotesQuery = (query, userId, { includeArchived = false } = {}) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 10, 1), MAX_PAGE_SIZE);
+    const skip = (page - 1) * limit;
+    const search = typeof query.search === 'string' ? query.search : '';
+    const tag = typeof query.tag === 'string' ? parseTags(query.tag)[0] || '' : '';
+    const archived = query.archived === true || query.archived === 'true';
+    const notebook = query.notebook === NO_NOTEBOOK || OBJECT_ID_REGEX.test(String(query.notebook))
+        ? String(query.notebook)
+        : '';
+    const pending = query.pending === true || query.pending === 'true';
+
+    // Construir filtro de búsqueda
+    const filter = {
+        user: userId,
+        isActive: true // Solo mostrar notas activas
+    };
+
+    // Las notas anteriores al archivo no tienen el campo isArchived
+    if (archived) {
+        filter.isArchived = true;
+    } else if (!search && !includeArchived) {
+        filter.isArchived = { $ne: true };
+    }
+
+    // Añadir búsqueda por texto si se proporciona (el texto se busca de forma literal)
+    if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        filter.$or = [
+            { title: pattern },
+            { description: pattern },
+            { 'items.text': pattern }
+        ];
+    }
+
+    // Filtrar por etiqueta si se proporciona
+    if (tag) {
+        filter.tags = tag;
+    }
+
+    // Filtrar por libreta si se proporciona (null también incluye las notas anteriores a las libretas)
+    if (notebook) {
+        filter.notebook = notebook === NO_NOTEBOOK ? null : notebook;
+    }
+
+    // Filtrar las listas de tareas con algún elemento pendiente
+    if (pending) {
+        filter.type = 'checklist';
+        filter.items = { $elemMatch: { done: false } };
+    }
+
+    return { filter, page, limit, skip, search, tag, archived, notebook, pending };
+};
+
+/**
+ * Completa los estados de las notas leídas con lean(), que no aplica los valores
+ * por defecto del esquema a las notas creadas antes de existir esos campos
+ *
+ * @function withNoteStates
+ * @param {Object} note - Nota en formato plano
+ * @returns {Object} Nota con isPinned, isArchived, type e items definidos
+ */
+const withNoteStates = (note) => ({ isPinned: false, isArchived: false, type: 'text', items: [], ...note });
+
+/**
+ * Calcula los metadatos de paginación para una lista de notas
+ *
+ * @function buildPagination
+ * @param {number} page - Página actual
+ * @param {number} limit - Elementos por página
+ * @param {number} totalItems - Total de elementos que cumplen el filtro
+ * @returns {Object} Metadatos de paginación
+ */
+const buildPagination = (page, limit, totalItems) => {
+    const totalPages = Math.ceil(totalItems / limit);
+    const hasNextPage = page < totalPages;
+    const hasPrevPage = page > 1;
+
+    return {
+        currentPage: page,
+        hasNextPage,
+        hasPrevPage,
+        nextPage: hasNextPage ? page + 1 : null,
+        prevPage: hasPrevPage ? page - 1 : null,
+        totalPages,
+        totalItems
+    };
+};
+
+/**
+ * Construye la URL de una lista de notas conservando los filtros activos.
+ * Omite los parámetros vacíos y la página 1 para mantener URLs limpias.
+ *
+ * @function buildListUrl
+ * @param {string} basePath - Ruta de la lista (por ejemplo '/notas')
+ * @param {Object} params - Parámetros a incluir en la query string
+ * @returns {string} URL resultante
+ */
+const buildListUrl = (basePath, params) => {
+    const searchParams = new URLSearchParams();
+
+    Object.entries(params).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '') return;
+        if (key === 'page' && Number(value) === 1) return;
+        searchParams.set(key, value);
+    });
+
+    const queryString = searchParams.toString();
+    return queryString ? `${basePath}?${queryString}` : basePath;
+};
+
+/**
+ * Obtiene una página de notas junto con sus metadatos de paginación
+ *
+ * @async
+ * @function findNotesPage
+ * @param {Object} query - Parámetros de la solicitud (page, limit, search, tag, archived, notebook, pending)
+ * @param {string} userId - ID del usuario propietario
+ * @returns {Promise<{notes: Array, pagination: Object, search: string, tag: string, archived: boolean, notebook: string, pending: boolean}>}
+ */
+const findNotesPage = async (query, userId) => {
+    const { filter, page, limit, skip, search, tag, archived, notebook, pending } = buildNotesQuery(query, userId);
+
+    // Consultas paralelas para eficiencia
+    const [notes, totalNotes] = await Promise.all([
+        Note.find(filter)
+            .sort(NOTES_SORT)
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Note.countDocuments(filter)
+    ]);
+
+    return {
+        notes: notes.map(withNoteStates),
+        pagination: buildPagination(page, limit, totalNotes),
+        search,
+        tag,
+        archived,
+        notebook,
+        pending
+    };
+};
+
+/**
+ * Busca las notas de un usuario con el índice de texto, ordenadas por relevancia
+ * y paginadas. Admite el mismo filtro por etiqueta que la lista de notas.
+ *
+ * @async
+ * @function searchNotesPage
+ * @param {Object} query - Parámetros de la solicitud (q, page, limit, tag)
+ * @param {string} userId - ID del usuario propietario
+ * @returns {Promise<{notes: Array, pagination: Object, terms: string[], tag: string}>}
+ *   Cada nota incluye su puntuación de relevancia en score
+ */
+const searchNotesPage = async (query, userId) => {
+    const terms = parseSearchTerms(query.q);
+    // La búsqueda por relevancia también encuentra las notas archivadas
+    const { filter, page, limit, skip, tag } = buildNotesQuery({ ...query, search: '' }, userId, { includeArchived: true });
+
+    if (!terms.length) {
+        return { notes: [], pagination: buildPagination(page, limit, 0), terms, tag };
+    }
+
+    const searchText = terms.join(' ');
+
+    const [notes, totalNotes] = await Promise.all([
+        Note.searchByText(searchText)
+            .where(filter)
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Note.countDocuments({ ...filter, $text: { $search: searchText } })
+    ]);
+
+    return {
+        notes: notes.map(withNoteStates),
+        pagination: buildPagination(page, limit, totalNotes),
+        terms,
+        tag
+    };
+};
+
+/**
+ * Busca una nota y verifica que el usuario indicado tenga el permiso pedido
+ * (ver helpers/permissions). No lanza errores de acceso: devuelve un código que
+ * cada controlador traduce a su propio formato de respuesta (flash + redirect o JSON).
+ *
+ * @async
+ * @function findAuthorizedNote
+ * @param {string} noteId - ID de la nota
+ * @param {string} userId - ID del usuario que realiza la operación
+ * @param {Object} [options] - Opciones de la consulta
+ * @param {string} [options.permission='manage'] - Permiso necesario: 'view', 'edit' o 'manage'
+ * @param {boolean} [options.lean=false] - Devuelve un objeto plano en lugar de un documento
+ * @param {boolean} [options.inTrash=false] - Busca la nota en la papelera en lugar de entre las activas
+ * @returns {Promise<{note: (Object|null), role: (string|null), error: (string|null)}>}
+ *   error puede ser 'invalid_id', 'not_found' o 'forbidden'
+ */
+const findAuthorizedNote = async (noteId, userId, { permission = 'manage', lean = false, inTrash = false } = {}) => {
+    if (!OBJECT_ID_REGEX.test(String(noteId))) {
+        return { note: null, role: null, error: 'invalid_id' };
+    }
+
+    const query = Note.findById(noteId);
+    const note = lean ? await query.lean() : await query;
+
+    // findById no pasa por el hook pre('find'): las notas de la papelera
+    // se tratan como inexistentes salvo que se pidan explícitamente
+    if (!note || (note.isActive !== false) === inTrash) {
+        return { note: null, role: null, error: 'not_found' };
+    }
+
+    if (!hasNotePermission(note, userId, permission)) {
+        return { note: null, role: null, error: 'forbidden' };
+    }
+
+    return { note, role: getNoteRole(note, userId), error: null };
+};
+
+/**
+ * Páginas de notas a las que se puede volver después de una acción
+ * (las listas y la vista de una nota)
+ * @constant {RegExp}
+ */
+const RETURN_URL_REGEX = /^\/notas(\/papelera|\/archivo|\/buscar|\/ver\/[0-9a-fA-F]{24})?(\?[^#]*)?$/;
+
+/**
+ * Devuelve la URL de retorno recibida si es una lista de notas de la aplicación
+ * (evita redirecciones abiertas) o la URL indicada en su lugar
+ *
+ * @function getReturnUrl
+ * @param {string} returnUrl - URL recibida en el formulario
+ * @param {string} fallback - URL por defecto
+ * @returns {string} URL relativa segura
+ */
+const getReturnUrl = (returnUrl, fallback) => {
+    return RETURN_URL_REGEX.test(String(returnUrl || '')) ? returnUrl : fallback;
+};
+
+/**
+ * Convierte la lista de IDs recibida de un formulario o de la API en un array sin duplicados
+ *
+ * @function parseNoteIds
+ * @param {string|string[]} input - ID o lista de IDs
+ * @returns {string[]} IDs como texto
+ */
+const parseNoteIds = (input) => {
+    if (input === undefined || input === null) {
+        return [];
+    }
+
+    const ids = (Array.isArray(input) ? input : [input])
+        .map(id => String(id).trim())
+        .filter(Boolean);
+
+    return [...new Set(ids)];
+};
+
+/**
+ * Busca varias notas y verifica con una sola consulta que todas pertenezcan
+ * al usuario indicado (las acciones masivas requieren el permiso 'manage').
+ * Las que no se pueden usar se devuelven aparte con el mismo código de error
+ * que findAuthorizedNote.
+ *
+ * @async
+ * @function findOwnedNotes
+ * @param {string[]} noteIds - IDs de las notas
+ * @param {string} userId - ID del usuario que realiza la operación
+ * @param {Object} [options] - Opciones de la consulta
+ * @param {boolean} [options.inTrash=false] - Busca las notas en la papelera en lugar de entre las activas
+ * @returns {Promise<{notes: Array<Document>, failures: Array<{id: string, error: string}>}>}
+ *   Las notas se devuelven en el orden de noteIds
+ */
+const findOwnedNotes = async (noteIds, userId, { inTrash = false } = {}) => {
+    const validIds = noteIds.filter(id => OBJECT_ID_REGEX.test(id));
+    const documents = validIds.length
+        ? await Note.find({ _id: { $in: validIds }, isActive: !inTrash })
+        : [];
+    const documentsById = new Map(documents.map(note => [String(note._id), note]));
+
+    const notes = [];
+    const failures = [];
+
+    noteIds.forEach((id) => {
+        const note = documentsById.get(id);
+
+        if (!OBJECT_ID_REGEX.test(id)) {
+            failures.push({ id, error: 'invalid_id' });
+        } else if (!note) {
+            failures.push({ id, error: 'not_found' });
+        } else if (!hasNotePermission(note, userId, 'manage')) {
+            failures.push({ id, error: 'forbidden' });
+        } else {
+            notes.push(note);
+        }
+    });
+
+    return { notes, failures };
+};
+
+/**
+ * Convierte un ValidationError de Mongoose en una lista de errores estructurados
+ * usando los mensajes definidos en el esquema.
+ *
+ * @function formatValidationErrors
+ * @param {Error} error - Error lanzado por Mongoose
+ * @returns {Array<{field: string, message: string}>|null} Errores o null si no es de validación
+ */
+const formatValidationErrors = (error) => {
+    if (!error || error.name !== 'ValidationError') {
+        return null;
+    }
+
+    return Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+    }));
+};
+
+module.exports = {
+    OBJECT_ID_REGEX,
+    NO_NOTEBOOK,
+    MAX_BULK_NOTES,
+    getTrashRetentionDays,
+    parseTags,
+    escapeRegex,
+    parseSearchTerms,
+    buildSearchExcerpt,
+    NOTES_SORT,
+    buildNotesQuery,
+    buildPagination,
+    buildListUrl,
+    findNotesPage,
+    searchNotesPage,
+    findAuthorizedNote,
+    getReturnUrl,
+    parseNoteIds,
+    findOwnedNotes,
+    formatValidationErrors
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * @fileoverview Reglas de contraseñas y restablecimiento de contraseña.
+ * Las mismas reglas de complejidad se aplican en el registro y al restablecer.
+ * @module helpers/passwords
+ * @version 1.0.0
+ */
+
+const { getAppUrl, sendPasswordResetEmail, wasSentRecently } = require('./mailer');
+
+/**
+ * Longitud mínima y máxima de las contraseñas
+ * @constant {{min: number, max: number}}
+ */
+const PASSWORD_LENGTH = { min: 8, max: 20 };
+
+/**
+ * Valida una contraseña nueva y su confirmación
+ *
+ * @function validateNewPassword
+ * @param {string} password - Contraseña nueva
+ * @param {string} confirmPassword - Confirmación de la contraseña
+ * @returns {Array<{text: string}>} Errores en el formato del partial de errores (vacío si es válida)
+ */
+const validateNewPassword = (password = '', confirmPassword = '') => {
+    const errors = [];
+
+    if (password !== confirmPassword) {
+        errors.push({ text: 'Las contraseñas no coinciden' });
+    }
+
+    if (password.length < PASSWORD_LENGTH.min || password.length > PASSWORD_LENGTH.max) {
+        errors.push({ text: `Las contraseñas deben tener entre ${PASSWORD_LENGTH.min} y ${PASSWORD_LENGTH.max} caracteres` });
+    }
+
+    // Validación de complejidad de contraseña
+    if (!/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(password)) {
+        errors.push({
+            text: 'La contraseña debe contener al menos una letra minúscula, una mayúscula y un número'
+        });
+    }
+
+    return errors;
+};
+
+/**
+ * Minutos de validez del enlace para restablecer la contraseña.
+ * Se configura con PASSWORD_RESET_TTL_MINUTES (por defecto 60).
+ *
+ * @function getPasswordResetTtlMinutes
+ * @returns {number} Minutos de validez
+ */
+const getPasswordResetTtlMinutes = () => {
+    const minutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10);
+    return Number.isNaN(minutes) || minutes <= 0 ? 60 : minutes;
+};
+
+/**
+ * Indica si el usuario solicitó un restablecimiento hace muy poco
+ *
+ * @function isResetTooSoon
+ * @param {Object} user - Usuario con passwordResetSentAt
+ * @returns {boolean} true si hay que esperar antes de enviar otro enlace
+ */
+const isResetTooSoon = (user) => wasSentRecently(user.passwordResetSentAt);
+
+/**
+ * Genera un token de restablecimiento, lo guarda en el usuario y envía el enlace por correo
+ *
+ * @async
+ * @function sendPasswordReset
+ * @param {Document} user - Usuario que solicita el restablecimiento
+ * @param {Object} req - Objeto de solicitud Express (para construir el enlace)
+ * @returns {Promise<void>}
+ * @throws {Error} Si no se puede guardar el usuario o enviar el correo
+ */
+const sendPasswordReset = async (user, req) => {
+    const expiresInMinutes = getPasswordResetTtlMinutes();
+    const token = user.createPasswordResetToken(expiresInMinutes);
+    await user.save();
+
+    const resetUrl = `${getAppUrl(req)}/usuarios/restablecer/${token}`;
+    await sendPasswordResetEmail(user, resetUrl, expiresInMinutes);
+};
+
+module.exports = {
+    PASSWORD_LENGTH,
+    validateNewPassword,
+    getPasswordResetTtlMinutes,
+    isResetTooSoon,
+    sendPasswordReset
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * @fileoverview Autorización sobre las notas.
+ * Reúne en un solo lugar qué puede hacer cada rol con una nota: el propietario,
+ * los usuarios con los que se comparte como editores y los que solo pueden verla.
+ * @module helpers/permissions
+ * @version 1.0.0
+ */
+
+/**
+ * Roles con los que se puede compartir una nota y su nombre para las vistas
+ * (el propietario no se comparte: es quien creó la nota)
+ * @constant {Object<string, string>}
+ */
+const SHARE_ROLES = {
+    viewer: 'Lector',
+    editor: 'Editor'
+};
+
+/**
+ * Roles que tienen cada permiso sobre una nota:
+ * - view: ver la nota y su historial
+ * - edit: modificar el contenido y restaurar versiones anteriores
+ * - manage: eliminar, restaurar de la papelera, fijar, archivar, mover de libreta y compartir
+ * @constant {Object<string, string[]>}
+ */
+const NOTE_PERMISSIONS = {
+    view: ['owner', 'editor', 'viewer'],
+    edit: ['owner', 'editor'],
+    manage: ['owner']
+};
+
+/**
+ * Obtiene el rol de un usuario sobre una nota
+ *
+ * @function getNoteRole
+ * @param {Object} note - Nota (documento u objeto plano) con user y sharedWith
+ * @param {string} userId - ID del usuario
+ * @returns {string|null} 'owner', 'editor', 'viewer' o null si no tiene acceso
+ */
+const getNoteRole = (note, userId) => {
+    if (!note || !userId) {
+        return null;
+    }
+
+    // Con populate, user es el documento del propietario
+    const ownerId = note.user && note.user._id ? note.user._id : note.user;
+    if (String(ownerId) === String(userId)) {
+        return 'owner';
+    }
+
+    const share = (note.sharedWith || []).find(item => String(item.user && item.user._id ? item.user._id : item.user) === String(userId));
+    return share ? share.role : null;
+};
+
+/**
+ * Indica si un usuario tiene un permiso sobre una nota
+ *
+ * @function hasNotePermission
+ * @param {Object} note - Nota (documento u objeto plano)
+ * @param {string} userId - ID del usuario
+ * @param {string} permission - Permiso de NOTE_PERMISSIONS
+ * @returns {boolean}
+ */
+const hasNotePermission = (note, userId, permission) => {
+    const role = getNoteRole(note, userId);
+    return Boolean(role && (NOTE_PERMISSIONS[permission] || []).includes(role));
+};
+
+/**
+ * Permisos de un usuario sobre una nota, listos para las vistas
+ *
+ * @function getNoteAbilities
+ * @param {Object} note - Nota (documento u objeto plano)
+ * @param {string} userId - ID del usuario
+ * @returns {{role: (string|null), canView: boolean, canEdit: boolean, canManage: boolean}}
+ */
+const getNoteAbilities = (note, userId) => ({
+    role: getNoteRole(note, userId),
+    canView: hasNotePermission(note, userId, 'view'),
+    canEdit: hasNotePermission(note, userId, 'edit'),
+    canManage: hasNotePermission(note, userId, 'manage')
+});
+
+module.exports = {
+    SHARE_ROLES,
+    NOTE_PERMISSIONS,
+    getNoteRole,
+    hasNotePermission,
+    getNoteAbilities
+};
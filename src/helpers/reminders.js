@@ -0,0 +1,203 @@
+'use strict';
+
+/**
+ * @fileoverview Utilidades para las fechas límite y los recordatorios de las notas.
+ * Interpreta las fechas de los formularios (hora local del servidor) y calcula
+ * la siguiente repetición de los recordatorios periódicos.
+ * @module helpers/reminders
+ * @version 1.0.0
+ */
+
+const { isEmailVerificationRequired } = require('./verification');
+
+/**
+ * Repeticiones admitidas para un recordatorio, con su texto para las vistas
+ * @constant {Object<string, string>}
+ */
+const RECURRENCES = {
+    none: 'Una vez',
+    daily: 'Cada día',
+    weekly: 'Cada semana',
+    monthly: 'Cada mes'
+};
+
+/**
+ * Máximo de recordatorios por nota
+ * @constant {number}
+ */
+const MAX_REMINDERS_PER_NOTE = 5;
+
+/**
+ * Lee una fecha límite del formulario (AAAA-MM-DD). La nota vence al terminar ese día;
+ * sin fecha se quita la fecha límite.
+ *
+ * @function parseDueDate
+ * @param {string} [input] - Fecha recibida del formulario
+ * @returns {{dueDate: (Date|null), error: (string|null)}}
+ */
+const parseDueDate = (input) => {
+    const value = typeof input === 'string' ? input.trim() : '';
+    if (!value) {
+        return { dueDate: null, error: null };
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const dueDate = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 23, 59, 59, 999) : null;
+    if (!dueDate || dueDate.getDate() !== Number(match[3])) {
+        return { dueDate: null, error: 'La fecha límite no es válida' };
+    }
+
+    return { dueDate, error: null };
+};
+
+/**
+ * Lee la fecha y hora de un recordatorio (AAAA-MM-DDTHH:MM, como envía
+ * un campo datetime-local). Debe ser posterior al momento actual.
+ *
+ * @function parseReminderTime
+ * @param {string} [input] - Fecha y hora recibidas del formulario
+ * @returns {{remindAt: (Date|null), error: (string|null)}}
+ */
+const parseReminderTime = (input) => {
+    const value = typeof input === 'string' ? input.trim() : '';
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(value);
+    if (!match) {
+        return { remindAt: null, error: 'Indica la fecha y la hora del recordatorio' };
+    }
+
+    const [year, month, day, hours, minutes] = match.slice(1).map(Number);
+    const remindAt = new Date(year, month - 1, day, hours, minutes);
+    if (remindAt.getDate() !== day || remindAt.getHours() !== hours || remindAt.getMinutes() !== minutes) {
+        return { remindAt: null, error: 'La fecha del recordatorio no es válida' };
+    }
+
+    if (remindAt <= new Date()) {
+        return { remindAt: null, error: 'El recordatorio debe ser posterior a este momento' };
+    }
+
+    return { remindAt, error: null };
+};
+
+/**
+ * Suma a una fecha un periodo de repetición. Los meses sin ese día
+ * usan su último día (31 de enero + 1 mes = 28 o 29 de febrero).
+ *
+ * @function addRecurrence
+ * @param {Date} date - Fecha de partida
+ * @param {string} recurrence - 'daily', 'weekly' o 'monthly'
+ * @returns {Date} Nueva fecha
+ */
+const addRecurrence = (date, recurrence) => {
+    const next = new Date(date);
+
+    if (recurrence === 'daily') {
+        next.setDate(next.getDate() + 1);
+    } else if (recurrence === 'weekly') {
+        next.setDate(next.getDate() + 7);
+    } else if (recurrence === 'monthly') {
+        const day = next.getDate();
+        next.setDate(1);
+        next.setMonth(next.getMonth() + 1);
+        const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+        next.setDate(Math.min(day, lastDay));
+    }
+
+    return next;
+};
+
+/**
+ * Calcula cuándo debe volver a avisar un recordatorio después de enviarse.
+ * Las repeticiones que se perdieron (por ejemplo, con el servidor parado)
+ * no se envían todas: se salta a la primera posterior a `after`.
+ *
+ * @function getNextReminderTime
+ * @param {Date} remindAt - Fecha en la que tocaba el aviso enviado
+ * @param {string} recurrence - Repetición del recordatorio
+ * @param {Date} [after] - Momento a partir del cual buscar (por defecto, ahora)
+ * @returns {Date|null} Siguiente aviso o null si el recordatorio no se repite
+ */
+const getNextReminderTime = (remindAt, recurrence, after = new Date()) => {
+    if (!recurrence || recurrence === 'none' || !RECURRENCES[recurrence]) {
+        return null;
+    }
+
+    let next = addRecurrence(remindAt, recurrence);
+    while (next <= after) {
+        next = addRecurrence(next, recurrence);
+    }
+    return next;
+};
+
+/**
+ * Formatea una fecha para un campo date (AAAA-MM-DD) en hora local
+ *
+ * @function toDateInputValue
+ * @param {Date|null} date - Fecha a formatear
+ * @returns {string} Fecha para el formulario o cadena vacía
+ */
+const toDateInputValue = (date) => {
+    if (!date) {
+        return '';
+    }
+
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Prepara los recordatorios de una nota para las vistas, los pendientes primero
+ *
+ * @function formatReminders
+ * @param {Array<Object>} reminders - Recordatorios de la nota
+ * @returns {Array<Object>} Recordatorios con sus textos formateados
+ */
+const formatReminders = (reminders = []) => {
+    return reminders
+        .map(reminder => ({
+            _id: reminder._id,
+            isPending: Boolean(reminder.remindAt),
+            remindAtText: reminder.remindAt ? reminder.remindAt.toLocaleString('es-ES') : null,
+            lastSentAtText: reminder.lastSentAt ? reminder.lastSentAt.toLocaleString('es-ES') : null,
+            recurrenceText: RECURRENCES[reminder.recurrence] || RECURRENCES.none,
+            sortKey: reminder.remindAt ? reminder.remindAt.getTime() : Infinity
+        }))
+        .sort((a, b) => a.sortKey - b.sortKey);
+};
+
+/**
+ * Condición que debe cumplir el propietario de una nota para recibir sus recordatorios:
+ * cuenta activa y, solo si el inicio de sesión exige verificar el correo, correo verificado.
+ * Las cuentas anteriores a la verificación no tienen emailVerified y reciben los avisos
+ * mientras no se exija.
+ *
+ * @function getReminderRecipientFilter
+ * @returns {Object} Condición de MongoDB sobre los campos del usuario
+ */
+const getReminderRecipientFilter = () => {
+    return isEmailVerificationRequired()
+        ? { isActive: true, emailVerified: true }
+        : { isActive: true };
+};
+
+/**
+ * Indica si un usuario recibe los recordatorios de sus notas (ver getReminderRecipientFilter)
+ *
+ * @function canReceiveReminders
+ * @param {Object} [user] - Usuario con isActive y emailVerified
+ * @returns {boolean} true si se le pueden enviar
+ */
+const canReceiveReminders = (user) => {
+    return Boolean(user) && Object.entries(getReminderRecipientFilter()).every(([field, value]) => user[field] === value);
+};
+
+module.exports = {
+    RECURRENCES,
+    MAX_REMINDERS_PER_NOTE,
+    parseDueDate,
+    parseReminderTime,
+    getNextReminderTime,
+    toDateInputValue,
+    formatReminders,
+    getReminderRecipientFilter,
+    canReceiveReminders
+};
@@ -0,0 +1,192 @@
+'use strict';
+
+/**
+ * @fileoverview Gestión de las sesiones guardadas en MongoDB por connect-mongo.
+ * Las sesiones se almacenan como objetos (no como texto JSON) para poder
+ * consultarlas por el usuario autenticado en session.passport.user; las
+ * consultas por usuario también encuentran las antiguas guardadas como texto.
+ * @module helpers/sessions
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Colección donde connect-mongo guarda las sesiones
+ * @constant {string}
+ */
+const SESSIONS_COLLECTION = 'sessions';
+
+/**
+ * Navegadores reconocidos en el User-Agent, en orden de prioridad
+ * (Edge y Opera incluyen también "Chrome" en su User-Agent)
+ * @constant {Array<[RegExp, string]>}
+ */
+const BROWSERS = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari']
+];
+
+/**
+ * Sistemas operativos reconocidos en el User-Agent
+ * @constant {Array<[RegExp, string]>}
+ */
+const OPERATING_SYSTEMS = [
+    [/Android/, 'Android'],
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+];
+
+/**
+ * Recupera una sesión guardada por connect-mongo.
+ * Las sesiones nuevas se guardan como objetos; las creadas antes de este cambio
+ * siguen guardadas como texto JSON y se convierten al leerlas.
+ *
+ * @function unserializeSession
+ * @param {Object|string} session - Sesión almacenada
+ * @returns {Object} Datos de la sesión
+ */
+const unserializeSession = (session) => {
+    return typeof session === 'string' ? JSON.parse(session) : session;
+};
+
+/**
+ * Filtro de las sesiones de un usuario en el almacén. Incluye las sesiones antiguas
+ * guardadas como texto JSON, que express-session serializa sin espacios
+ * (por ejemplo, {"cookie":{...},"passport":{"user":"<id>"}}).
+ *
+ * @function userSessionsFilter
+ * @param {string} userId - ID del usuario
+ * @returns {Object} Filtro de MongoDB
+ */
+const userSessionsFilter = (userId) => {
+    const id = String(userId);
+    const escapedId = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    return {
+        $or: [
+            { 'session.passport.user': id },
+            { session: { $regex: `"passport":\\{"user":"${escapedId}"\\}` } }
+        ]
+    };
+};
+
+/**
+ * Elimina todas las sesiones abiertas de un usuario, cerrándolas en todos sus dispositivos
+ *
+ * @async
+ * @function destroyUserSessions
+ * @param {string} userId - ID del usuario
+ * @param {Object} [options] - Opciones
+ * @param {string} [options.exceptSessionId] - ID de una sesión que se conserva (por ejemplo, la actual)
+ * @returns {Promise<number>} Número de sesiones eliminadas
+ */
+const destroyUserSessions = async (userId, { exceptSessionId } = {}) => {
+    const filter = userSessionsFilter(userId);
+
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+
+    const result = await mongoose.connection.collection(SESSIONS_COLLECTION).deleteMany(filter);
+    return result.deletedCount;
+};
+
+/**
+ * Resume un User-Agent en un texto legible, por ejemplo "Firefox en Windows"
+ *
+ * @function describeUserAgent
+ * @param {string} userAgent - Cabecera User-Agent
+ * @returns {string} Navegador y sistema operativo
+ */
+const describeUserAgent = (userAgent = '') => {
+    const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent));
+    const os = OPERATING_SYSTEMS.find(([pattern]) => pattern.test(userAgent));
+
+    if (!browser && !os) {
+        return 'Dispositivo desconocido';
+    }
+
+    return [browser ? browser[1] : 'Navegador desconocido', os && os[1]].filter(Boolean).join(' en ');
+};
+
+/**
+ * Identificador público de una sesión.
+ * El ID real de la sesión es el valor de la cookie, por lo que nunca se muestra en las vistas.
+ *
+ * @function getSessionPublicId
+ * @param {string} sessionId - ID de la sesión en el almacén
+ * @returns {string} Hash corto del ID
+ */
+const getSessionPublicId = (sessionId) => {
+    return crypto.createHash('sha256').update(String(sessionId)).digest('hex').slice(0, 16);
+};
+
+/**
+ * Lista las sesiones abiertas de un usuario con el dispositivo y la ubicación
+ * guardados al iniciar sesión
+ *
+ * @async
+ * @function findUserSessions
+ * @param {string} userId - ID del usuario
+ * @param {string} [currentSessionId] - ID de la sesión de la solicitud, para marcarla
+ * @returns {Promise<Array<Object>>} Sesiones ordenadas de la más reciente a la más antigua
+ */
+const findUserSessions = async (userId, currentSessionId) => {
+    const sessions = await mongoose.connection.collection(SESSIONS_COLLECTION)
+        .find({ ...userSessionsFilter(userId), expires: { $gt: new Date() } })
+        .toArray();
+
+    return sessions
+        .map(({ _id, session, expires }) => ({
+            id: getSessionPublicId(_id),
+            device: unserializeSession(session).device || null,
+            expires,
+            isCurrent: _id === currentSessionId
+        }))
+        .sort((a, b) => {
+            const aDate = a.device ? new Date(a.device.signedInAt).getTime() : 0;
+            const bDate = b.device ? new Date(b.device.signedInAt).getTime() : 0;
+            return bDate - aDate;
+        });
+};
+
+/**
+ * Elimina una sesión concreta de un usuario a partir de su identificador público
+ *
+ * @async
+ * @function destroyUserSession
+ * @param {string} userId - ID del usuario propietario
+ * @param {string} publicId - Identificador público de la sesión
+ * @returns {Promise<boolean>} true si la sesión existía y se eliminó
+ */
+const destroyUserSession = async (userId, publicId) => {
+    const collection = mongoose.connection.collection(SESSIONS_COLLECTION);
+    const sessions = await collection
+        .find(userSessionsFilter(userId), { projection: { _id: 1 } })
+        .toArray();
+
+    const target = sessions.find(({ _id }) => getSessionPublicId(_id) === publicId);
+    if (!target) {
+        return false;
+    }
+
+    const result = await collection.deleteOne({ _id: target._id, ...userSessionsFilter(userId) });
+    return result.deletedCount > 0;
+};
+
+module.exports = {
+    SESSIONS_COLLECTION,
+    unserializeSession,
+    destroyUserSessions,
+    describeUserAgent,
+    getSessionPublicId,
+    findUserSessions,
+    destroyUserSession
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * @fileoverview Utilidades para generar y verificar tokens aleatorios.
+ * Los tokens se entregan una sola vez en texto plano y solo se almacena su hash.
+ * @module helpers/tokens
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Calcula el hash SHA-256 de un token para almacenarlo o buscarlo en la base de datos
+ *
+ * @function hashToken
+ * @param {string} token - Token en texto plano
+ * @returns {string} Hash hexadecimal del token
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Genera un token criptográficamente seguro junto con su hash
+ *
+ * @function generateToken
+ * @param {Object} [options] - Opciones de generación
+ * @param {string} [options.prefix=''] - Prefijo legible que identifica el tipo de token
+ * @param {number} [options.bytes=32] - Número de bytes aleatorios
+ * @returns {{token: string, hash: string}} Token en texto plano y su hash
+ */
+const generateToken = ({ prefix = '', bytes = 32 } = {}) => {
+    const token = `${prefix}${crypto.randomBytes(bytes).toString('hex')}`;
+    return { token, hash: hashToken(token) };
+};
+
+module.exports = {
+    hashToken,
+    generateToken
+};
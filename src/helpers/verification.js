@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * @fileoverview Verificación del correo electrónico de las cuentas.
+ * Reúne la configuración del flujo y la generación y envío de los enlaces,
+ * compartidos por el registro y el reenvío del correo.
+ * @module helpers/verification
+ * @version 1.0.0
+ */
+
+const { getAppUrl, sendVerificationEmail, wasSentRecently } = require('./mailer');
+
+/**
+ * Horas de validez del enlace de verificación.
+ * Se configura con EMAIL_VERIFICATION_TTL_HOURS (por defecto 24).
+ *
+ * @function getVerificationTtlHours
+ * @returns {number} Horas de validez
+ */
+const getVerificationTtlHours = () => {
+    const hours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10);
+    return Number.isNaN(hours) || hours <= 0 ? 24 : hours;
+};
+
+/**
+ * Indica si el inicio de sesión exige haber verificado el correo.
+ * Se activa con REQUIRE_EMAIL_VERIFICATION=true.
+ *
+ * @function isEmailVerificationRequired
+ * @returns {boolean} true si las cuentas sin verificar no pueden iniciar sesión
+ */
+const isEmailVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+/**
+ * Indica si todavía no ha pasado el intervalo mínimo desde el último envío
+ *
+ * @function isResendTooSoon
+ * @param {Object} user - Usuario con emailVerificationSentAt
+ * @returns {boolean} true si hay que esperar antes de reenviar
+ */
+const isResendTooSoon = (user) => wasSentRecently(user.emailVerificationSentAt);
+
+/**
+ * Genera un token de verificación nuevo, lo guarda en el usuario y envía el enlace por correo
+ *
+ * @async
+ * @function sendAccountVerification
+ * @param {Document} user - Usuario sin verificar
+ * @param {Object} req - Objeto de solicitud Express (para construir el enlace)
+ * @returns {Promise<void>}
+ * @throws {Error} Si no se puede guardar el usuario o enviar el correo
+ */
+const sendAccountVerification = async (user, req) => {
+    const expiresInHours = getVerificationTtlHours();
+    const token = user.createEmailVerificationToken(expiresInHours);
+    await user.save();
+
+    const verifyUrl = `${getAppUrl(req)}/usuarios/verificar/${token}`;
+    await sendVerificationEmail(user, verifyUrl, expiresInHours);
+};
+
+module.exports = {
+    getVerificationTtlHours,
+    isEmailVerificationRequired,
+    isResendTooSoon,
+    sendAccountVerification
+};
@@ -13,6 +13,9 @@ const app = require('./server');
 // Establece la conexión con la base de datos MongoDB
 require('./database');
 
+// Tareas en segundo plano (purga de la papelera, etc.)
+const { startJobs } = require('./jobs');
+
 /**
  * Inicia el servidor HTTP en el puerto configurado
  * Captura errores para evitar caídas inesperadas
@@ -21,4 +24,5 @@ app.listen(app.get('port'), () => {
     console.log(`✅ Servidor iniciado en el puerto: ${app.get('port')}`);
     console.log(`🌐 Entorno: ${process.env.NODE_ENV || 'desarrollo'}`);
     console.log(`🕒 ${new Date().toLocaleString()}`);
+    startJobs();
 });
\ No newline at end of file
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * @fileoverview Tarea programada que elimina definitivamente las cuentas
+ * cuyo periodo de gracia tras solicitar la eliminación ha terminado
+ * @module jobs/delete-accounts
+ * @version 1.0.0
+ */
+
+const User = require('../models/User');
+const { deleteAccountData } = require('../helpers/account');
+const { logUserSession, logError } = require('../helpers/logger');
+
+/**
+ * Elimina las cuentas con la eliminación vencida junto con todos sus datos.
+ * Un error con una cuenta no impide procesar las demás.
+ *
+ * @async
+ * @function deleteScheduledAccounts
+ * @returns {Promise<number>} Número de cuentas eliminadas
+ */
+const deleteScheduledAccounts = async () => {
+    let deletedAccounts = 0;
+
+    try {
+        const users = await User.findDueForDeletion();
+
+        for (const user of users) {
+            try {
+                const deleted = await deleteAccountData(user);
+                deletedAccounts++;
+
+                logUserSession(`Cuenta eliminada definitivamente: ${user.email} (${user._id}) - Notas: ${deleted.notes}, Libretas: ${deleted.notebooks}, Mensajes de contacto: ${deleted.contacts}, Tokens: ${deleted.tokens}, Enlaces públicos: ${deleted.links}, Sesiones: ${deleted.sessions}`);
+            } catch (error) {
+                logError(`jobs.deleteScheduledAccounts (${user._id})`, error);
+            }
+        }
+    } catch (error) {
+        logError('jobs.deleteScheduledAccounts', error);
+    }
+
+    return deletedAccounts;
+};
+
+module.exports = deleteScheduledAccounts;
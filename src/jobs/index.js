@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * @fileoverview Planificador de tareas en segundo plano de la aplicación
+ * Ejecuta periódicamente las tareas de mantenimiento dentro del proceso de Node
+ * @module jobs
+ * @version 1.0.0
+ */
+
+const purgeExpiredTrash = require('./purge-trash');
+const deleteScheduledAccounts = require('./delete-accounts');
+const sendDueReminders = require('./send-reminders');
+
+/**
+ * Tareas registradas con su intervalo de ejecución
+ * @constant {Array<{name: string, task: Function, intervalMs: number}>}
+ */
+const JOBS = [
+    { name: 'purge-trash', task: purgeExpiredTrash, intervalMs: 60 * 60 * 1000 }, // Cada hora
+    { name: 'delete-accounts', task: deleteScheduledAccounts, intervalMs: 60 * 60 * 1000 }, // Cada hora
+    { name: 'send-reminders', task: sendDueReminders, intervalMs: 60 * 1000 } // Cada minuto
+];
+
+/**
+ * Inicia todas las tareas programadas.
+ * Cada tarea se ejecuta una vez al arrancar y después en su intervalo;
+ * los temporizadores no impiden que el proceso termine.
+ *
+ * @function startJobs
+ * @returns {void}
+ */
+const startJobs = () => {
+    JOBS.forEach(({ name, task, intervalMs }) => {
+        const run = () => {
+            Promise.resolve(task()).catch(error => {
+                console.error(`❌ Error en la tarea programada ${name}:`, error);
+            });
+        };
+
+        run();
+        setInterval(run, intervalMs).unref();
+    });
+
+    console.log(`⏱️ Tareas programadas iniciadas: ${JOBS.map(job => job.name).join(', ')}`);
+};
+
+module.exports = { startJobs };
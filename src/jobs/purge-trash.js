@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * @fileoverview Tarea programada que elimina definitivamente las notas
+ * que llevan en la papelera más tiempo del periodo de retención configurado
+ * @module jobs/purge-trash
+ * @version 1.0.0
+ */
+
+const Note = require('../models/Note');
+const { getTrashRetentionDays } = require('../helpers/notes');
+const { logNoteActivity, logError } = require('../helpers/logger');
+
+/**
+ * Elimina las notas de la papelera cuya retención ha caducado.
+ * Las notas eliminadas antes de existir deletedAt usan updatedAt como referencia.
+ *
+ * @async
+ * @function purgeExpiredTrash
+ * @returns {Promise<number>} Número de notas eliminadas
+ */
+const purgeExpiredTrash = async () => {
+    const retentionDays = getTrashRetentionDays();
+
+    // Un periodo de 0 días desactiva la purga automática
+    if (!retentionDays) {
+        return 0;
+    }
+
+    try {
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+        const deletedCount = await Note.purge({
+            $or: [
+                { deletedAt: { $lte: cutoff } },
+                { deletedAt: null, updatedAt: { $lte: cutoff } }
+            ]
+        });
+
+        if (deletedCount > 0) {
+            logNoteActivity(`Purga automática de papelera - Notas eliminadas: ${deletedCount}, Retención: ${retentionDays} días`);
+        }
+
+        return deletedCount;
+    } catch (error) {
+        logError('jobs.purgeExpiredTrash', error);
+        return 0;
+    }
+};
+
+module.exports = purgeExpiredTrash;
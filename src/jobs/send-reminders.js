@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * @fileoverview Tarea programada que envía por correo los recordatorios vencidos
+ * de las notas y programa la siguiente repetición de los periódicos
+ * @module jobs/send-reminders
+ * @version 1.0.0
+ */
+
+const Note = require('../models/Note');
+const User = require('../models/User');
+const { getNextReminderTime, getReminderRecipientFilter, canReceiveReminders } = require('../helpers/reminders');
+const { sendReminderEmail, getAppUrl } = require('../helpers/mailer');
+const { logNoteActivity, logError } = require('../helpers/logger');
+
+/**
+ * Máximo de notas con recordatorios vencidos que se procesan en cada ejecución;
+ * el resto se envía en las siguientes
+ * @constant {number}
+ */
+const BATCH_SIZE = 100;
+
+/**
+ * Envía un recordatorio vencido. Primero se reserva en la base de datos
+ * (avanzando su fecha) y después se envía el correo: si el proceso se reinicia
+ * entre medias, el aviso se pierde pero nunca se envía dos veces.
+ *
+ * @async
+ * @function deliverReminder
+ * @param {Object} note - Nota con el propietario cargado (name, email, isActive, emailVerified)
+ * @param {Object} reminder - Recordatorio vencido
+ * @param {Date} now - Momento de la ejecución
+ * @returns {Promise<boolean>} true si se envió el correo
+ */
+const deliverReminder = async (note, reminder, now) => {
+    // Si el propietario no puede recibirlo, el recordatorio sigue pendiente sin reservarse:
+    // se enviará cuando la cuenta pueda recibir avisos
+    const owner = note.user;
+    if (!canReceiveReminders(owner)) {
+        return false;
+    }
+
+    const nextAt = getNextReminderTime(reminder.remindAt, reminder.recurrence, now);
+
+    const claimed = await Note.claimReminder(note._id, reminder, nextAt, now);
+    if (!claimed) {
+        return false;
+    }
+
+    try {
+        await sendReminderEmail(
+            owner,
+            note,
+            `${getAppUrl()}/notas/ver/${note._id}`,
+            nextAt ? nextAt.toLocaleString('es-ES') : null
+        );
+    } catch (error) {
+        await Note.releaseReminder(note._id, reminder, nextAt);
+        throw error;
+    }
+
+    return true;
+};
+
+/**
+ * Envía los recordatorios cuya fecha ya ha llegado.
+ * Un error con un recordatorio no impide enviar los demás.
+ *
+ * @async
+ * @function sendDueReminders
+ * @returns {Promise<number>} Número de recordatorios enviados
+ */
+const sendDueReminders = async () => {
+    let sentCount = 0;
+
+    try {
+        const now = new Date();
+
+        // Los propietarios que no pueden recibir avisos se descartan en la consulta, para que
+        // sus recordatorios pendientes no ocupen el lote. Las notas de la papelera no avisan
+        const recipientFilter = Object.fromEntries(
+            Object.entries(getReminderRecipientFilter()).map(([field, value]) => [`user.${field}`, value])
+        );
+        const notes = await Note.aggregate([
+            { $match: { isActive: true, reminders: { $elemMatch: { remindAt: { $ne: null, $lte: now } } } } },
+            {
+                $lookup: {
+                    from: User.collection.name,
+                    localField: 'user',
+                    foreignField: '_id',
+                    as: 'user'
+                }
+            },
+            { $unwind: '$user' },
+            { $match: recipientFilter },
+            { $limit: BATCH_SIZE },
+            {
+                $project: {
+                    title: 1,
+                    dueDate: 1,
+                    reminders: 1,
+                    'user._id': 1,
+                    'user.name': 1,
+                    'user.email': 1,
+                    'user.isActive': 1,
+                    'user.emailVerified': 1
+                }
+            }
+        ]);
+
+        for (const note of notes) {
+            const dueReminders = note.reminders.filter(reminder => reminder.remindAt && reminder.remindAt <= now);
+
+            for (const reminder of dueReminders) {
+                try {
+                    if (await deliverReminder(note, reminder, now)) {
+                        sentCount++;
+                    }
+                } catch (error) {
+                    logError(`jobs.sendDueReminders (${note._id})`, error);
+                }
+            }
+        }
+
+        if (sentCount > 0) {
+            logNoteActivity(`Recordatorios enviados: ${sentCount}`);
+        }
+    } catch (error) {
+        logError('jobs.sendDueReminders', error);
+    }
+
+    return sentCount;
+};
+
+module.exports = sendDueReminders;
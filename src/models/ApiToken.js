@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Modelo de Mongoose para tokens personales de acceso a la API
+ * @module models/ApiToken
+ * @version 1.0.0
+ */
+
+const { Schema, model } = require('mongoose');
+const { hashToken } = require('../helpers/tokens');
+
+/**
+ * Permisos disponibles para los tokens de acceso
+ * @constant {string[]}
+ */
+const API_SCOPES = ['notes:read', 'notes:write'];
+
+/**
+ * Esquema de token personal de acceso
+ * @typedef {Object} ApiToken
+ * @property {string} name - Nombre descriptivo elegido por el usuario
+ * @property {ObjectId} user - Usuario propietario del token
+ * @property {string} tokenHash - Hash SHA-256 del token (nunca se guarda en texto plano)
+ * @property {string} tokenPrefix - Primeros caracteres del token para identificarlo en la interfaz
+ * @property {string[]} scopes - Permisos concedidos al token
+ * @property {Date} lastUsedAt - Fecha del último uso
+ * @property {Date} revokedAt - Fecha de revocación (null si está activo)
+ * @property {Date} createdAt - Fecha de creación automática
+ * @property {Date} updatedAt - Fecha de última actualización
+ */
+const ApiTokenSchema = new Schema({
+    name: {
+        type: String,
+        required: [true, 'El nombre del token es obligatorio'],
+        trim: true,
+        maxlength: [50, 'El nombre del token no puede exceder 50 caracteres'],
+        set: (value) => value.replace(/[<>]/g, '')
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'El usuario es obligatorio'],
+        index: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false // No se incluye en las consultas por defecto (seguridad)
+    },
+    tokenPrefix: {
+        type: String,
+        required: true
+    },
+    scopes: {
+        type: [{ type: String, enum: API_SCOPES }],
+        validate: {
+            validator: (value) => Array.isArray(value) && value.length > 0,
+            message: 'El token debe tener al menos un permiso'
+        }
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true, // Crea automáticamente createdAt y updatedAt
+    versionKey: false
+});
+
+/**
+ * Método virtual para obtener una descripción legible de los permisos
+ */
+ApiTokenSchema.virtual('scopeText').get(function() {
+    return this.scopes.includes('notes:write') ? 'Lectura y escritura' : 'Solo lectura';
+});
+
+/**
+ * Método estático para encontrar un token activo a partir de su valor en texto plano
+ * @param {string} token - Token recibido en la cabecera Authorization
+ * @returns {Promise<Document|null>} - Token activo o null
+ */
+ApiTokenSchema.statics.findActiveByToken = function(token) {
+    return this.findOne({ tokenHash: hashToken(token), revokedAt: null });
+};
+
+/**
+ * Método para revocar el token
+ */
+ApiTokenSchema.methods.revoke = function() {
+    this.revokedAt = new Date();
+    return this.save();
+};
+
+const ApiToken = model('ApiToken', ApiTokenSchema);
+ApiToken.API_SCOPES = API_SCOPES;
+
+module.exports = ApiToken;
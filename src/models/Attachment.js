@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Modelo de Mongoose para los archivos adjuntos de las notas
+ * El contenido se guarda en el adaptador de almacenamiento; aquí solo los metadatos
+ * y la clave con la que se guardó
+ * @module models/Attachment
+ * @version 1.0.0
+ */
+
+const { Schema, model, Types } = require('mongoose');
+const { getStorage } = require('../storage');
+
+/**
+ * Esquema de archivo adjunto
+ * @typedef {Object} Attachment
+ * @property {ObjectId} note - Nota a la que pertenece el archivo
+ * @property {ObjectId} user - Propietario de la nota (cuenta para su cuota)
+ * @property {string} storageKey - Clave del archivo en el almacenamiento (nunca devuelta en consultas)
+ * @property {string} thumbnailKey - Clave de la miniatura de una imagen (nunca devuelta en consultas;
+ * no existe en los archivos que no son imágenes ni en las imágenes subidas antes de las miniaturas)
+ * @property {string} originalName - Nombre del archivo tal como se subió, ya saneado
+ * @property {string} mimeType - Tipo MIME comprobado a partir del contenido
+ * @property {number} size - Tamaño en bytes
+ * @property {Date} createdAt - Fecha de creación automática
+ * @property {Date} updatedAt - Fecha de última actualización
+ */
+const AttachmentSchema = new Schema({
+    note: {
+        type: Schema.Types.ObjectId,
+        ref: 'Note',
+        required: [true, 'La nota es obligatoria'],
+        index: true
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'El usuario es obligatorio'],
+        index: true
+    },
+    storageKey: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false // Solo la usa el servidor para leer el archivo
+    },
+    thumbnailKey: {
+        type: String,
+        select: false
+    },
+    originalName: {
+        type: String,
+        required: [true, 'El nombre del archivo es obligatorio'],
+        trim: true,
+        maxlength: [255, 'El nombre del archivo no puede superar 255 caracteres']
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+/**
+ * Método estático para calcular el espacio que ocupan los adjuntos de un usuario
+ * @param {string|ObjectId} userId - ID del usuario
+ * @returns {Promise<number>} - Bytes ocupados
+ */
+AttachmentSchema.statics.getUsage = async function(userId) {
+    const [result] = await this.aggregate([
+        { $match: { user: new Types.ObjectId(String(userId)) } },
+        { $group: { _id: null, total: { $sum: '$size' } } }
+    ]);
+    return result ? result.total : 0;
+};
+
+/**
+ * Crea un contador en un documento a partir de los adjuntos existentes si todavía
+ * no lo tiene (usuarios y notas con adjuntos anteriores a los contadores)
+ * @param {Model} Target - Modelo del documento (User o Note)
+ * @param {ObjectId} id - ID del documento
+ * @param {string} field - Campo del contador
+ * @param {Function} compute - Calcula el valor inicial
+ * @returns {Promise<void>}
+ */
+const ensureCounter = async (Target, id, field, compute) => {
+    if (await Target.exists({ _id: id, [field]: { $exists: true } })) {
+        return;
+    }
+
+    // Si otra subida lo creó a la vez, se conserva el suyo
+    const value = await compute();
+    await Target.updateOne({ _id: id, [field]: { $exists: false } }, { $set: { [field]: value } }, { timestamps: false });
+};
+
+/**
+ * Método estático para reservar un hueco en la nota y espacio en la cuota del usuario
+ * antes de guardar un archivo. Ambos contadores se actualizan con un $inc condicionado
+ * al límite, así que varias subidas simultáneas no pueden superarlo.
+ * @param {Object} reservation - Datos de la subida
+ * @param {ObjectId} reservation.noteId - Nota a la que se adjunta el archivo
+ * @param {ObjectId} reservation.userId - Propietario de la nota
+ * @param {number} reservation.size - Tamaño del archivo en bytes
+ * @param {number} reservation.maxPerNote - Máximo de adjuntos por nota
+ * @param {number} reservation.quota - Espacio máximo del usuario en bytes
+ * @returns {Promise<string|null>} - null si se reservó; 'note_limit' o 'quota' si no cabe
+ */
+AttachmentSchema.statics.reserveSpace = async function({ noteId, userId, size, maxPerNote, quota }) {
+    const Note = model('Note');
+    const User = model('User');
+
+    await ensureCounter(Note, noteId, 'attachmentCount', () => this.countDocuments({ note: noteId }));
+    await ensureCounter(User, userId, 'attachmentBytes', () => this.getUsage(userId));
+
+    const slot = await Note.updateOne(
+        { _id: noteId, attachmentCount: { $lt: maxPerNote } },
+        { $inc: { attachmentCount: 1 } },
+        { timestamps: false }
+    );
+    if (!slot.modifiedCount) {
+        return 'note_limit';
+    }
+
+    const space = await User.updateOne(
+        { _id: userId, attachmentBytes: { $lte: quota - size } },
+        { $inc: { attachmentBytes: size } },
+        { timestamps: false }
+    );
+    if (!space.modifiedCount) {
+        await Note.updateOne({ _id: noteId, attachmentCount: { $gt: 0 } }, { $inc: { attachmentCount: -1 } }, { timestamps: false });
+        return 'quota';
+    }
+
+    return null;
+};
+
+/**
+ * Método estático para liberar lo reservado por un archivo que se eliminó o no se pudo guardar
+ * @param {Object} reservation - Datos del archivo
+ * @param {ObjectId} [reservation.noteId] - Nota (se omite si la nota también se elimina)
+ * @param {ObjectId} reservation.userId - Propietario de la nota
+ * @param {number} reservation.size - Tamaño del archivo en bytes
+ * @param {number} [reservation.count=1] - Número de archivos
+ * @returns {Promise<void>}
+ */
+AttachmentSchema.statics.releaseSpace = async function({ noteId, userId, size, count = 1 }) {
+    const updates = [
+        model('User').updateOne(
+            { _id: userId, attachmentBytes: { $exists: true } },
+            { $inc: { attachmentBytes: -size } },
+            { timestamps: false }
+        )
+    ];
+
+    if (noteId) {
+        updates.push(model('Note').updateOne(
+            { _id: noteId, attachmentCount: { $exists: true } },
+            { $inc: { attachmentCount: -count } },
+            { timestamps: false }
+        ));
+    }
+
+    await Promise.all(updates);
+};
+
+/**
+ * Elimina del almacenamiento el archivo de un adjunto y, si la tiene, su miniatura
+ * @param {Object} attachment - Adjunto con storageKey y thumbnailKey seleccionadas
+ * @returns {Promise<void>}
+ */
+const removeStoredFiles = async (attachment) => {
+    const storage = getStorage();
+    await storage.remove(attachment.storageKey);
+    if (attachment.thumbnailKey) {
+        await storage.remove(attachment.thumbnailKey);
+    }
+};
+
+/**
+ * Método estático para eliminar los adjuntos de varias notas, primero los archivos
+ * del almacenamiento y después sus metadatos
+ * @param {Array<ObjectId>} noteIds - IDs de las notas
+ * @returns {Promise<number>} - Número de adjuntos eliminados
+ */
+AttachmentSchema.statics.removeForNotes = async function(noteIds) {
+    const attachments = await this.find({ note: { $in: noteIds } }).select('+storageKey +thumbnailKey').lean();
+    if (!attachments.length) {
+        return 0;
+    }
+
+    for (const attachment of attachments) {
+        await removeStoredFiles(attachment);
+    }
+
+    const result = await this.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+
+    // Devolver a cada usuario el espacio de sus archivos
+    const bytesByUser = new Map();
+    for (const attachment of attachments) {
+        const userId = String(attachment.user);
+        bytesByUser.set(userId, (bytesByUser.get(userId) || 0) + attachment.size);
+    }
+    for (const [userId, size] of bytesByUser) {
+        await this.releaseSpace({ userId, size });
+    }
+
+    return result.deletedCount;
+};
+
+/**
+ * Método para eliminar el adjunto, su archivo y su miniatura.
+ * El documento debe cargarse con '+storageKey +thumbnailKey'
+ * @returns {Promise<void>}
+ */
+AttachmentSchema.methods.removeWithFile = async function() {
+    await removeStoredFiles(this);
+    const result = await this.deleteOne();
+
+    // Solo libera el espacio quien borró el documento, por si dos peticiones lo eliminan a la vez
+    if (result.deletedCount) {
+        await this.constructor.releaseSpace({ noteId: this.note, userId: this.user, size: this.size });
+    }
+};
+
+/**
+ * Índice para listar los adjuntos de una nota en orden de subida
+ */
+AttachmentSchema.index({ note: 1, createdAt: 1 });
+
+module.exports = model('Attachment', AttachmentSchema);
@@ -6,6 +6,16 @@
 
 const { Schema, model } = require('mongoose');
 
+/**
+ * Estados posibles de un mensaje con su nombre en español
+ * @constant {Object<string, string>}
+ */
+const CONTACT_STATUSES = {
+    pending: 'Pendiente',
+    read: 'Leído',
+    replied: 'Respondido'
+};
+
 /**
  * Esquema de mensaje de contacto
  * @typedef {Object} Contact
@@ -16,6 +26,7 @@ const { Schema, model } = require('mongoose');
  * @property {string} status - Estado del mensaje (pending, read, replied)
  * @property {ObjectId} userId - ID del usuario (si está autenticado)
  * @property {string} ipAddress - Dirección IP del remitente (para seguridad)
+ * @property {Array<Object>} replies - Respuestas enviadas por correo desde el panel de administración
  * @property {Date} createdAt - Fecha de creación automática
  * @property {Date} updatedAt - Fecha de última actualización
  */
@@ -50,7 +61,7 @@ const ContactSchema = new Schema({
     },
     status: {
         type: String,
-        enum: ['pending', 'read', 'replied'],
+        enum: Object.keys(CONTACT_STATUSES),
         default: 'pending'
     },
     userId: {
@@ -61,7 +72,24 @@ const ContactSchema = new Schema({
     ipAddress: {
         type: String,
         default: null
-    }
+    },
+    replies: [{
+        message: {
+            type: String,
+            required: [true, 'La respuesta no puede estar vacía'],
+            trim: true,
+            maxlength: [5000, 'La respuesta no puede exceder 5000 caracteres']
+        },
+        repliedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        sentAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
 }, {
     timestamps: true, // Crea automáticamente createdAt y updatedAt
     versionKey: false
@@ -78,12 +106,7 @@ ContactSchema.index({ createdAt: -1 });
  * Método virtual para obtener el nombre del estado en español
  */
 ContactSchema.virtual('statusText').get(function() {
-    const statusMap = {
-        'pending': 'Pendiente',
-        'read': 'Leído',
-        'replied': 'Respondido'
-    };
-    return statusMap[this.status] || 'Desconocido';
+    return CONTACT_STATUSES[this.status] || 'Desconocido';
 });
 
 /**
@@ -102,4 +125,19 @@ ContactSchema.methods.markAsReplied = function() {
     return this.save();
 };
 
-module.exports = model('Contact', ContactSchema);
+/**
+ * Método para guardar una respuesta enviada y marcar el mensaje como respondido
+ * @param {string} message - Texto de la respuesta
+ * @param {string} adminId - ID del administrador que respondió
+ * @returns {Promise<Document>} - Mensaje actualizado
+ */
+ContactSchema.methods.addReply = function(message, adminId) {
+    this.replies.push({ message, repliedBy: adminId, sentAt: new Date() });
+    this.status = 'replied';
+    return this.save();
+};
+
+const Contact = model('Contact', ContactSchema);
+Contact.CONTACT_STATUSES = CONTACT_STATUSES;
+
+module.exports = Contact;
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Modelo de Mongoose para los intentos fallidos de contraseña en los enlaces públicos
+ * Cada enlace lleva un recuento por dirección IP y otro total (ip: null) para frenar a quien
+ * reparte los intentos entre varias direcciones. Los registros caducan solos con un índice TTL.
+ * @module models/LinkUnlockAttempt
+ * @version 1.0.0
+ */
+
+const { Schema, model } = require('mongoose');
+
+/**
+ * Política de bloqueo de los enlaces con contraseña
+ * @constant {Object}
+ * @property {number} maxAttemptsPerIp - Intentos fallidos desde una IP antes de bloquearla en ese enlace
+ * @property {number} maxAttemptsPerLink - Intentos fallidos en total antes de bloquear el enlace para todos
+ * @property {number} lockMinutes - Duración del bloqueo y ventana en la que se acumulan los intentos
+ */
+const UNLOCK_POLICY = {
+    maxAttemptsPerIp: 5,
+    maxAttemptsPerLink: 20,
+    lockMinutes: 15
+};
+
+/**
+ * Esquema de intentos fallidos
+ * @typedef {Object} LinkUnlockAttempt
+ * @property {ObjectId} link - Enlace público
+ * @property {string} ip - Dirección IP del visitante (null en el recuento total del enlace)
+ * @property {number} attempts - Intentos fallidos dentro de la ventana
+ * @property {Date} lockUntil - Fin del bloqueo (null si no está bloqueado)
+ * @property {Date} expiresAt - Momento en que el registro se borra
+ */
+const LinkUnlockAttemptSchema = new Schema({
+    link: {
+        type: Schema.Types.ObjectId,
+        ref: 'ShareLink',
+        required: true
+    },
+    ip: {
+        type: String,
+        default: null
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lockUntil: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+/**
+ * Método estático que devuelve el bloqueo vigente para un visitante
+ * @param {ObjectId} linkId - ID del enlace
+ * @param {string} ip - Dirección IP del visitante
+ * @returns {Promise<Date|null>} - Fin del bloqueo más largo que le afecta o null
+ */
+LinkUnlockAttemptSchema.statics.findLock = async function(linkId, ip) {
+    const locks = await this.find({
+        link: linkId,
+        ip: { $in: [ip, null] },
+        lockUntil: { $gt: new Date() }
+    }).select('lockUntil').lean();
+
+    return locks.reduce((latest, { lockUntil }) => (!latest || lockUntil > latest ? lockUntil : latest), null);
+};
+
+/**
+ * Suma un intento fallido a un recuento de forma atómica y lo bloquea al llegar al máximo
+ * @param {ObjectId} linkId - ID del enlace
+ * @param {string|null} ip - Dirección IP o null para el recuento total
+ * @param {number} maxAttempts - Intentos permitidos
+ * @returns {Promise<Date|null>} - Fin del bloqueo o null si aún quedan intentos
+ */
+LinkUnlockAttemptSchema.statics.countFailure = async function(linkId, ip, maxAttempts) {
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + UNLOCK_POLICY.lockMinutes * 60 * 1000);
+
+    // Si un bloqueo anterior ya expiró, el recuento empieza de nuevo
+    await this.deleteOne({ link: linkId, ip, lockUntil: { $ne: null, $lte: now } });
+
+    const increment = () => this.findOneAndUpdate(
+        { link: linkId, ip },
+        { $inc: { attempts: 1 }, $set: { expiresAt: windowEnd } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    let attempt;
+    try {
+        attempt = await increment();
+    } catch (error) {
+        // Dos primeros intentos simultáneos: el segundo upsert choca con el índice único
+        if (error.code !== 11000) {
+            throw error;
+        }
+        attempt = await increment();
+    }
+
+    if (attempt.lockUntil > now) {
+        return attempt.lockUntil;
+    }
+    if (attempt.attempts < maxAttempts) {
+        return null;
+    }
+
+    // El bloqueo se conserva hasta que termina aunque no haya más intentos
+    const locked = await this.findOneAndUpdate(
+        { _id: attempt._id, $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] },
+        { $set: { lockUntil: windowEnd, expiresAt: windowEnd } },
+        { new: true }
+    ) || await this.findById(attempt._id);
+
+    return locked ? locked.lockUntil : null;
+};
+
+/**
+ * Método estático para registrar una contraseña incorrecta, por IP y en el total del enlace
+ * @param {ObjectId} linkId - ID del enlace
+ * @param {string} ip - Dirección IP del visitante
+ * @returns {Promise<Date|null>} - Fin del bloqueo que afecta al visitante o null
+ */
+LinkUnlockAttemptSchema.statics.registerFailure = async function(linkId, ip) {
+    const [ipLock, linkLock] = await Promise.all([
+        this.countFailure(linkId, ip, UNLOCK_POLICY.maxAttemptsPerIp),
+        this.countFailure(linkId, null, UNLOCK_POLICY.maxAttemptsPerLink)
+    ]);
+
+    return [ipLock, linkLock].reduce((latest, lock) => (lock && (!latest || lock > latest) ? lock : latest), null);
+};
+
+/**
+ * Método estático para olvidar los intentos de una IP cuando acierta la contraseña.
+ * El recuento total del enlace se mantiene hasta que caduca.
+ * @param {ObjectId} linkId - ID del enlace
+ * @param {string} ip - Dirección IP del visitante
+ * @returns {Promise<Object>} - Resultado del borrado
+ */
+LinkUnlockAttemptSchema.statics.clear = function(linkId, ip) {
+    return this.deleteOne({ link: linkId, ip });
+};
+
+/**
+ * Un recuento por enlace e IP
+ */
+LinkUnlockAttemptSchema.index({ link: 1, ip: 1 }, { unique: true });
+
+/**
+ * Índice TTL: MongoDB borra los registros al llegar a expiresAt
+ */
+LinkUnlockAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LinkUnlockAttempt = model('LinkUnlockAttempt', LinkUnlockAttemptSchema);
+LinkUnlockAttempt.UNLOCK_POLICY = UNLOCK_POLICY;
+
+module.exports = LinkUnlockAttempt;
@@ -1,4 +1,26 @@
 const {Schema, model, Types} = require('mongoose');
+const NoteRevision = require('./NoteRevision');
+const ShareLink = require('./ShareLink');
+const Attachment = require('./Attachment');
+const { markdownToText } = require('../helpers/markdown');
+const { RECURRENCES, MAX_REMINDERS_PER_NOTE } = require('../helpers/reminders');
+const { NOTE_TYPES, CHECKLIST_LIMITS } = require('../helpers/checklist');
+
+/**
+ * Longitud máxima de la descripción según su formato
+ * @constant {Object<string, number>}
+ */
+const DESCRIPTION_MAX_LENGTH = {
+    plain: 500,
+    markdown: 20000
+};
+
+/**
+ * Campos que forman el contenido de la nota: cambiarlos es una edición
+ * (nueva revisión y nueva versión); fijar, archivar, mover o compartir no lo es
+ * @constant {string[]}
+ */
+const CONTENT_FIELDS = ['title', 'description', 'tags', 'format', 'type', 'items'];
 
 /**
  * Esquema para las notas de los usuarios.
@@ -6,9 +28,23 @@ const {Schema, model, Types} = require('mongoose');
  * 
  * @typedef {Object} Note
  * @property {string} title - Título de la nota, obligatorio y con un límite de longitud.
- * @property {string} description - Descripción detallada de la nota, con un límite de longitud y obligatorio.
+ * @property {string} description - Descripción detallada de la nota, con un límite de longitud según su formato; obligatoria salvo en las listas de tareas.
+ * @property {string} format - Formato de la descripción ('plain' o 'markdown').
+ * @property {string} type - Tipo de nota ('text' o 'checklist').
+ * @property {Array<{text: string, done: boolean, order: number}>} items - Elementos de una lista de tareas, ordenados (vacío en las notas de texto).
+ * @property {string[]} tags - Etiquetas normalizadas (minúsculas, sin duplicados) para agrupar notas.
  * @property {Types.ObjectId} user - Referencia al ID del usuario que creó la nota.
+ * @property {Types.ObjectId} notebook - Libreta que contiene la nota (null si no está en ninguna).
+ * @property {Array<{user: Types.ObjectId, role: string, sharedAt: Date}>} sharedWith - Usuarios con los que se comparte la nota y su rol ('viewer' o 'editor').
+ * @property {Date} dueDate - Fecha límite de la nota (null si no tiene).
+ * @property {Array<{remindAt: Date, recurrence: string, lastSentAt: Date}>} reminders - Recordatorios por correo: siguiente aviso pendiente (null si ya se envió y no se repite), repetición ('none', 'daily', 'weekly' o 'monthly') y último envío.
+ * @property {boolean} isPinned - Indica si la nota está fijada (se muestra antes que las demás).
+ * @property {boolean} isArchived - Indica si la nota está archivada (oculta en la lista principal).
+ * @property {Date} archivedAt - Fecha en que se archivó la nota (null si no está archivada).
+ * @property {number} version - Número de edición del contenido; detecta si otra pestaña o cliente guardó la nota mientras se editaba.
+ * @property {number} attachmentCount - Archivos adjuntos reservados en la nota (sin valor hasta el primer adjunto).
  * @property {boolean} isActive - Estado activo/inactivo de la nota (para borrado lógico).
+ * @property {Date} deletedAt - Fecha en que la nota se envió a la papelera (null si está activa).
  * @property {Date} createdAt - Fecha de creación (automáticamente añadida por Mongoose).
  * @property {Date} updatedAt - Fecha de la última actualización (automáticamente añadida por Mongoose).
  */
@@ -22,12 +58,87 @@ const NoteSchema = new Schema({
     },
     description: {
         type: String,
-        required: [true, 'La descripción es obligatoria.'],
+        // En las listas de tareas la descripción es una nota opcional sobre la lista
+        required: [function() { return this.type !== 'checklist'; }, 'La descripción es obligatoria.'],
+        default: '',
         trim: true,
-        maxlength: [500, 'La descripción no puede tener más de 500 caracteres.'],
-        // Sanitizamos HTML para prevenir XSS
-        set: (value) => {
-            return value.replace(/<[^>]*>/g, '');
+        // El límite depende del formato: el texto plano se mantiene corto y el
+        // Markdown admite notas largas (listas, código, enlaces)
+        validate: [
+            {
+                validator: function(value) {
+                    return this.format === 'markdown' || value.length <= DESCRIPTION_MAX_LENGTH.plain;
+                },
+                message: `La descripción no puede tener más de ${DESCRIPTION_MAX_LENGTH.plain} caracteres.`
+            },
+            {
+                validator: function(value) {
+                    return this.format !== 'markdown' || value.length <= DESCRIPTION_MAX_LENGTH.markdown;
+                },
+                message: `La descripción en Markdown no puede tener más de ${DESCRIPTION_MAX_LENGTH.markdown} caracteres.`
+            }
+        ]
+    },
+    format: {
+        type: String,
+        enum: {
+            values: ['plain', 'markdown'],
+            message: 'El formato de la nota no es válido.'
+        },
+        default: 'plain'
+    },
+    type: {
+        type: String,
+        enum: {
+            values: Object.keys(NOTE_TYPES),
+            message: 'El tipo de nota no es válido.'
+        },
+        default: 'text'
+    },
+    items: {
+        type: [{
+            text: {
+                type: String,
+                required: [true, 'Cada elemento de la lista necesita un texto.'],
+                trim: true,
+                maxlength: [CHECKLIST_LIMITS.text, `Cada elemento de la lista puede tener como máximo ${CHECKLIST_LIMITS.text} caracteres.`]
+            },
+            done: {
+                type: Boolean,
+                default: false
+            },
+            order: {
+                type: Number,
+                default: 0,
+                min: 0
+            }
+        }],
+        default: [],
+        validate: [
+            {
+                validator: (value) => value.length <= CHECKLIST_LIMITS.items,
+                message: `Una lista de tareas puede tener como máximo ${CHECKLIST_LIMITS.items} elementos.`
+            },
+            {
+                validator: function(value) {
+                    return this.type !== 'checklist' || value.length > 0;
+                },
+                message: 'Una lista de tareas necesita al menos un elemento.'
+            }
+        ]
+    },
+    tags: {
+        type: [{
+            type: String,
+            trim: true,
+            lowercase: true,
+            maxlength: [20, 'Cada etiqueta puede tener como máximo 20 caracteres.'],
+            match: [/^[\p{L}\p{N} _-]+$/u, 'Las etiquetas solo pueden contener letras, números, espacios y guiones.']
+        }],
+        default: [],
+        validate: {
+            validator: (value) => value.length <= 10,
+            message: 'Una nota puede tener como máximo 10 etiquetas.'
         }
     },
     user: {
@@ -36,10 +147,93 @@ const NoteSchema = new Schema({
         required: [true, 'El usuario es obligatorio.'],
         index: true // Mejora rendimiento en búsquedas por usuario
     },
+    notebook: {
+        type: Types.ObjectId,
+        ref: 'Notebook',
+        default: null
+    },
+    sharedWith: {
+        type: [{
+            _id: false,
+            user: {
+                type: Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            role: {
+                type: String,
+                enum: {
+                    values: ['viewer', 'editor'],
+                    message: 'El rol para compartir la nota no es válido.'
+                },
+                default: 'viewer'
+            },
+            sharedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        default: []
+    },
+    dueDate: {
+        type: Date,
+        default: null
+    },
+    reminders: {
+        type: [{
+            remindAt: {
+                type: Date,
+                default: null
+            },
+            recurrence: {
+                type: String,
+                enum: {
+                    values: Object.keys(RECURRENCES),
+                    message: 'La repetición del recordatorio no es válida.'
+                },
+                default: 'none'
+            },
+            lastSentAt: {
+                type: Date,
+                default: null
+            }
+        }],
+        default: [],
+        validate: {
+            validator: (value) => value.length <= MAX_REMINDERS_PER_NOTE,
+            message: `Una nota puede tener como máximo ${MAX_REMINDERS_PER_NOTE} recordatorios.`
+        }
+    },
+    isPinned: {
+        type: Boolean,
+        default: false
+    },
+    isArchived: {
+        type: Boolean,
+        default: false
+    },
+    archivedAt: {
+        type: Date,
+        default: null
+    },
+    version: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Sin valor por defecto: si falta, se cuenta a partir de los adjuntos existentes
+    attachmentCount: {
+        type: Number,
+        min: 0
+    },
     isActive: {
         type: Boolean,
         default: true,
         select: true // Siempre visible en las consultas
+    },
+    deletedAt: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true, // Mongoose añadirá automáticamente 'createdAt' y 'updatedAt'
@@ -63,29 +257,304 @@ NoteSchema.virtual('formattedDate').get(function() {
 
 /**
  * Agrega un resumen de la descripción como virtual property.
+ * Las notas en Markdown se resumen a partir de su texto plano, sin sintaxis.
  * @returns {string} Resumen del contenido de la nota.
  */
 NoteSchema.virtual('summary').get(function() {
     const maxLength = 100;
-    return this.description.length > maxLength 
-        ? `${this.description.substring(0, maxLength)}...` 
-        : this.description;
+    let text = this.format === 'markdown'
+        ? markdownToText(this.description || '')
+        : this.description || '';
+    // Las listas sin descripción se resumen con sus elementos
+    if (!text && this.type === 'checklist') {
+        text = this.items.map(item => item.text).join(', ');
+    }
+    return text.length > maxLength 
+        ? `${text.substring(0, maxLength)}...` 
+        : text;
+});
+
+/**
+ * Sanitiza la descripción antes de validar.
+ * En texto plano se eliminan las etiquetas HTML para prevenir XSS; el Markdown
+ * se conserva íntegro (puede contener código con "<" y ">") y se sanea al renderizarlo.
+ */
+NoteSchema.pre('validate', function() {
+    if (this.format !== 'markdown' && typeof this.description === 'string' && (this.isModified('description') || this.isModified('format'))) {
+        this.description = this.description.replace(/<[^>]*>/g, '');
+    }
+});
+
+/**
+ * Mantiene los elementos de la lista ordenados y numerados sin huecos.
+ * Las notas de texto no conservan elementos.
+ */
+NoteSchema.pre('validate', function() {
+    if (this.type !== 'checklist') {
+        if (this.items.length) {
+            this.items = [];
+        }
+        return;
+    }
+
+    if (this.isModified('items')) {
+        this.items.sort((a, b) => a.order - b.order);
+        this.items.forEach((item, index) => {
+            item.order = index;
+        });
+    }
 });
 
+/**
+ * Control de concurrencia optimista: cada cambio del contenido aumenta la versión
+ * y solo se guarda si la nota sigue en la versión que se leyó. Si otra petición
+ * la cambió entre la lectura y el guardado, save() lanza DocumentNotFoundError.
+ */
+NoteSchema.pre('save', function() {
+    if (this.isNew || !this.isModified(CONTENT_FIELDS)) {
+        return;
+    }
+
+    // Las notas anteriores a este campo no lo tienen guardado en la base de datos
+    this.$where = { ...this.$where, version: this.version || { $in: [0, null] } };
+    this.version += 1;
+});
+
+// La condición solo vale para el guardado en curso: la versión ya es la nueva
+NoteSchema.post('save', function() {
+    if (this.$where) {
+        delete this.$where.version;
+    }
+});
+
+/**
+ * Método de instancia para saber si la nota cambió desde la versión con la que
+ * se empezó a editar. Sin versión (clientes antiguos) no se comprueba nada
+ * @param {number|string} [version] - Versión recibida del formulario o de la API
+ * @returns {boolean} - true si la versión recibida ya no es la actual
+ */
+NoteSchema.methods.isStaleVersion = function(version) {
+    if (version === undefined || version === null || version === '') {
+        return false;
+    }
+    return Number(version) !== this.version;
+};
+
 /**
  * Método estático para buscar notas por texto en título o descripción
- * Optimiza las búsquedas al utilizar índices
- * @param {string} searchText - Texto a buscar
- * @returns {Promise<Array>} - Array de notas que coinciden con la búsqueda
+ * Usa el índice de texto y ordena los resultados por relevancia
+ * @param {string} searchText - Términos a buscar, sin operadores de búsqueda de MongoDB
+ * @returns {Query} - Consulta encadenable con la puntuación de relevancia en el campo score
  */
 NoteSchema.statics.searchByText = function(searchText) {
-    return this.find({
-        isActive: true,
-        $or: [
-            { title: new RegExp(searchText, 'i') },
-            { description: new RegExp(searchText, 'i') }
-        ]
-    }).sort({ createdAt: -1 });
+    return this.find(
+        { isActive: true, $text: { $search: searchText } },
+        { score: { $meta: 'textScore' } }
+    ).sort({ score: { $meta: 'textScore' }, updatedAt: -1 });
+};
+
+/**
+ * Método estático para obtener la nube de etiquetas de un usuario
+ * Agrupa las notas activas por etiqueta y cuenta cuántas tiene cada una
+ * @param {string} userId - ID del usuario
+ * @param {number} [limit=50] - Número máximo de etiquetas devueltas
+ * @returns {Promise<Array<{tag: string, count: number}>>} - Etiquetas ordenadas por uso
+ */
+NoteSchema.statics.tagCloud = function(userId, limit = 50) {
+    // Los pipelines de agregación no pasan por el hook pre('find'),
+    // por eso el filtro de notas activas se aplica explícitamente
+    return this.aggregate([
+        { $match: { user: new Types.ObjectId(String(userId)), isActive: true } },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: limit },
+        { $project: { _id: 0, tag: '$_id', count: 1 } }
+    ]);
+};
+
+/**
+ * Método estático para contar las notas activas de un usuario en cada libreta
+ * @param {string} userId - ID del usuario
+ * @param {Object} [options] - Opciones del recuento
+ * @param {boolean} [options.archived=false] - Cuenta las notas archivadas en lugar de las de la lista principal
+ * @returns {Promise<Map<string, number>>} - Número de notas por ID de libreta ('' para las notas sin libreta)
+ */
+NoteSchema.statics.notebookCounts = async function(userId, { archived = false } = {}) {
+    const counts = await this.aggregate([
+        {
+            $match: {
+                user: new Types.ObjectId(String(userId)),
+                isActive: true,
+                isArchived: archived ? true : { $ne: true }
+            }
+        },
+        { $group: { _id: '$notebook', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(({ _id, count }) => [_id ? String(_id) : '', count]));
+};
+
+/**
+ * Método de instancia para mover una nota a otra libreta.
+ * Como fijar o archivar, no cambia la fecha de actualización
+ * @param {string|null} notebookId - ID de la libreta de destino (null para sacarla de todas)
+ * @returns {Promise<Document>} - Nota actualizada
+ */
+NoteSchema.methods.moveToNotebook = async function(notebookId) {
+    this.notebook = notebookId || null;
+    return this.save({ timestamps: false });
+};
+
+/**
+ * Método de instancia para compartir una nota con otro usuario o cambiar su rol.
+ * Compartir no es una edición del contenido: no cambia la fecha de actualización
+ * @param {string} userId - ID del usuario con el que se comparte
+ * @param {string} role - Rol concedido ('viewer' o 'editor')
+ * @returns {Promise<Document>} - Nota actualizada
+ */
+NoteSchema.methods.shareWith = async function(userId, role) {
+    const share = this.sharedWith.find(item => String(item.user) === String(userId));
+    if (share) {
+        share.role = role;
+    } else {
+        this.sharedWith.push({ user: userId, role });
+    }
+    return this.save({ timestamps: false });
+};
+
+/**
+ * Método de instancia para retirar el acceso de un usuario a una nota compartida
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Document>} - Nota actualizada
+ */
+NoteSchema.methods.unshare = async function(userId) {
+    this.sharedWith = this.sharedWith.filter(item => String(item.user) !== String(userId));
+    return this.save({ timestamps: false });
+};
+
+/**
+ * Método de instancia para poner o quitar la fecha límite.
+ * No es una edición del contenido: no cambia la fecha de actualización
+ * @param {Date|null} dueDate - Nueva fecha límite (null para quitarla)
+ * @returns {Promise<Document>} - Nota actualizada
+ */
+NoteSchema.methods.setDueDate = async function(dueDate) {
+    this.dueDate = dueDate || null;
+    return this.save({ timestamps: false });
+};
+
+/**
+ * Método de instancia para programar un recordatorio por correo.
+ * Los avisos puntuales ya enviados se descartan para no ocupar sitio. Se usan $pull
+ * y $push en lugar de guardar el array entero, que pisaría las fechas que el envío de
+ * recordatorios puede estar escribiendo a la vez; el $push solo se aplica si queda sitio
+ * @param {Date} remindAt - Primer aviso
+ * @param {string} [recurrence='none'] - Repetición ('none', 'daily', 'weekly' o 'monthly')
+ * @returns {Promise<boolean>} - false si la nota ya tiene el máximo de recordatorios
+ */
+NoteSchema.methods.addReminder = async function(remindAt, recurrence = 'none') {
+    await this.constructor.updateOne(
+        { _id: this._id },
+        { $pull: { reminders: { remindAt: null } } },
+        { timestamps: false }
+    );
+
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id, [`reminders.${MAX_REMINDERS_PER_NOTE - 1}`]: { $exists: false } },
+        { $push: { reminders: { remindAt, recurrence } } },
+        { new: true, timestamps: false, projection: { reminders: 1 } }
+    );
+    if (!updated) {
+        return false;
+    }
+
+    // El documento en memoria refleja los recordatorios guardados sin que un save() posterior los reescriba
+    this.reminders = updated.reminders;
+    this.unmarkModified('reminders');
+    return true;
+};
+
+/**
+ * Método de instancia para eliminar un recordatorio
+ * @param {string} reminderId - ID del recordatorio
+ * @returns {Promise<boolean>} - false si la nota no tenía ese recordatorio
+ */
+NoteSchema.methods.removeReminder = async function(reminderId) {
+    const reminder = Types.ObjectId.isValid(reminderId) ? this.reminders.id(reminderId) : null;
+    if (!reminder) {
+        return false;
+    }
+
+    reminder.deleteOne();
+    await this.save({ timestamps: false });
+    return true;
+};
+
+/**
+ * Método de instancia para marcar o desmarcar un elemento de la lista de tareas.
+ * Marcar no es editar: solo cambia la casilla del elemento con una actualización
+ * atómica, sin tocar la versión, la fecha de actualización ni el historial, así que
+ * no provoca conflictos con quien está editando la nota a la vez
+ * @param {string} itemId - ID del elemento
+ * @param {boolean} done - Nuevo estado
+ * @returns {Promise<Object|null>} - Elemento actualizado o null si la nota no lo tiene
+ */
+NoteSchema.methods.setItemDone = async function(itemId, done) {
+    const item = Types.ObjectId.isValid(itemId) ? this.items.id(itemId) : null;
+    if (!item) {
+        return null;
+    }
+
+    const result = await this.constructor.updateOne(
+        { _id: this._id, 'items._id': item._id },
+        { $set: { 'items.$.done': done } },
+        { timestamps: false }
+    );
+    // Otra edición quitó el elemento entre la lectura y la actualización
+    if (!result.matchedCount) {
+        return null;
+    }
+
+    // El documento en memoria refleja el cambio sin que un save() posterior lo tome por una edición
+    item.done = done;
+    this.unmarkModified(`items.${this.items.indexOf(item)}.done`);
+    return item;
+};
+
+/**
+ * Método estático para reservar el envío de un recordatorio vencido.
+ * Solo una ejecución lo consigue: la actualización exige que el recordatorio siga
+ * en la fecha leída, así que un reinicio u otra ejecución no lo envían dos veces
+ * @param {string} noteId - ID de la nota
+ * @param {Object} reminder - Recordatorio tal y como se leyó (_id, remindAt)
+ * @param {Date|null} nextAt - Siguiente aviso (null si no se repite)
+ * @param {Date} sentAt - Momento del envío
+ * @returns {Promise<boolean>} - true si esta ejecución debe enviar el recordatorio
+ */
+NoteSchema.statics.claimReminder = async function(noteId, reminder, nextAt, sentAt) {
+    const result = await this.updateOne(
+        { _id: noteId, isActive: true, reminders: { $elemMatch: { _id: reminder._id, remindAt: reminder.remindAt } } },
+        { $set: { 'reminders.$.remindAt': nextAt, 'reminders.$.lastSentAt': sentAt } },
+        { timestamps: false }
+    );
+    return result.modifiedCount === 1;
+};
+
+/**
+ * Método estático para devolver un recordatorio reservado a su estado anterior
+ * cuando el correo no se pudo enviar, de modo que se reintente en la siguiente ejecución
+ * @param {string} noteId - ID de la nota
+ * @param {Object} reminder - Recordatorio tal y como se leyó (_id, remindAt, lastSentAt)
+ * @param {Date|null} nextAt - Siguiente aviso guardado al reservarlo
+ * @returns {Promise<Object>} - Resultado de la actualización
+ */
+NoteSchema.statics.releaseReminder = function(noteId, reminder, nextAt) {
+    return this.updateOne(
+        { _id: noteId, reminders: { $elemMatch: { _id: reminder._id, remindAt: nextAt } } },
+        { $set: { 'reminders.$.remindAt': reminder.remindAt, 'reminders.$.lastSentAt': reminder.lastSentAt || null } },
+        { timestamps: false }
+    );
 };
 
 /**
@@ -95,9 +564,115 @@ NoteSchema.statics.searchByText = function(searchText) {
  */
 NoteSchema.methods.deactivate = async function() {
     this.isActive = false;
+    this.deletedAt = new Date();
+    return this.save();
+};
+
+/**
+ * Método de instancia para recuperar una nota desde la papelera
+ * @returns {Promise<Document>} - Nota actualizada
+ */
+NoteSchema.methods.restore = async function() {
+    this.isActive = true;
+    this.deletedAt = null;
     return this.save();
 };
 
+/**
+ * Método de instancia para fijar o dejar de fijar una nota.
+ * No es una edición del contenido, así que no cambia la fecha de actualización
+ * @param {boolean} pinned - Nuevo estado
+ * @returns {Promise<Document>} - Nota actualizada
+ */
+NoteSchema.methods.setPinned = async function(pinned) {
+    this.isPinned = pinned;
+    return this.save({ timestamps: false });
+};
+
+/**
+ * Método de instancia para archivar o desarchivar una nota.
+ * Tampoco cambia la fecha de actualización
+ * @param {boolean} archived - Nuevo estado
+ * @returns {Promise<Document>} - Nota actualizada
+ */
+NoteSchema.methods.setArchived = async function(archived) {
+    this.isArchived = archived;
+    this.archivedAt = archived ? new Date() : null;
+    return this.save({ timestamps: false });
+};
+
+/**
+ * Método estático para eliminar definitivamente notas que están en la papelera
+ * junto con su historial de revisiones, sus enlaces públicos y sus archivos adjuntos.
+ * Solo actúa sobre notas inactivas, aunque el filtro no lo indique
+ * @param {Object} filter - Filtro adicional (usuario, ids, fechas...)
+ * @returns {Promise<number>} - Número de notas eliminadas
+ */
+NoteSchema.statics.purge = async function(filter = {}) {
+    const notes = await this.find({ ...filter, isActive: false }).select('_id').lean();
+    if (!notes.length) {
+        return 0;
+    }
+
+    const noteIds = notes.map(note => note._id);
+    await NoteRevision.deleteMany({ note: { $in: noteIds } });
+    await ShareLink.deleteMany({ note: { $in: noteIds } });
+    await Attachment.removeForNotes(noteIds);
+
+    const result = await this.deleteMany({ _id: { $in: noteIds }, isActive: false });
+    return result.deletedCount;
+};
+
+/**
+ * Índice de texto para la búsqueda por relevancia.
+ * El título pesa más que la descripción; el idioma español aplica
+ * la reducción de palabras a su raíz y descarta las palabras vacías.
+ */
+NoteSchema.index(
+    { title: 'text', description: 'text' },
+    { name: 'note_text_search', weights: { title: 3, description: 1 }, default_language: 'spanish' }
+);
+
+/**
+ * Índice compuesto para filtrar por etiqueta las notas de un usuario
+ */
+NoteSchema.index({ user: 1, tags: 1 });
+
+/**
+ * Índice para listar las notas de un usuario (o su archivo) con las fijadas primero
+ */
+NoteSchema.index({ user: 1, isActive: 1, isArchived: 1, isPinned: -1, updatedAt: -1 });
+
+/**
+ * Índice para listar y contar las notas de cada libreta
+ */
+NoteSchema.index({ user: 1, notebook: 1 });
+
+/**
+ * Índice para listar las notas compartidas con un usuario
+ */
+NoteSchema.index({ 'sharedWith.user': 1, isActive: 1, updatedAt: -1 });
+
+/**
+ * Índice para la vista de próximas notas, ordenada por fecha límite
+ */
+NoteSchema.index({ user: 1, isActive: 1, dueDate: 1 });
+
+/**
+ * Índice para que la tarea programada encuentre los recordatorios vencidos
+ */
+NoteSchema.index({ 'reminders.remindAt': 1 });
+
+/**
+ * Índice para filtrar las listas de tareas con elementos pendientes
+ */
+NoteSchema.index({ user: 1, 'items.done': 1 });
+
+/**
+ * Índice para listar la papelera y purgar notas caducadas
+ */
+NoteSchema.index({ isActive: 1, deletedAt: 1 });
+
 // Middleware para asegurar que solo se obtengan notas activas por defecto
 NoteSchema.pre('find', function() {
     // Si no se ha especificado isActive en la consulta, filtrar solo las activas
@@ -112,4 +687,8 @@ NoteSchema.pre('find', function() {
  * 
  * @returns {Model} El modelo Note.
  */
-module.exports = model('Note', NoteSchema);
\ No newline at end of file
+const Note = model('Note', NoteSchema);
+Note.DESCRIPTION_MAX_LENGTH = DESCRIPTION_MAX_LENGTH;
+Note.CONTENT_FIELDS = CONTENT_FIELDS;
+
+module.exports = Note;
\ No newline at end of file
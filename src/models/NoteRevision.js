@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Modelo de Mongoose para el historial de revisiones de las notas
+ * @module models/NoteRevision
+ * @version 1.0.0
+ */
+
+const { Schema, model } = require('mongoose');
+
+/**
+ * Esquema de revisión de nota
+ * Cada revisión es una instantánea completa del contenido de la nota tras un cambio.
+ * @typedef {Object} NoteRevision
+ * @property {ObjectId} note - Nota a la que pertenece la revisión
+ * @property {number} version - Número de versión correlativo dentro de la nota (desde 1)
+ * @property {string} title - Título de la nota en esta versión
+ * @property {string} description - Descripción de la nota en esta versión
+ * @property {string} format - Formato de la descripción en esta versión
+ * @property {string} type - Tipo de nota en esta versión ('text' o 'checklist')
+ * @property {Array<{text: string, done: boolean}>} items - Elementos de la lista de tareas en esta versión
+ * @property {string[]} tags - Etiquetas de la nota en esta versión
+ * @property {ObjectId} editedBy - Usuario que realizó el cambio
+ * @property {string} action - Tipo de cambio (create, update, restore, import)
+ * @property {number} restoredFrom - Versión restaurada (solo para action 'restore')
+ * @property {Date} createdAt - Fecha del cambio
+ */
+const NoteRevisionSchema = new Schema({
+    note: {
+        type: Schema.Types.ObjectId,
+        ref: 'Note',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    format: {
+        type: String,
+        default: 'plain'
+    },
+    type: {
+        type: String,
+        default: 'text'
+    },
+    items: {
+        type: [{
+            _id: false,
+            text: String,
+            done: Boolean
+        }],
+        default: []
+    },
+    tags: {
+        type: [String],
+        default: []
+    },
+    editedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'restore', 'import'],
+        default: 'update'
+    },
+    restoredFrom: {
+        type: Number,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    versionKey: false
+});
+
+/**
+ * Índice único para obtener el historial ordenado y evitar versiones duplicadas
+ */
+NoteRevisionSchema.index({ note: 1, version: -1 }, { unique: true });
+
+/**
+ * Método virtual para obtener el nombre del tipo de cambio en español
+ */
+NoteRevisionSchema.virtual('actionText').get(function() {
+    const actionMap = {
+        'create': 'Creación',
+        'update': 'Edición',
+        'restore': 'Restauración',
+        'import': 'Importación'
+    };
+    return actionMap[this.action] || 'Desconocido';
+});
+
+/**
+ * Intentos de reservar el número de versión cuando otra petición registra una
+ * revisión de la misma nota a la vez
+ * @constant {number}
+ */
+const MAX_RECORD_ATTEMPTS = 5;
+
+/**
+ * Contenido de una nota tal y como se guarda en una revisión
+ * @param {Document} note - Nota
+ * @returns {Object} - Campos de contenido de la revisión
+ */
+const snapshot = (note) => ({
+    note: note._id,
+    title: note.title,
+    description: note.description,
+    format: note.format || 'plain',
+    type: note.type || 'text',
+    items: (note.items || []).map(item => ({ text: item.text, done: item.done })),
+    tags: note.tags || []
+});
+
+/**
+ * Indica si un error es una clave duplicada del índice único { note, version }
+ * @param {Error} error - Error de MongoDB
+ * @returns {boolean}
+ */
+const isDuplicateVersion = (error) => error && error.code === 11000;
+
+/**
+ * Método estático para guardar una instantánea del estado actual de una nota.
+ * Si dos ediciones simultáneas calculan el mismo número de versión, el índice único
+ * rechaza la segunda y se vuelve a calcular, en lugar de perder la revisión.
+ * @param {Document} note - Nota ya guardada con el contenido a registrar
+ * @param {string} editorId - ID del usuario que realizó el cambio
+ * @param {Object} [options] - Datos adicionales de la revisión
+ * @param {string} [options.action='update'] - Tipo de cambio
+ * @param {number} [options.restoredFrom] - Versión restaurada
+ * @param {Date} [options.createdAt] - Fecha del cambio (por defecto, ahora)
+ * @returns {Promise<Document>} - Revisión creada
+ */
+NoteRevisionSchema.statics.record = async function(note, editorId, { action = 'update', restoredFrom = null, createdAt } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        const last = await this.findOne({ note: note._id }).sort({ version: -1 }).select('version').lean();
+
+        try {
+            return await this.create({
+                ...snapshot(note),
+                version: last ? last.version + 1 : 1,
+                editedBy: editorId,
+                action,
+                restoredFrom,
+                createdAt: createdAt || new Date()
+            });
+        } catch (error) {
+            if (!isDuplicateVersion(error) || attempt >= MAX_RECORD_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+};
+
+/**
+ * Método estático que registra el contenido actual de la nota como primera versión
+ * si todavía no tiene historial (notas creadas antes de existir las revisiones).
+ * Debe llamarse antes de modificar la nota.
+ * @param {Document} note - Nota sin modificar
+ * @returns {Promise<Document|null>} - Revisión creada o null si ya había historial
+ */
+NoteRevisionSchema.statics.ensureBaseline = async function(note) {
+    const exists = await this.exists({ note: note._id });
+    if (exists) {
+        return null;
+    }
+
+    // Siempre es la versión 1: si otra petición la registró a la vez, ya hay historial
+    try {
+        return await this.create({
+            ...snapshot(note),
+            version: 1,
+            editedBy: note.user,
+            action: 'create',
+            createdAt: note.updatedAt || note.createdAt
+        });
+    } catch (error) {
+        if (isDuplicateVersion(error)) {
+            return null;
+        }
+        throw error;
+    }
+};
+
+module.exports = model('NoteRevision', NoteRevisionSchema);
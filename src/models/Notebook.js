@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Modelo de Mongoose para las libretas (carpetas) de notas
+ * Las libretas pueden anidarse: parent apunta a la libreta que las contiene
+ * @module models/Notebook
+ * @version 1.0.0
+ */
+
+const { Schema, model, Types } = require('mongoose');
+
+/**
+ * Esquema de libreta
+ * @typedef {Object} Notebook
+ * @property {string} name - Nombre de la libreta, único entre sus hermanas
+ * @property {ObjectId} user - Usuario propietario
+ * @property {ObjectId} parent - Libreta que la contiene (null si está en la raíz)
+ * @property {Date} createdAt - Fecha de creación automática
+ * @property {Date} updatedAt - Fecha de última actualización
+ */
+const NotebookSchema = new Schema({
+    name: {
+        type: String,
+        required: [true, 'El nombre de la libreta es obligatorio'],
+        trim: true,
+        maxlength: [40, 'El nombre de la libreta no puede exceder 40 caracteres'],
+        set: (value) => typeof value === 'string' ? value.replace(/[<>]/g, '') : value
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'El usuario es obligatorio'],
+        index: true
+    },
+    parent: {
+        type: Schema.Types.ObjectId,
+        ref: 'Notebook',
+        default: null
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+/**
+ * Índice único para no repetir nombres dentro de la misma libreta
+ * (la comparación no distingue mayúsculas)
+ */
+NotebookSchema.index(
+    { user: 1, parent: 1, name: 1 },
+    { unique: true, collation: { locale: 'es', strength: 2 } }
+);
+
+/**
+ * Método estático para obtener los IDs de todas las libretas contenidas
+ * en una libreta, a cualquier profundidad
+ * @param {string} notebookId - ID de la libreta
+ * @param {string} userId - ID del usuario propietario
+ * @returns {Promise<Array<ObjectId>>} - IDs de las subcarpetas (sin incluir la libreta)
+ */
+NotebookSchema.statics.findDescendantIds = async function(notebookId, userId) {
+    const [result] = await this.aggregate([
+        { $match: { _id: new Types.ObjectId(String(notebookId)), user: new Types.ObjectId(String(userId)) } },
+        {
+            $graphLookup: {
+                from: this.collection.name,
+                startWith: '$_id',
+                connectFromField: '_id',
+                connectToField: 'parent',
+                as: 'descendants',
+                restrictSearchWithMatch: { user: new Types.ObjectId(String(userId)) }
+            }
+        },
+        { $project: { ids: '$descendants._id' } }
+    ]);
+
+    return result ? result.ids : [];
+};
+
+/**
+ * Exporta el modelo 'Notebook'
+ * @returns {Model} El modelo Notebook
+ */
+module.exports = model('Notebook', NotebookSchema);
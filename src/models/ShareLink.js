@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Modelo de Mongoose para los enlaces públicos de solo lectura a una nota
+ * Solo se guarda el hash del token; el enlace completo se muestra una única vez al crearlo
+ * @module models/ShareLink
+ * @version 1.0.0
+ */
+
+const { Schema, model } = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { hashToken } = require('../helpers/tokens');
+
+/**
+ * Esquema de enlace público
+ * @typedef {Object} ShareLink
+ * @property {ObjectId} note - Nota que muestra el enlace
+ * @property {ObjectId} user - Propietario de la nota que creó el enlace
+ * @property {string} tokenHash - Hash SHA-256 del token (nunca se guarda en texto plano)
+ * @property {string} tokenPrefix - Primeros caracteres del token para identificarlo en la interfaz
+ * @property {string} passwordHash - Hash bcrypt de la contraseña opcional (nunca devuelto en consultas)
+ * @property {boolean} hasPassword - Indica si el enlace pide contraseña
+ * @property {Date} expiresAt - Fecha de caducidad (null si no caduca)
+ * @property {number} views - Número de veces que se ha visto la nota con el enlace
+ * @property {Date} lastViewedAt - Fecha de la última visita
+ * @property {Date} revokedAt - Fecha de revocación (null si está activo)
+ * @property {Date} createdAt - Fecha de creación automática
+ * @property {Date} updatedAt - Fecha de última actualización
+ */
+const ShareLinkSchema = new Schema({
+    note: {
+        type: Schema.Types.ObjectId,
+        ref: 'Note',
+        required: [true, 'La nota es obligatoria'],
+        index: true
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'El usuario es obligatorio'],
+        index: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false // No se incluye en las consultas por defecto (seguridad)
+    },
+    tokenPrefix: {
+        type: String,
+        required: true
+    },
+    passwordHash: {
+        type: String,
+        default: null,
+        select: false
+    },
+    hasPassword: {
+        type: Boolean,
+        default: false
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    views: {
+        type: Number,
+        default: 0
+    },
+    lastViewedAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+/**
+ * Filtro de los enlaces que todavía se pueden usar: no revocados ni caducados
+ * @param {Date} [now] - Fecha de referencia
+ * @returns {Object} Filtro de Mongoose
+ */
+ShareLinkSchema.statics.activeFilter = function(now = new Date()) {
+    return {
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    };
+};
+
+/**
+ * Método estático para encontrar un enlace activo a partir de su token en texto plano
+ * @param {string} token - Token recibido en la URL
+ * @returns {Promise<Document|null>} - Enlace activo (con el hash de la contraseña) o null
+ */
+ShareLinkSchema.statics.findActiveByToken = function(token) {
+    return this.findOne({ tokenHash: hashToken(token), ...this.activeFilter() }).select('+passwordHash');
+};
+
+/**
+ * Método para proteger el enlace con una contraseña (o quitarla si está vacía)
+ * @param {string} [password] - Contraseña en texto plano
+ * @returns {Promise<void>}
+ */
+ShareLinkSchema.methods.setPassword = async function(password) {
+    this.passwordHash = password ? await bcrypt.hash(password, 10) : null;
+    this.hasPassword = Boolean(password);
+};
+
+/**
+ * Método para comprobar la contraseña introducida por el visitante
+ * @param {string} password - Contraseña en texto plano
+ * @returns {Promise<boolean>} - true si coincide
+ */
+ShareLinkSchema.methods.comparePassword = function(password) {
+    if (!this.passwordHash || typeof password !== 'string') {
+        return Promise.resolve(false);
+    }
+    return bcrypt.compare(password, this.passwordHash);
+};
+
+/**
+ * Método para contar una visita de forma atómica
+ * @returns {Promise<Object>} - Resultado de la actualización
+ */
+ShareLinkSchema.methods.registerView = function() {
+    return this.constructor.updateOne(
+        { _id: this._id },
+        { $inc: { views: 1 }, $set: { lastViewedAt: new Date() } },
+        { timestamps: false }
+    );
+};
+
+/**
+ * Método para revocar el enlace
+ */
+ShareLinkSchema.methods.revoke = function() {
+    this.revokedAt = new Date();
+    return this.save();
+};
+
+/**
+ * Índice para listar los enlaces activos de un usuario
+ */
+ShareLinkSchema.index({ user: 1, revokedAt: 1, createdAt: -1 });
+
+module.exports = model('ShareLink', ShareLinkSchema);
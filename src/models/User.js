@@ -1,5 +1,6 @@
 const { Schema, model } = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateToken, hashToken } = require('../helpers/tokens');
 
 /**
  * Esquema de usuario para almacenar y gestionar la información de usuarios.
@@ -11,6 +12,15 @@ const bcrypt = require('bcryptjs');
  * @property {Date} lastLogin - Fecha del último inicio de sesión.
  * @property {boolean} isActive - Estado de activación de la cuenta.
  * @property {boolean} emailVerified - Indica si el correo ha sido verificado.
+ * @property {string} emailVerificationTokenHash - Hash SHA-256 del token de verificación pendiente (nunca devuelto en consultas).
+ * @property {Date} emailVerificationExpires - Fecha de caducidad del token de verificación.
+ * @property {Date} emailVerificationSentAt - Fecha del último envío del correo de verificación.
+ * @property {string} passwordResetTokenHash - Hash SHA-256 del token para restablecer la contraseña (nunca devuelto en consultas).
+ * @property {Date} passwordResetExpires - Fecha de caducidad del token de restablecimiento.
+ * @property {Date} passwordResetSentAt - Fecha de la última solicitud de restablecimiento.
+ * @property {Date} passwordChangedAt - Fecha del último cambio de contraseña.
+ * @property {Date} deletionScheduledFor - Fecha en que se eliminará la cuenta (null si no se ha solicitado).
+ * @property {number} attachmentBytes - Espacio reservado por sus archivos adjuntos (sin valor hasta el primer adjunto).
  * @property {Date} createdAt - Fecha de creación (automáticamente añadida por Mongoose).
  * @property {Date} updatedAt - Fecha de la última actualización (automáticamente añadida por Mongoose).
  */
@@ -60,6 +70,40 @@ const UserSchema = new Schema(
       type: Boolean,
       default: false
     },
+    emailVerificationTokenHash: {
+      type: String,
+      default: null,
+      select: false // Solo se consulta al verificar el enlace
+    },
+    emailVerificationExpires: {
+      type: Date,
+      default: null
+    },
+    emailVerificationSentAt: {
+      type: Date,
+      default: null
+    },
+    passwordResetTokenHash: {
+      type: String,
+      default: null,
+      select: false // Solo se consulta al abrir el enlace de restablecimiento
+    },
+    passwordResetExpires: {
+      type: Date,
+      default: null
+    },
+    passwordResetSentAt: {
+      type: Date,
+      default: null
+    },
+    passwordChangedAt: {
+      type: Date,
+      default: null
+    },
+    deletionScheduledFor: {
+      type: Date,
+      default: null
+    },
     loginAttempts: {
       type: Number,
       default: 0
@@ -67,6 +111,11 @@ const UserSchema = new Schema(
     lockUntil: {
       type: Date,
       default: null
+    },
+    // Sin valor por defecto: si falta, se calcula a partir de los adjuntos existentes
+    attachmentBytes: {
+      type: Number,
+      min: 0
     }
   },
   {
@@ -75,6 +124,8 @@ const UserSchema = new Schema(
       virtuals: true,
       transform: (doc, ret) => {
         delete ret.password; // Asegura que la contraseña nunca se envíe
+        delete ret.emailVerificationTokenHash;
+        delete ret.passwordResetTokenHash;
         delete ret.__v;
         return ret;
       }
@@ -83,6 +134,21 @@ const UserSchema = new Schema(
   }
 );
 
+/**
+ * Índice para localizar al usuario a partir del enlace de verificación
+ */
+UserSchema.index({ emailVerificationTokenHash: 1 });
+
+/**
+ * Índice para localizar al usuario a partir del enlace de restablecimiento de contraseña
+ */
+UserSchema.index({ passwordResetTokenHash: 1 });
+
+/**
+ * Índice para localizar las cuentas cuya eliminación ha vencido
+ */
+UserSchema.index({ deletionScheduledFor: 1 });
+
 /**
  * Hook que se ejecuta antes de guardar un usuario para validar la contraseña
  * Nota: La encriptación se maneja explícitamente en el controlador con encryptPassword()
@@ -129,36 +195,73 @@ UserSchema.methods.matchPassword = async function(password) {
   }
 };
 
+/**
+ * Copia en el documento en memoria el estado de inicio de sesión guardado,
+ * sin marcarlo como modificado para que un save() posterior no lo sobrescriba
+ * @param {Document} user - Usuario en memoria
+ * @param {Document} saved - Usuario leído de la base de datos
+ * @returns {Document} - Usuario actualizado
+ */
+const syncLoginState = (user, saved) => {
+  for (const path of ['loginAttempts', 'lockUntil', 'lastLogin']) {
+    user.set(path, saved.get(path));
+    user.unmarkModified(path);
+  }
+  return user;
+};
+
 /**
  * Actualiza el contador de intentos de inicio de sesión fallidos
+ * Tras un inicio de sesión exitoso se reinician los contadores y se registra lastLogin;
+ * al alcanzar el máximo de intentos fallidos se bloquea la cuenta.
+ * Las actualizaciones son atómicas en la base de datos: varios intentos simultáneos
+ * cuentan cada uno, aunque partan del mismo documento leído.
  * @param {boolean} isSuccessful - Si el intento de inicio de sesión fue exitoso
- * @returns {Promise<Document>} - Usuario actualizado
+ * @returns {Promise<Document>} - Usuario con loginAttempts, lockUntil y lastLogin actualizados
  */
 UserSchema.methods.updateLoginAttempts = async function(isSuccessful) {
-  // Si el inicio de sesión fue exitoso, resetear contadores
+  const User = this.constructor;
+  const now = new Date();
+  const notLocked = { $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] };
+  const fields = 'loginAttempts lockUntil lastLogin';
+  
+  // Si el inicio de sesión fue exitoso, resetear contadores y actualizar última fecha de inicio de sesión,
+  // salvo que otro intento simultáneo haya bloqueado la cuenta mientras se comprobaba la contraseña
   if (isSuccessful) {
-    if (this.loginAttempts !== 0 || this.lockUntil) {
-      // Resetear intentos fallidos y bloqueo
-      this.loginAttempts = 0;
-      this.lockUntil = null;
-      await this.save();
-    }
-    // Actualizar última fecha de inicio de sesión
-    this.lastLogin = new Date();
-    return this.save();
+    const updated = await User.findOneAndUpdate(
+      { _id: this._id, ...notLocked },
+      { $set: { loginAttempts: 0, lockUntil: null, lastLogin: now } },
+      { new: true, projection: fields }
+    ) || await User.findById(this._id).select(fields);
+    
+    return syncLoginState(this, updated);
   }
   
+  const { maxAttempts, lockMinutes } = User.getLockoutPolicy();
+  
+  // Si un bloqueo anterior ya expiró, el recuento empieza de nuevo
+  await User.updateOne(
+    { _id: this._id, lockUntil: { $ne: null, $lte: now } },
+    { $set: { loginAttempts: 0, lockUntil: null } }
+  );
+  
   // Incrementar intentos fallidos
-  this.loginAttempts += 1;
+  let updated = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { loginAttempts: 1 } },
+    { new: true, projection: fields }
+  );
   
-  // Bloquear la cuenta después de 5 intentos fallidos
-  if (this.loginAttempts >= 5) {
-    // Bloqueo de 30 minutos
-    const lockTime = new Date(Date.now() + 30 * 60 * 1000);
-    this.lockUntil = lockTime;
+  // Bloquear la cuenta al alcanzar el máximo de intentos fallidos (sin alargar un bloqueo ya activo)
+  if (updated.loginAttempts >= maxAttempts && !(updated.lockUntil > now)) {
+    updated = await User.findOneAndUpdate(
+      { _id: this._id, ...notLocked },
+      { $set: { lockUntil: new Date(now.getTime() + lockMinutes * 60 * 1000) } },
+      { new: true, projection: fields }
+    ) || await User.findById(this._id).select(fields);
   }
   
-  return this.save();
+  return syncLoginState(this, updated);
 };
 
 /**
@@ -169,6 +272,157 @@ UserSchema.methods.isLocked = function() {
   return Boolean(this.lockUntil && this.lockUntil > Date.now());
 };
 
+/**
+ * Genera un nuevo token de verificación de correo y guarda su hash y caducidad.
+ * Cualquier enlace enviado anteriormente deja de ser válido.
+ * No guarda el documento: el llamador debe ejecutar save().
+ * @param {number} expiresInHours - Horas de validez del token
+ * @returns {string} - Token en texto plano para incluir en el enlace del correo
+ */
+UserSchema.methods.createEmailVerificationToken = function(expiresInHours) {
+  const { token, hash } = generateToken({ bytes: 32 });
+
+  this.emailVerificationTokenHash = hash;
+  this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+
+  return token;
+};
+
+/**
+ * Marca el correo como verificado y elimina el token pendiente.
+ * No guarda el documento: el llamador debe ejecutar save().
+ */
+UserSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerificationTokenHash = null;
+  this.emailVerificationExpires = null;
+};
+
+/**
+ * Método estático para encontrar al usuario de un token de verificación vigente
+ * @param {string} token - Token en texto plano recibido en el enlace
+ * @returns {Promise<Document|null>} - Usuario activo con el token sin caducar
+ */
+UserSchema.statics.findByVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationTokenHash: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() },
+    isActive: true
+  });
+};
+
+/**
+ * Genera un token para restablecer la contraseña y guarda su hash y caducidad.
+ * Cualquier enlace de restablecimiento anterior deja de ser válido.
+ * No guarda el documento: el llamador debe ejecutar save().
+ * @param {number} expiresInMinutes - Minutos de validez del token
+ * @returns {string} - Token en texto plano para incluir en el enlace del correo
+ */
+UserSchema.methods.createPasswordResetToken = function(expiresInMinutes) {
+  const { token, hash } = generateToken({ bytes: 32 });
+
+  this.passwordResetTokenHash = hash;
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  this.passwordResetSentAt = new Date();
+
+  return token;
+};
+
+/**
+ * Cambia la contraseña del usuario y registra la fecha del cambio.
+ * No guarda el documento: el llamador debe ejecutar save().
+ * @param {string} password - Contraseña nueva en texto plano
+ * @returns {Promise<void>}
+ */
+UserSchema.methods.changePassword = async function(password) {
+  this.password = await this.encryptPassword(password);
+  this.passwordChangedAt = new Date();
+};
+
+/**
+ * Cambia el correo del usuario y lo marca como pendiente de verificar.
+ * No guarda el documento: el llamador debe ejecutar save() y enviar un enlace nuevo.
+ * @param {string} email - Correo nuevo
+ */
+UserSchema.methods.changeEmail = function(email) {
+  this.email = email;
+  this.emailVerified = false;
+  this.emailVerificationTokenHash = null;
+  this.emailVerificationExpires = null;
+  this.emailVerificationSentAt = null;
+};
+
+/**
+ * Cambia la contraseña del usuario e invalida el token de restablecimiento.
+ * También desbloquea la cuenta si estaba bloqueada por intentos fallidos.
+ * No guarda el documento: el llamador debe ejecutar save().
+ * @param {string} password - Contraseña nueva en texto plano
+ * @returns {Promise<void>}
+ */
+UserSchema.methods.resetPassword = async function(password) {
+  await this.changePassword(password);
+  this.passwordResetTokenHash = null;
+  this.passwordResetExpires = null;
+  this.loginAttempts = 0;
+  this.lockUntil = null;
+};
+
+/**
+ * Programa la eliminación de la cuenta tras un periodo de gracia.
+ * No guarda el documento: el llamador debe ejecutar save().
+ * @param {number} graceDays - Días hasta la eliminación definitiva
+ * @returns {Date} - Fecha programada de eliminación
+ */
+UserSchema.methods.scheduleDeletion = function(graceDays) {
+  this.deletionScheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+  return this.deletionScheduledFor;
+};
+
+/**
+ * Cancela una eliminación de cuenta pendiente.
+ * No guarda el documento: el llamador debe ejecutar save().
+ */
+UserSchema.methods.cancelDeletion = function() {
+  this.deletionScheduledFor = null;
+};
+
+/**
+ * Método estático para encontrar las cuentas cuyo periodo de gracia ha terminado
+ * @returns {Promise<Array<Document>>} - Usuarios a eliminar
+ */
+UserSchema.statics.findDueForDeletion = function() {
+  return this.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } });
+};
+
+/**
+ * Método estático para encontrar al usuario de un token de restablecimiento vigente
+ * @param {string} token - Token en texto plano recibido en el enlace
+ * @returns {Promise<Document|null>} - Usuario activo con el token sin caducar
+ */
+UserSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+    isActive: true
+  });
+};
+
+/**
+ * Método estático que devuelve la política de bloqueo por intentos fallidos.
+ * Se configura con LOGIN_MAX_ATTEMPTS (por defecto 5) y LOGIN_LOCK_MINUTES (por defecto 30).
+ * @returns {{maxAttempts: number, lockMinutes: number}} - Intentos permitidos y duración del bloqueo
+ */
+UserSchema.statics.getLockoutPolicy = function() {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10);
+  const lockMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES, 10);
+
+  return {
+    maxAttempts: Number.isNaN(maxAttempts) || maxAttempts <= 0 ? 5 : maxAttempts,
+    lockMinutes: Number.isNaN(lockMinutes) || lockMinutes <= 0 ? 30 : lockMinutes
+  };
+};
+
 /**
  * Método estático para encontrar un usuario por email con la contraseña incluida
  * para poder realizar la autenticación
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Configuración de rutas del panel de administración
+ * Todas las rutas requieren un usuario autenticado con rol 'admin'
+ * @module routes/admin
+ * @version 1.0.0
+ */
+
+const { Router } = require('express');
+const router = Router();
+const { isAdmin } = require('../helpers/auth');
+
+// Importa los controladores de administración
+const {
+    renderContacts,
+    renderContact,
+    updateContactStatus,
+    replyContact,
+    renderUsers,
+    deactivateUser,
+    reactivateUser,
+    unlockUser,
+    updateUserRole,
+    logoutUser
+} = require('../controllers/admin.controller');
+
+/**
+ * @route GET /admin/contactos
+ * @access Admin
+ * @query {string} [status] - Filtra por estado (pending, read, replied)
+ * @query {number} [page] - Página de resultados
+ * @description Bandeja de mensajes de contacto con filtro por estado y paginación
+ * @returns {View} - Lista de mensajes
+ */
+router.get('/admin/contactos', isAdmin, renderContacts);
+
+/**
+ * @route GET /admin/contactos/:id
+ * @access Admin
+ * @param {string} id - ID del mensaje (MongoDB ObjectId)
+ * @description Muestra el mensaje y sus respuestas; los pendientes se marcan como leídos
+ * @returns {View} - Detalle del mensaje
+ */
+router.get('/admin/contactos/:id', isAdmin, renderContact);
+
+/**
+ * @route PUT /admin/contactos/:id/estado
+ * @access Admin
+ * @param {string} id - ID del mensaje (MongoDB ObjectId)
+ * @body {string} status - Estado nuevo (pending, read, replied)
+ * @description Cambia el estado del mensaje
+ * @returns {Redirect} - Redirige al detalle del mensaje
+ */
+router.put('/admin/contactos/:id/estado', isAdmin, updateContactStatus);
+
+/**
+ * @route POST /admin/contactos/:id/responder
+ * @access Admin
+ * @param {string} id - ID del mensaje (MongoDB ObjectId)
+ * @body {string} message - Texto de la respuesta
+ * @description Envía la respuesta por correo al remitente y la guarda en el mensaje
+ * @returns {Redirect} - Redirige al detalle del mensaje
+ */
+router.post('/admin/contactos/:id/responder', isAdmin, replyContact);
+
+/**
+ * @route GET /admin/usuarios
+ * @access Admin
+ * @query {string} [q] - Texto a buscar en el nombre o el correo
+ * @query {string} [status] - Filtra por estado (active, inactive, locked, admin)
+ * @query {number} [page] - Página de resultados
+ * @description Consola de usuarios con número de notas y último inicio de sesión
+ * @returns {View} - Lista de usuarios
+ */
+router.get('/admin/usuarios', isAdmin, renderUsers);
+
+/**
+ * @route PUT /admin/usuarios/:id/desactivar
+ * @access Admin
+ * @param {string} id - ID del usuario (MongoDB ObjectId)
+ * @description Desactiva la cuenta y cierra todas sus sesiones
+ * @returns {Redirect} - Redirige a la consola de usuarios
+ */
+router.put('/admin/usuarios/:id/desactivar', isAdmin, deactivateUser);
+
+/**
+ * @route PUT /admin/usuarios/:id/reactivar
+ * @access Admin
+ * @param {string} id - ID del usuario (MongoDB ObjectId)
+ * @description Reactiva una cuenta desactivada
+ * @returns {Redirect} - Redirige a la consola de usuarios
+ */
+router.put('/admin/usuarios/:id/reactivar', isAdmin, reactivateUser);
+
+/**
+ * @route PUT /admin/usuarios/:id/desbloquear
+ * @access Admin
+ * @param {string} id - ID del usuario (MongoDB ObjectId)
+ * @description Reinicia los intentos fallidos y levanta el bloqueo de la cuenta
+ * @returns {Redirect} - Redirige a la consola de usuarios
+ */
+router.put('/admin/usuarios/:id/desbloquear', isAdmin, unlockUser);
+
+/**
+ * @route PUT /admin/usuarios/:id/rol
+ * @access Admin
+ * @param {string} id - ID del usuario (MongoDB ObjectId)
+ * @body {string} role - Rol nuevo (user, admin)
+ * @description Promueve o degrada el rol del usuario
+ * @returns {Redirect} - Redirige a la consola de usuarios
+ */
+router.put('/admin/usuarios/:id/rol', isAdmin, updateUserRole);
+
+/**
+ * @route DELETE /admin/usuarios/:id/sesiones
+ * @access Admin
+ * @param {string} id - ID del usuario (MongoDB ObjectId)
+ * @description Fuerza el cierre de sesión eliminando sus sesiones del almacén
+ * @returns {Redirect} - Redirige a la consola de usuarios
+ */
+router.delete('/admin/usuarios/:id/sesiones', isAdmin, logoutUser);
+
+// Exporta el router para ser utilizado en otras partes de la aplicación
+module.exports = router;
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Configuración de rutas de la API REST JSON versionada
+ * Expone las operaciones CRUD de notas en formato JSON bajo /api/v1
+ * @module routes/api
+ * @version 1.0.0
+ */
+
+const { Router } = require('express');
+const router = Router();
+
+// Importamos las funciones del controlador de la API
+const {
+    listNotes,
+    getNote,
+    createNote,
+    updateNote,
+    deleteNote,
+    bulkUpdateNotes,
+    listTags
+} = require('../controllers/api.controller');
+
+// Middleware de autenticación para la API (sesión o token Bearer, responde 401 en JSON)
+const { isApiAuthenticated, requireScope } = require('../helpers/auth');
+
+/**
+ * Middleware para aplicar a todas las rutas de la API de notas
+ * Verifica que las rutas sean accesibles solo para usuarios autenticados
+ * mediante sesión o token personal de acceso
+ */
+router.use('/api/v1/notas', isApiAuthenticated);
+router.use('/api/v1/etiquetas', isApiAuthenticated);
+
+/**
+ * @route GET /api/v1/notas
+ * @access Private
+ * @query {number} [page=1] - Página a consultar
+ * @query {number} [limit=10] - Notas por página (máximo 100)
+ * @query {string} [search] - Texto a buscar en título o descripción
+ * @query {string} [tag] - Etiqueta por la que filtrar
+ * @query {boolean} [archived] - true para listar solo las notas archivadas
+ * @query {string} [notebook] - ID de la libreta por la que filtrar ('none' para las notas sin libreta)
+ * @query {boolean} [pending] - true para listar solo las listas de tareas con elementos sin hacer
+ * @description Lista las notas activas del usuario con paginación, búsqueda y filtro por etiqueta.
+ * Las fijadas van primero; las archivadas se omiten salvo al buscar texto o con archived=true
+ * @returns {JSON} - { notes, pagination, search, tag, archived, pending }
+ */
+router.get('/api/v1/notas', requireScope('notes:read'), listNotes);
+
+/**
+ * @route GET /api/v1/notas/:id
+ * @access Private
+ * @param {string} id - ID de la nota (MongoDB ObjectId)
+ * @description Devuelve una nota del usuario o compartida con él
+ * @security El propietario y los usuarios con los que se comparte (lector o editor)
+ * @returns {JSON} - { note }
+ */
+router.get('/api/v1/notas/:id', requireScope('notes:read'), getNote);
+
+/**
+ * @route POST /api/v1/notas
+ * @access Private
+ * @body {string} title - Título de la nota
+ * @body {string} description - Descripción de la nota (opcional en las listas de tareas)
+ * @body {string} [format=plain] - Formato de la descripción ('plain' o 'markdown')
+ * @body {string} [type=text] - Tipo de nota ('text' o 'checklist')
+ * @body {Array<string|{text: string, done: boolean}>} [items] - Elementos de la lista de tareas, en orden
+ * @body {string|string[]} [tags] - Etiquetas (array o texto separado por comas)
+ * @body {string} [notebook] - ID de la libreta del usuario
+ * @description Crea una nota nueva
+ * @returns {JSON} - 201 { note } o 400 { error, errors: [{ field, message }] }
+ */
+router.post('/api/v1/notas', requireScope('notes:write'), createNote);
+
+/**
+ * @route PATCH /api/v1/notas/:id
+ * @access Private
+ * @param {string} id - ID de la nota (MongoDB ObjectId)
+ * @body {number} [version] - Versión de la nota sobre la que se hicieron los cambios
+ * @description Actualiza los campos enviados de la nota (title, description, tags, format,
+ * type, items, isPinned, isArchived, notebook, dueDate). items reemplaza la lista completa. Fijar, archivar, mover o cambiar la fecha límite
+ * no crea una revisión ni cambia updatedAt.
+ * Si se envía version y la nota ya va por otra, no se guarda nada
+ * @security El propietario o un editor de la nota compartida; solo el propietario fija, archiva, mueve o pone fecha límite
+ * @returns {JSON} - { note }, 400 { error, errors: [{ field, message }] } o 409 { error, note } con la nota actual
+ */
+router.patch('/api/v1/notas/:id', requireScope('notes:write'), updateNote);
+
+/**
+ * @route PUT /api/v1/notas/:id
+ * @access Private
+ * @description Alias de PATCH para clientes que solo envían PUT
+ */
+router.put('/api/v1/notas/:id', requireScope('notes:write'), updateNote);
+
+/**
+ * @route DELETE /api/v1/notas/:id
+ * @access Private
+ * @param {string} id - ID de la nota (MongoDB ObjectId)
+ * @description Elimina la nota (borrado lógico)
+ * @security Verifica que la nota pertenezca al usuario actual
+ * @returns {void} - 204 sin contenido
+ */
+router.delete('/api/v1/notas/:id', requireScope('notes:write'), deleteNote);
+
+/**
+ * @route POST /api/v1/notas/lote
+ * @access Private
+ * @body {string} action - Acción a aplicar (delete, restore, tag, untag, pin, unpin, archive, unarchive, move)
+ * @body {string[]} ids - IDs de las notas (máximo 100)
+ * @body {string[]|string} [tags] - Etiquetas para tag y untag
+ * @body {string} [notebook] - Libreta de destino para move ('none' para sacarlas de su libreta)
+ * @description Aplica la acción a todas las notas indicadas; la propiedad se verifica con una sola consulta
+ * @returns {JSON} - { action, succeeded: [id], failed: [{ id, error, message }] }
+ */
+router.post('/api/v1/notas/lote', requireScope('notes:write'), bulkUpdateNotes);
+
+/**
+ * @route GET /api/v1/etiquetas
+ * @access Private
+ * @description Devuelve la nube de etiquetas del usuario con el número de notas de cada una
+ * @returns {JSON} - { tags: [{ tag, count }] }
+ */
+router.get('/api/v1/etiquetas', requireScope('notes:read'), listTags);
+
+/**
+ * Respuesta JSON para rutas de la API no encontradas
+ * Evita que se renderice la página 404 en HTML
+ */
+router.use('/api', (req, res) => {
+    res.status(404).json({ error: 'Recurso no encontrado' });
+});
+
+// Exportamos el router para que pueda ser utilizado en otros archivos
+module.exports = router;
@@ -17,6 +17,7 @@ const {
     renderPrivacy,
     renderTerms
 } = require('../controllers/index.controller');
+const { renderPublicNote, unlockPublicNote } = require('../controllers/links.controller');
 const { isAuthenticated } = require('../helpers/auth');
 
 /**
@@ -70,5 +71,24 @@ router.get('/privacidad', renderPrivacy);
  */
 router.get('/terminos', renderTerms);
 
+/**
+ * Ruta para ver una nota a través de un enlace público
+ * @route GET /compartido/:token
+ * @access Public - No requiere autenticación
+ * @param {string} token - Token del enlace
+ * @description Muestra la nota en solo lectura, o pide la contraseña si el enlace la tiene
+ * @security El enlace debe existir, no haber caducado ni haberse revocado
+ */
+router.get('/compartido/:token', renderPublicNote);
+
+/**
+ * Ruta para desbloquear un enlace público protegido con contraseña
+ * @route POST /compartido/:token
+ * @access Public - No requiere autenticación
+ * @param {string} token - Token del enlace
+ * @description Comprueba la contraseña y la recuerda durante la sesión del visitante
+ */
+router.post('/compartido/:token', unlockPublicNote);
+
 // Exportamos el router para que pueda ser usado en otros archivos
 module.exports = router;
@@ -15,9 +15,80 @@ const {
     renderNotes, 
     renderEditForm, 
     updateNote, 
-    deleteNote 
+    deleteNote,
+    pinNote,
+    unpinNote,
+    archiveNote,
+    unarchiveNote,
+    renderArchive,
+    renderTrash,
+    restoreNote,
+    purgeNote,
+    emptyTrash,
+    renderHistory,
+    restoreRevision,
+    renderNote,
+    setChecklistItem,
+    previewMarkdown,
+    searchNotes
 } = require('../controllers/notes.controller');
 
+// Importamos las funciones del controlador de importación
+const {
+    renderImportForm,
+    uploadImport,
+    renderImportPreview,
+    confirmImport,
+    cancelImport
+} = require('../controllers/import.controller');
+const { handleImportUpload } = require('../helpers/import');
+
+// Importamos la función del controlador de exportación
+const { exportNotes } = require('../controllers/export.controller');
+
+// Importamos las funciones del controlador de libretas
+const {
+    renderNotebooks,
+    createNotebook,
+    updateNotebook,
+    deleteNotebook
+} = require('../controllers/notebooks.controller');
+
+// Importamos las funciones del controlador de notas compartidas
+const {
+    renderSharedNotes,
+    shareNote,
+    revokeShare
+} = require('../controllers/shares.controller');
+
+// Importamos las funciones del controlador de enlaces públicos
+const {
+    renderLinks,
+    createLink,
+    revokeLink
+} = require('../controllers/links.controller');
+
+// Importamos las funciones del controlador de fechas límite y recordatorios
+const {
+    renderUpcoming,
+    setDueDate,
+    addReminder,
+    deleteReminder
+} = require('../controllers/reminders.controller');
+
+// Importamos las funciones del controlador de archivos adjuntos
+const {
+    authorizeUpload,
+    uploadAttachment,
+    downloadAttachment,
+    downloadThumbnail,
+    deleteAttachment
+} = require('../controllers/attachments.controller');
+const { handleAttachmentUpload } = require('../helpers/attachments');
+
+// Importamos la función del controlador de acciones masivas
+const { applyBulkAction } = require('../controllers/bulk.controller');
+
 // Middleware de autenticación
 const { isAuthenticated } = require('../helpers/auth');
 
@@ -53,18 +124,87 @@ router.post('/notas/nota-nueva', createNewNote);
  * Ruta para listar todas las notas
  * @route GET /notas
  * @access Private
+ * @query {string} [notebook] - Libreta por la que filtrar ('none' para las notas sin libreta)
  * @description Renderiza una lista de todas las notas existentes del usuario actual
  * @returns {View} - Vista con todas las notas del usuario autenticado
  */
 router.get('/notas', renderNotes);
 
+/**
+ * Ruta para listar las notas archivadas
+ * @route GET /notas/archivo
+ * @access Private
+ * @query {string} [search] - Texto a buscar en título o descripción
+ * @query {string} [tag] - Etiqueta por la que filtrar
+ * @query {string} [notebook] - Libreta por la que filtrar ('none' para las notas sin libreta)
+ * @query {number} [page] - Página a consultar
+ * @description Renderiza las notas archivadas del usuario, con las fijadas primero
+ * @returns {View} - Vista con las notas archivadas
+ */
+router.get('/notas/archivo', renderArchive);
+
+/**
+ * Ruta para la página de libretas
+ * @route GET /notas/libretas
+ * @access Private
+ * @description Renderiza el árbol de libretas del usuario con el número de notas de cada una
+ * @returns {View} - Vista de libretas
+ */
+router.get('/notas/libretas', renderNotebooks);
+
+/**
+ * Ruta para crear una libreta
+ * @route POST /notas/libretas
+ * @access Private
+ * @body {string} name - Nombre de la libreta
+ * @body {string} [parent] - Libreta que la contiene ('none' para la raíz)
+ * @returns {Redirect} - Redirige a la página de libretas
+ */
+router.post('/notas/libretas', createNotebook);
+
+/**
+ * Ruta para renombrar o mover una libreta
+ * @route PUT /notas/libretas/:id
+ * @access Private
+ * @param {string} id - ID de la libreta
+ * @body {string} name - Nombre nuevo
+ * @body {string} [parent] - Libreta que la contiene ('none' para la raíz)
+ * @description No permite mover una libreta dentro de sí misma ni de sus subcarpetas
+ * @returns {Redirect} - Redirige a la página de libretas
+ */
+router.put('/notas/libretas/:id', updateNotebook);
+
+/**
+ * Ruta para eliminar una libreta
+ * @route DELETE /notas/libretas/:id
+ * @access Private
+ * @param {string} id - ID de la libreta
+ * @body {string} mode - 'move' mueve sus notas y subcarpetas a target; 'cascade' elimina sus subcarpetas y envía sus notas a la papelera
+ * @body {string} [target] - Libreta de destino para 'move' ('none' para la raíz)
+ * @returns {Redirect} - Redirige a la página de libretas
+ */
+router.delete('/notas/libretas/:id', deleteNotebook);
+
+/**
+ * Ruta para buscar notas por relevancia
+ * @route GET /notas/buscar
+ * @access Private
+ * @query {string} q - Términos de búsqueda (se buscan de forma literal)
+ * @query {string} [tag] - Etiqueta por la que filtrar los resultados
+ * @query {number} [page] - Página de resultados
+ * @description Busca en el título y la descripción con el índice de texto y ordena por relevancia.
+ * Responde en JSON a las solicitudes AJAX o que acepten application/json
+ * @returns {View|JSON} - Vista de resultados con los términos resaltados o JSON con las notas
+ */
+router.get('/notas/buscar', searchNotes);
+
 /**
  * Ruta para renderizar el formulario de edición de una nota existente
  * @route GET /notas/editar/:id
  * @access Private
  * @param {string} id - ID de la nota a editar (MongoDB ObjectId)
  * @description Renderiza el formulario de edición de la nota con el ID especificado
- * @security Verifica que la nota pertenezca al usuario actual
+ * @security El propietario o un editor de la nota compartida
  */
 router.get('/notas/editar/:id', renderEditForm);
 
@@ -74,7 +214,7 @@ router.get('/notas/editar/:id', renderEditForm);
  * @access Private
  * @param {string} id - ID de la nota a actualizar (MongoDB ObjectId)
  * @description Actualiza la nota con el ID especificado usando los datos del formulario
- * @security Verifica que la nota pertenezca al usuario actual
+ * @security El propietario o un editor de la nota compartida
  * @returns {Redirect} - Redirige a la lista de notas en caso de éxito
  */
 router.put('/notas/editar/:id', updateNote);
@@ -84,11 +224,372 @@ router.put('/notas/editar/:id', updateNote);
  * @route DELETE /notas/borrar/:id
  * @access Private
  * @param {string} id - ID de la nota a eliminar (MongoDB ObjectId)
- * @description Elimina la nota con el ID especificado permanentemente
+ * @description Envía la nota con el ID especificado a la papelera (borrado lógico)
  * @security Verifica que la nota pertenezca al usuario actual
  * @returns {Redirect} - Redirige a la lista de notas en caso de éxito
  */
 router.delete('/notas/borrar/:id', deleteNote);
 
+/**
+ * Rutas para fijar y dejar de fijar una nota
+ * @route PUT /notas/fijar/:id
+ * @route DELETE /notas/fijar/:id
+ * @access Private
+ * @param {string} id - ID de la nota
+ * @body {string} [returnUrl] - Lista a la que volver
+ * @description Las notas fijadas se muestran antes que las demás; no cambia la fecha de actualización
+ * @security Verifica que la nota pertenezca al usuario actual
+ * @returns {Redirect} - Redirige a la lista de origen
+ */
+router.put('/notas/fijar/:id', pinNote);
+router.delete('/notas/fijar/:id', unpinNote);
+
+/**
+ * Rutas para archivar y desarchivar una nota
+ * @route PUT /notas/archivar/:id
+ * @route DELETE /notas/archivar/:id
+ * @access Private
+ * @param {string} id - ID de la nota
+ * @body {string} [returnUrl] - Lista a la que volver
+ * @description Las notas archivadas se ocultan de la lista principal, pero siguen apareciendo al buscar y en /notas/archivo
+ * @security Verifica que la nota pertenezca al usuario actual
+ * @returns {Redirect} - Redirige a la lista de origen
+ */
+router.put('/notas/archivar/:id', archiveNote);
+router.delete('/notas/archivar/:id', unarchiveNote);
+
+/**
+ * Ruta para ver una nota individual
+ * @route GET /notas/ver/:id
+ * @access Private
+ * @param {string} id - ID de la nota (MongoDB ObjectId)
+ * @description Muestra la nota completa; el Markdown se renderiza como HTML saneado
+ * @security El propietario y los usuarios con los que se comparte (lector o editor)
+ * @returns {View} - Vista de la nota
+ */
+router.get('/notas/ver/:id', renderNote);
+
+/**
+ * Ruta para marcar o desmarcar un elemento de una lista de tareas
+ * @route PUT /notas/tareas/:id/:itemId
+ * @access Private
+ * @param {string} id - ID de la nota (MongoDB ObjectId)
+ * @param {string} itemId - ID del elemento
+ * @body {string} done - 'true' para marcarlo como hecho, cualquier otro valor para dejarlo pendiente
+ * @body {string} [returnUrl] - Página a la que volver (lista de notas o vista de la nota)
+ * @security El propietario y los editores de la nota
+ * @returns {Redirect} - Redirige a la página de origen
+ */
+router.put('/notas/tareas/:id/:itemId', setChecklistItem);
+
+/**
+ * Ruta para la vista previa de Markdown de los formularios
+ * @route POST /notas/vista-previa
+ * @access Private
+ * @body {string} description - Contenido en Markdown
+ * @description Devuelve el HTML saneado que se mostrará al guardar la nota
+ * @returns {JSON} - { html }
+ */
+router.post('/notas/vista-previa', previewMarkdown);
+
+/**
+ * Ruta para listar las notas compartidas con el usuario
+ * @route GET /notas/compartidas
+ * @access Private
+ * @description Lista las notas que otros usuarios han compartido con el usuario actual, con su rol
+ * @returns {View} - Vista de notas compartidas
+ */
+router.get('/notas/compartidas', renderSharedNotes);
+
+/**
+ * Ruta para compartir una nota con otro usuario o cambiar su rol
+ * @route POST /notas/compartir/:id
+ * @access Private
+ * @param {string} id - ID de la nota (MongoDB ObjectId)
+ * @body {string} email - Correo del usuario registrado con el que se comparte
+ * @body {string} role - Rol concedido ('viewer' o 'editor')
+ * @security Solo el propietario de la nota
+ * @returns {Redirect} - Redirige a la nota
+ */
+router.post('/notas/compartir/:id', shareNote);
+
+/**
+ * Ruta para retirar el acceso de un usuario a una nota compartida
+ * @route DELETE /notas/compartir/:id/:userId
+ * @access Private
+ * @param {string} id - ID de la nota (MongoDB ObjectId)
+ * @param {string} userId - ID del usuario que pierde el acceso
+ * @security El propietario retira el acceso a cualquiera; los demás solo a sí mismos
+ * @returns {Redirect} - Redirige a la nota o a las notas compartidas
+ */
+router.delete('/notas/compartir/:id/:userId', revokeShare);
+
+/**
+ * Ruta para listar los enlaces públicos activos del usuario
+ * @route GET /notas/enlaces
+ * @access Private
+ * @description Lista los enlaces públicos que no han caducado ni se han revocado, con sus visitas
+ * @returns {View} - Vista de enlaces públicos
+ */
+router.get('/notas/enlaces', renderLinks);
+
+/**
+ * Ruta para crear un enlace público de solo lectura a una nota
+ * @route POST /notas/enlaces/:id
+ * @access Private
+ * @param {string} id - ID de la nota (MongoDB ObjectId)
+ * @body {string} [expiresAt] - Fecha de caducidad (AAAA-MM-DD); sin ella el enlace no caduca
+ * @body {string} [password] - Contraseña que se pedirá al abrir el enlace
+ * @security Solo el propietario de la nota
+ * @returns {View} - Vista con el enlace completo, que solo se muestra esta vez
+ */
+router.post('/notas/enlaces/:id', createLink);
+
+/**
+ * Ruta para revocar un enlace público
+ * @route DELETE /notas/enlaces/:id
+ * @access Private
+ * @param {string} id - ID del enlace (MongoDB ObjectId)
+ * @body {string} [from] - 'note' para volver a la nota en lugar de a la lista
+ * @security Solo el usuario que creó el enlace
+ * @returns {Redirect} - Redirige a la nota o a la lista de enlaces
+ */
+router.delete('/notas/enlaces/:id', revokeLink);
+
+/**
+ * Ruta para listar las notas con fecha límite
+ * @route GET /notas/proximas
+ * @access Private
+ * @description Lista las notas no archivadas con fecha límite, de la más próxima a la más lejana,
+ * con las vencidas destacadas y el siguiente recordatorio de cada una
+ * @returns {View} - Vista de próximas notas
+ */
+router.get('/notas/proximas', renderUpcoming);
+
+/**
+ * Ruta para poner, cambiar o quitar la fecha límite de una nota
+ * @route PUT /notas/vencimiento/:id
+ * @access Private
+ * @param {string} id - ID de la nota (MongoDB ObjectId)
+ * @body {string} [dueDate] - Fecha límite (AAAA-MM-DD); vacía la quita
+ * @security Solo el propietario de la nota
+ * @returns {Redirect} - Redirige a la nota
+ */
+router.put('/notas/vencimiento/:id', setDueDate);
+
+/**
+ * Ruta para programar un recordatorio por correo en una nota
+ * @route POST /notas/recordatorios/:id
+ * @access Private
+ * @param {string} id - ID de la nota (MongoDB ObjectId)
+ * @body {string} remindAt - Fecha y hora del primer aviso (AAAA-MM-DDTHH:MM)
+ * @body {string} [recurrence=none] - Repetición ('none', 'daily', 'weekly' o 'monthly')
+ * @security Solo el propietario de la nota
+ * @returns {Redirect} - Redirige a la nota
+ */
+router.post('/notas/recordatorios/:id', addReminder);
+
+/**
+ * Ruta para eliminar un recordatorio de una nota
+ * @route DELETE /notas/recordatorios/:id/:reminderId
+ * @access Private
+ * @param {string} id - ID de la nota (MongoDB ObjectId)
+ * @param {string} reminderId - ID del recordatorio
+ * @security Solo el propietario de la nota
+ * @returns {Redirect} - Redirige a la nota
+ */
+router.delete('/notas/recordatorios/:id/:reminderId', deleteReminder);
+
+/**
+ * Ruta para adjuntar un archivo a una nota
+ * @route POST /notas/adjuntos/:id
+ * @access Private
+ * @param {string} id - ID de la nota (MongoDB ObjectId)
+ * @body {File} file - Imagen PNG, JPEG, GIF o WebP, PDF o texto (multipart/form-data)
+ * @description Comprueba que la nota es del usuario antes de recibir el archivo; después,
+ * el tipo por el contenido, el tamaño máximo, el límite por nota y el espacio disponible
+ * del usuario antes de guardarlo
+ * @security Solo el propietario de la nota
+ * @returns {Redirect} - Redirige a la nota
+ */
+router.post('/notas/adjuntos/:id', authorizeUpload, handleAttachmentUpload, uploadAttachment);
+
+/**
+ * Ruta para descargar un archivo adjunto
+ * @route GET /notas/adjuntos/:id/:attachmentId
+ * @access Private
+ * @param {string} id - ID de la nota (MongoDB ObjectId)
+ * @param {string} attachmentId - ID del adjunto
+ * @description Las imágenes se muestran en el navegador; el resto se descarga
+ * @security Solo el propietario de la nota; a cualquier otro usuario se le responde 404
+ * @returns {File} - Contenido del archivo
+ */
+router.get('/notas/adjuntos/:id/:attachmentId', downloadAttachment);
+
+/**
+ * Ruta para ver la miniatura de una imagen adjunta
+ * @route GET /notas/adjuntos/:id/:attachmentId/miniatura
+ * @access Private
+ * @param {string} id - ID de la nota (MongoDB ObjectId)
+ * @param {string} attachmentId - ID del adjunto
+ * @description Miniatura en WebP generada al subir la imagen; la usan la lista de notas y la vista de la nota
+ * @security Solo el propietario de la nota; a cualquier otro usuario se le responde 404
+ * @returns {File} - Imagen de la miniatura
+ */
+router.get('/notas/adjuntos/:id/:attachmentId/miniatura', downloadThumbnail);
+
+/**
+ * Ruta para eliminar un archivo adjunto
+ * @route DELETE /notas/adjuntos/:id/:attachmentId
+ * @access Private
+ * @param {string} id - ID de la nota (MongoDB ObjectId)
+ * @param {string} attachmentId - ID del adjunto
+ * @security Solo el propietario de la nota
+ * @returns {Redirect} - Redirige a la nota
+ */
+router.delete('/notas/adjuntos/:id/:attachmentId', deleteAttachment);
+
+/**
+ * Ruta para ver el historial de revisiones de una nota
+ * @route GET /notas/historial/:id
+ * @access Private
+ * @param {string} id - ID de la nota (MongoDB ObjectId)
+ * @query {number} [desde] - Versión inicial de la comparación
+ * @query {number} [hasta] - Versión final de la comparación
+ * @description Lista quién cambió la nota y cuándo, con la comparación línea a línea entre dos versiones
+ * @security El propietario y los usuarios con los que se comparte (lector o editor)
+ * @returns {View} - Vista del historial
+ */
+router.get('/notas/historial/:id', renderHistory);
+
+/**
+ * Ruta para restaurar una versión anterior de una nota
+ * @route PUT /notas/historial/:id/restaurar/:version
+ * @access Private
+ * @param {string} id - ID de la nota (MongoDB ObjectId)
+ * @param {number} version - Número de versión a restaurar
+ * @description Aplica el contenido de la versión indicada como una nueva revisión
+ * @security El propietario o un editor de la nota compartida
+ * @returns {Redirect} - Redirige al historial de la nota
+ */
+router.put('/notas/historial/:id/restaurar/:version', restoreRevision);
+
+/**
+ * Ruta para listar la papelera
+ * @route GET /notas/papelera
+ * @access Private
+ * @description Renderiza las notas eliminadas del usuario con su fecha de eliminación
+ * @returns {View} - Vista de la papelera
+ */
+router.get('/notas/papelera', renderTrash);
+
+/**
+ * Ruta para restaurar una nota de la papelera
+ * @route PUT /notas/papelera/restaurar/:id
+ * @access Private
+ * @param {string} id - ID de la nota a restaurar (MongoDB ObjectId)
+ * @description Vuelve a activar la nota eliminada
+ * @security Verifica que la nota pertenezca al usuario actual
+ * @returns {Redirect} - Redirige a la papelera
+ */
+router.put('/notas/papelera/restaurar/:id', restoreNote);
+
+/**
+ * Ruta para vaciar la papelera
+ * @route DELETE /notas/papelera/vaciar
+ * @access Private
+ * @description Elimina definitivamente todas las notas de la papelera del usuario
+ * @returns {Redirect} - Redirige a la papelera
+ */
+router.delete('/notas/papelera/vaciar', emptyTrash);
+
+/**
+ * Ruta para eliminar definitivamente una nota de la papelera
+ * @route DELETE /notas/papelera/borrar/:id
+ * @access Private
+ * @param {string} id - ID de la nota a eliminar (MongoDB ObjectId)
+ * @description Elimina la nota de la base de datos sin posibilidad de recuperación
+ * @security Verifica que la nota pertenezca al usuario actual
+ * @returns {Redirect} - Redirige a la papelera
+ */
+router.delete('/notas/papelera/borrar/:id', purgeNote);
+
+/**
+ * Ruta para el formulario de importación de notas
+ * @route GET /notas/importar
+ * @access Private
+ * @description Renderiza el formulario para subir un archivo JSON, CSV, Markdown o ZIP de Markdown
+ */
+router.get('/notas/importar', renderImportForm);
+
+/**
+ * Ruta para subir el archivo a importar
+ * @route POST /notas/importar
+ * @access Private
+ * @body {File} file - Archivo .json, .csv, .md o .zip (multipart/form-data)
+ * @body {string} policy - Política para los títulos repetidos (skip, rename, overwrite)
+ * @description Lee y valida el archivo y guarda las filas en la sesión sin crear notas
+ * @returns {Redirect} - Redirige a la vista previa
+ */
+router.post('/notas/importar', handleImportUpload, uploadImport);
+
+/**
+ * Ruta para revisar la importación pendiente
+ * @route GET /notas/importar/revisar
+ * @access Private
+ * @query {string} [policy] - Política para los títulos repetidos
+ * @description Muestra qué se hará con cada fila y sus errores de validación
+ * @returns {View} - Vista previa de la importación
+ */
+router.get('/notas/importar/revisar', renderImportPreview);
+
+/**
+ * Ruta para confirmar la importación pendiente
+ * @route POST /notas/importar/confirmar
+ * @access Private
+ * @body {string} policy - Política para los títulos repetidos
+ * @description Crea, renombra o sobrescribe las notas según la política elegida
+ * @returns {Redirect} - Redirige a la lista de notas
+ */
+router.post('/notas/importar/confirmar', confirmImport);
+
+/**
+ * Ruta para descartar la importación pendiente
+ * @route DELETE /notas/importar
+ * @access Private
+ * @description Elimina de la sesión las filas leídas sin crear ninguna nota
+ * @returns {Redirect} - Redirige al formulario de importación
+ */
+router.delete('/notas/importar', cancelImport);
+
+/**
+ * Ruta para exportar las notas de la lista
+ * @route GET /notas/exportar
+ * @access Private
+ * @query {string} format - Formato del archivo (zip, json, csv, pdf)
+ * @query {string} [search] - Texto de búsqueda activo en la lista
+ * @query {string} [tag] - Etiqueta activa en la lista
+ * @query {boolean} [archived] - Exporta las notas del archivo en lugar de la lista principal
+ * @query {string} [notebook] - Libreta activa en la lista
+ * @description Descarga en streaming las notas que cumplen la búsqueda y la etiqueta
+ * @returns {File} - Archivo ZIP de Markdown, JSON, CSV o PDF
+ */
+router.get('/notas/exportar', exportNotes);
+
+/**
+ * Ruta para aplicar una acción a varias notas seleccionadas
+ * @route POST /notas/lote
+ * @access Private
+ * @body {string} action - Acción (delete, restore, tag, untag, pin, unpin, archive, unarchive, move, export)
+ * @body {string[]} ids - IDs de las notas seleccionadas (máximo 100)
+ * @body {string} [tags] - Etiquetas separadas por comas para tag y untag
+ * @body {string} [notebook] - Libreta de destino para move
+ * @body {string} [format] - Formato de la exportación (zip, json, csv, pdf)
+ * @body {string} [returnUrl] - Lista o papelera a la que volver
+ * @description Verifica la propiedad de todas las notas con una sola consulta y aplica la acción a cada una
+ * @returns {Redirect|File} - Redirige con el número de notas procesadas y fallidas, o descarga la exportación
+ */
+router.post('/notas/lote', applyBulkAction);
+
 // Exportamos el router para que pueda ser utilizado en otros archivos
 module.exports = router;
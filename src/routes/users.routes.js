@@ -15,9 +15,31 @@ const {
     renderSigninForm, 
     signup, 
     signin, 
-    logout
+    logout,
+    verifyEmail,
+    renderResendVerification,
+    resendVerification,
+    renderForgotPassword,
+    forgotPassword,
+    renderResetPassword,
+    resetPassword,
+    renderProfile,
+    updateProfile,
+    updatePassword,
+    updateEmail,
+    revokeSession,
+    revokeOtherSessions,
+    exportAccountData,
+    deleteAccount
 } = require('../controllers/users.controller');
 
+// Importa los controladores de tokens personales de acceso
+const {
+    renderTokens,
+    createToken,
+    revokeToken
+} = require('../controllers/tokens.controller');
+
 /**
  * @route GET /usuarios/registro
  * @access Public
@@ -58,6 +80,73 @@ router.get('/usuarios/ingreso', renderSigninForm);
  */
 router.post('/users/signin', signin);
 
+/**
+ * @route GET /usuarios/verificar
+ * @access Public
+ * @description Muestra el formulario para solicitar un nuevo correo de verificación
+ * @returns {View} - Formulario de reenvío de verificación
+ */
+router.get('/usuarios/verificar', renderResendVerification);
+
+/**
+ * @route POST /usuarios/verificar
+ * @access Public
+ * @description Reenvía el enlace de verificación de correo
+ * @body {string} email - Correo de la cuenta (se ignora si hay sesión iniciada)
+ * @returns {Redirect} - Redirige al formulario con un mensaje informativo
+ * @security No revela si el correo está registrado y limita la frecuencia de reenvío
+ */
+router.post('/usuarios/verificar', resendVerification);
+
+/**
+ * @route GET /usuarios/verificar/:token
+ * @access Public
+ * @param {string} token - Token de verificación recibido por correo
+ * @description Marca como verificado el correo de la cuenta asociada al token
+ * @returns {Redirect} - Redirige al inicio de sesión o a las notas
+ * @security El token se compara por su hash, caduca y solo puede usarse una vez
+ */
+router.get('/usuarios/verificar/:token', verifyEmail);
+
+/**
+ * @route GET /usuarios/recuperar
+ * @access Public
+ * @description Muestra el formulario para solicitar el restablecimiento de contraseña
+ * @returns {View} - Formulario de contraseña olvidada
+ */
+router.get('/usuarios/recuperar', renderForgotPassword);
+
+/**
+ * @route POST /usuarios/recuperar
+ * @access Public
+ * @description Envía por correo un enlace de un solo uso para restablecer la contraseña
+ * @body {string} email - Correo de la cuenta
+ * @returns {Redirect} - Redirige al inicio de sesión con un mensaje informativo
+ * @security No revela si el correo está registrado y limita la frecuencia de envío
+ */
+router.post('/usuarios/recuperar', forgotPassword);
+
+/**
+ * @route GET /usuarios/restablecer/:token
+ * @access Public
+ * @param {string} token - Token de restablecimiento recibido por correo
+ * @description Muestra el formulario para elegir una contraseña nueva
+ * @returns {View} - Formulario de restablecimiento
+ */
+router.get('/usuarios/restablecer/:token', renderResetPassword);
+
+/**
+ * @route POST /usuarios/restablecer/:token
+ * @access Public
+ * @param {string} token - Token de restablecimiento recibido por correo
+ * @description Establece la contraseña nueva y cierra todas las sesiones del usuario
+ * @body {string} password - Contraseña nueva
+ * @body {string} confirm_password - Confirmación de la contraseña
+ * @returns {Redirect} - Redirige al inicio de sesión
+ * @security El token caduca, es de un solo uso y se compara por su hash
+ */
+router.post('/usuarios/restablecer/:token', resetPassword);
+
 /**
  * @route GET /usuarios/salir
  * @access Private - Solo usuarios autenticados
@@ -66,15 +155,107 @@ router.post('/users/signin', signin);
  */
 router.get('/usuarios/salir', isAuthenticated, logout);
 
+/**
+ * @route GET /usuarios/tokens
+ * @access Private - Solo usuarios autenticados
+ * @description Lista los tokens personales de acceso a la API del usuario
+ * @returns {View} - Página de gestión de tokens
+ */
+router.get('/usuarios/tokens', isAuthenticated, renderTokens);
+
+/**
+ * @route POST /usuarios/tokens
+ * @access Private - Solo usuarios autenticados
+ * @description Crea un token personal de acceso y lo muestra una única vez
+ * @body {string} name - Nombre descriptivo del token
+ * @body {string} access - Nivel de acceso ('read' o 'write')
+ * @returns {View} - Página de gestión de tokens con el token nuevo
+ * @security Solo se almacena el hash SHA-256 del token
+ */
+router.post('/usuarios/tokens', isAuthenticated, createToken);
+
+/**
+ * @route DELETE /usuarios/tokens/:id
+ * @access Private - Solo usuarios autenticados
+ * @param {string} id - ID del token a revocar (MongoDB ObjectId)
+ * @description Revoca un token personal de acceso
+ * @security Verifica que el token pertenezca al usuario actual
+ * @returns {Redirect} - Redirige a la página de tokens
+ */
+router.delete('/usuarios/tokens/:id', isAuthenticated, revokeToken);
+
 /**
  * @route GET /usuarios/perfil
  * @access Private - Solo usuarios autenticados
- * @description Ruta reservada para futuro uso - Perfil de usuario
- * @returns {String} - Mensaje indicando funcionalidad en desarrollo
+ * @description Perfil y configuración de la cuenta con las sesiones activas
+ * @returns {View} - Página de perfil
+ */
+router.get('/usuarios/perfil', isAuthenticated, renderProfile);
+
+/**
+ * @route PUT /usuarios/perfil
+ * @access Private - Solo usuarios autenticados
+ * @body {string} name - Nombre nuevo
+ * @description Actualiza el nombre del usuario
+ * @returns {Redirect} - Redirige al perfil
+ */
+router.put('/usuarios/perfil', isAuthenticated, updateProfile);
+
+/**
+ * @route PUT /usuarios/perfil/contrasena
+ * @access Private - Solo usuarios autenticados
+ * @body {string} current_password - Contraseña actual
+ * @body {string} password - Contraseña nueva
+ * @body {string} confirm_password - Confirmación de la contraseña nueva
+ * @description Cambia la contraseña y cierra las sesiones de otros dispositivos
+ * @returns {Redirect|View} - Redirige al perfil o lo muestra con los errores
+ */
+router.put('/usuarios/perfil/contrasena', isAuthenticated, updatePassword);
+
+/**
+ * @route PUT /usuarios/perfil/correo
+ * @access Private - Solo usuarios autenticados
+ * @body {string} email - Correo nuevo
+ * @body {string} current_password - Contraseña actual
+ * @description Cambia el correo y envía un enlace para verificar la dirección nueva
+ * @returns {Redirect|View} - Redirige al perfil o lo muestra con los errores
+ */
+router.put('/usuarios/perfil/correo', isAuthenticated, updateEmail);
+
+/**
+ * @route DELETE /usuarios/perfil/sesiones
+ * @access Private - Solo usuarios autenticados
+ * @description Cierra todas las sesiones excepto la actual
+ * @returns {Redirect} - Redirige al perfil
+ */
+router.delete('/usuarios/perfil/sesiones', isAuthenticated, revokeOtherSessions);
+
+/**
+ * @route DELETE /usuarios/perfil/sesiones/:id
+ * @access Private - Solo usuarios autenticados
+ * @param {string} id - Identificador público de la sesión
+ * @description Cierra una sesión abierta en otro dispositivo
+ * @returns {Redirect} - Redirige al perfil
+ */
+router.delete('/usuarios/perfil/sesiones/:id', isAuthenticated, revokeSession);
+
+/**
+ * @route GET /usuarios/perfil/datos
+ * @access Private - Solo usuarios autenticados
+ * @description Descarga los datos personales del usuario en un archivo JSON
+ * @returns {File} - Perfil, notas, mensajes de contacto e intentos de inicio de sesión
+ */
+router.get('/usuarios/perfil/datos', isAuthenticated, exportAccountData);
+
+/**
+ * @route DELETE /usuarios/perfil/cuenta
+ * @access Private - Solo usuarios autenticados
+ * @body {string} current_password - Contraseña actual
+ * @body {string} confirmation - Debe ser "ELIMINAR"
+ * @description Programa la eliminación de la cuenta tras el periodo de gracia y cierra todas sus sesiones
+ * @returns {Redirect|View} - Redirige al inicio de sesión o muestra el perfil con los errores
  */
-// router.get('/usuarios/perfil', isAuthenticated, (req, res) => {
-//   res.send('Perfil de usuario - Funcionalidad en desarrollo');
-// });
+router.delete('/usuarios/perfil/cuenta', isAuthenticated, deleteAccount);
 
 // Exporta el router para ser utilizado en otras partes de la aplicación
 module.exports = router;
\ No newline at end of file
@@ -12,6 +12,7 @@ const flash = require('connect-flash');
 const session = require('express-session');
 const MongoStore = require('connect-mongo');
 const passport = require('passport');
+const { SESSIONS_COLLECTION, unserializeSession } = require('./helpers/sessions');
 
 // Inicialización de Express
 const app = express();
@@ -40,6 +41,8 @@ app.engine('.hbs', exphbs.engine({
     layoutsDir: path.join(app.get('views'), 'layouts'),
     partialsDir: path.join(app.get('views'), 'partials'),
     extname: '.hbs',
+    // Helpers personalizados (renderizado de notas en Markdown, etc.)
+    helpers: require('./helpers/handlebars'),
     // Configuración para evitar problemas de acceso a propiedades
     // Resuelve advertencias de "Access has been denied to resolve property"
     runtimeOptions: {
@@ -77,6 +80,11 @@ app.use(session({
     saveUninitialized: false, // Optimizado: cumple mejor con las leyes de privacidad
     store: MongoStore.create({
         mongoUrl: process.env.MONGODB_URI || `mongodb://${process.env.MULTIGESTOR_MONGODB_HOST}:${process.env.MULTIGESTOR_MONGODB_PORT}/${process.env.MULTIGESTOR_MONGODB_DATABASE}`,
+        collectionName: SESSIONS_COLLECTION,
+        // Las sesiones se guardan como objeto (serialización por defecto de connect-mongo
+        // al definir unserialize) para poder buscar las sesiones de un usuario, por ejemplo
+        // para cerrarlas todas al restablecer la contraseña
+        unserialize: unserializeSession,
         touchAfter: 24 * 3600 // lazy session update (en segundos)
     }),
     cookie: {
@@ -116,6 +124,8 @@ app.use((req, res, next) => {
 app.use(require('./routes/index.routes'));
 app.use(require('./routes/notes.routes'));
 app.use(require('./routes/users.routes'));
+app.use(require('./routes/admin.routes'));
+app.use(require('./routes/api.routes'));
 
 /**
  * Manejo de rutas no encontradas (404)
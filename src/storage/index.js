@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * @fileoverview Punto de acceso al almacenamiento de archivos adjuntos.
+ * El adaptador se elige con STORAGE_DRIVER; todos exponen la misma interfaz
+ * (save, createReadStream y remove por clave), así que añadir otro, por ejemplo
+ * uno compatible con S3, solo requiere registrarlo en DRIVERS. El flujo de
+ * createReadStream emite 'open' cuando el archivo existe y 'error' si no.
+ * @module storage
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const { createLocalStorage } = require('./local');
+
+/**
+ * Adaptadores disponibles y cómo crearlos a partir de las variables de entorno
+ * @constant {Object<string, Function>}
+ */
+const DRIVERS = {
+    local: () => createLocalStorage({
+        root: process.env.STORAGE_LOCAL_PATH || path.join(__dirname, '..', '..', 'uploads')
+    })
+};
+
+/**
+ * Adaptador compartido, creado en el primer uso
+ * @type {Object|null}
+ */
+let storage = null;
+
+/**
+ * Devuelve el adaptador de almacenamiento configurado (por defecto, el disco local)
+ *
+ * @function getStorage
+ * @returns {{save: Function, createReadStream: Function, remove: Function}} Adaptador de almacenamiento
+ * @throws {Error} Si STORAGE_DRIVER no corresponde a ningún adaptador
+ */
+const getStorage = () => {
+    if (!storage) {
+        const driver = process.env.STORAGE_DRIVER || 'local';
+        if (!DRIVERS[driver]) {
+            throw new Error(`Adaptador de almacenamiento desconocido: ${driver}`);
+        }
+        storage = DRIVERS[driver]();
+    }
+
+    return storage;
+};
+
+module.exports = { getStorage };
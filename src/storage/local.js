@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * @fileoverview Almacenamiento de archivos en el disco local.
+ * Cada clave se guarda como un archivo bajo el directorio raíz; las claves
+ * las genera la aplicación, nunca el nombre que envía el usuario.
+ * @module storage/local
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Formato de las claves admitidas: carpeta del usuario y nombre aleatorio en hexadecimal.
+ * Impide que una clave salga del directorio raíz
+ * @constant {RegExp}
+ */
+const KEY_REGEX = /^[a-f0-9]{24}\/[a-f0-9]{32}$/;
+
+/**
+ * Crea el adaptador de almacenamiento local
+ *
+ * @function createLocalStorage
+ * @param {Object} options - Opciones del adaptador
+ * @param {string} options.root - Directorio donde se guardan los archivos
+ * @returns {{save: Function, createReadStream: Function, remove: Function}} Adaptador de almacenamiento
+ */
+const createLocalStorage = ({ root }) => {
+    /**
+     * Ruta absoluta del archivo de una clave
+     * @param {string} key - Clave del archivo
+     * @returns {string} Ruta en disco
+     * @throws {Error} Si la clave no tiene el formato esperado
+     */
+    const resolvePath = (key) => {
+        if (!KEY_REGEX.test(key)) {
+            throw new Error(`Clave de almacenamiento no válida: ${key}`);
+        }
+        return path.join(root, key);
+    };
+
+    return {
+        /**
+         * Guarda el contenido de un archivo
+         * @param {string} key - Clave del archivo
+         * @param {Buffer} buffer - Contenido
+         * @returns {Promise<void>}
+         */
+        async save(key, buffer) {
+            const filePath = resolvePath(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            // 'wx' no sobrescribe un archivo existente
+            await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+        },
+
+        /**
+         * Abre un archivo para enviarlo en la respuesta
+         * @param {string} key - Clave del archivo
+         * @returns {ReadStream} Flujo de lectura (emite 'error' si el archivo no existe)
+         */
+        createReadStream(key) {
+            return fs.createReadStream(resolvePath(key));
+        },
+
+        /**
+         * Elimina un archivo. No falla si ya no existía
+         * @param {string} key - Clave del archivo
+         * @returns {Promise<void>}
+         */
+        async remove(key) {
+            await fs.promises.rm(resolvePath(key), { force: true });
+        }
+    };
+};
+
+module.exports = { createLocalStorage };